@@ -2,6 +2,12 @@
 // Provides local file system access capabilities
 // Generated: Mon 03 Mar 2025 22:28:56 AEDT
 
+// Log levels, from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Plugin settings that commands can change at runtime
+const RUNTIME_SETTINGS = ['debugLevel'];
+
 /**
  * Logger module for the file access plugin
  * Provides consistent logging with configurable debug levels
@@ -9,21 +15,47 @@
 class Logger {
   constructor(name, debugEnabled = false) {
     this.name = name;
-    this.debugEnabled = debugEnabled;
+    this.level = debugEnabled ? 'debug' : 'info';
+  }
+
+  /**
+   * Whether debug messages are logged
+   */
+  get debugEnabled() {
+    return this.level === 'debug';
   }
 
   /**
    * Enable or disable debug logging
    */
   setDebugEnabled(enabled) {
-    this.debugEnabled = enabled;
+    this.level = enabled ? 'debug' : 'info';
+  }
+
+  /**
+   * Set the least severe level that is logged
+   * @param {string} level - 'debug', 'info', 'warn' or 'error'
+   */
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Invalid log level "${level}", expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Whether messages of a level are logged
+   * @private
+   */
+  _enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
   }
 
   /**
    * Log a debug message (only when debug is enabled)
    */
   debug(...args) {
-    if (this.debugEnabled) {
+    if (this._enabled('debug')) {
       console.log(`[${this.name}][DEBUG]`, ...args);
     }
   }
@@ -32,7 +64,9 @@ class Logger {
    * Log an info message
    */
   info(...args) {
-    console.log(`[${this.name}][INFO]`, ...args);
+    if (this._enabled('info')) {
+      console.log(`[${this.name}][INFO]`, ...args);
+    }
   }
 
   /**
@@ -46,20 +80,240 @@ class Logger {
    * Log a warning message
    */
   warn(...args) {
-    console.warn(`[${this.name}][WARN]`, ...args);
+    if (this._enabled('warn')) {
+      console.warn(`[${this.name}][WARN]`, ...args);
+    }
   }
 }
 
 // Create a default logger instance
 const logger = new Logger('FilePlugin', true); 
 
+// Paths denied by default because they commonly hold secrets or repository internals
+const DEFAULT_DENIED_PATHS = [
+  '.env*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '.ssh/',
+  '.gnupg/',
+  '.aws/',
+  '.netrc',
+  '.npmrc',
+  '.git/',
+];
+
+// Operations a path policy rule can apply to
+const POLICY_OPERATIONS = ['read', 'write'];
+
+/**
+ * Decides which paths may be read or written, based on allow/deny glob lists
+ * Rules are evaluated in order of precedence:
+ *   1. Per-operation rules, first match wins
+ *   2. Deny patterns
+ *   3. Allow patterns (these also override the default denies)
+ *   4. Default denies for secrets, unless disabled
+ *   5. When allow patterns are configured, files matching none of them are denied
+ * A pattern matches a path if it matches the path itself or any parent directory, ignoring case
+ * so ".ENV" or "Secrets/" on a case-insensitive file system cannot slip past a rule
+ */
+class PathPolicy {
+  constructor(settings = {}) {
+    this.configure(settings);
+  }
+
+  /**
+   * Configure the policy from plugin settings
+   * List settings may be arrays or comma/newline separated strings, and rules may be a JSON string
+   * @param {object} settings - Policy settings
+   * @param {string|string[]} settings.allow - Glob patterns that are allowed
+   * @param {string|string[]} settings.deny - Glob patterns that are denied for every operation
+   * @param {string|Array} settings.rules - Per-operation rules: [{ pattern, operations: ['write'], action: 'deny' }]
+   * @param {boolean} settings.useDefaultDenies - Whether to deny common secret files, defaults to true
+   */
+  configure(settings = {}) {
+    this.allow = parsePatternSetting(settings.allow);
+    this.deny = parsePatternSetting(settings.deny);
+    this.useDefaultDenies = parseBooleanArg(settings.useDefaultDenies, true);
+    this.configError = null;
+    
+    // Fail closed: a broken rules setting must not silently drop the user's restrictions
+    try {
+      this.rules = parsePolicyRules(settings.rules);
+    } catch (error) {
+      logger.error('Invalid path policy rules, denying all access until fixed:', error);
+      this.rules = [];
+      this.configError = error.message;
+    }
+    
+    logger.debug('Path policy configured:', this.describe());
+  }
+
+  /**
+   * Describe the effective policy
+   * @returns {object} Allow, deny, default deny and per-operation rules
+   */
+  describe() {
+    return {
+      allow: this.allow,
+      deny: this.deny,
+      defaultDenies: this.useDefaultDenies ? DEFAULT_DENIED_PATHS : [],
+      rules: this.rules,
+      error: this.configError,
+    };
+  }
+
+  /**
+   * Evaluate a path against the policy
+   * @param {string} path - Path relative to the root directory
+   * @param {string} operation - 'read' or 'write'
+   * @param {string} kind - 'file' or 'directory'
+   * @returns {{allowed: boolean, reason: string|null}} The decision and, when denied, the rule that matched
+   */
+  evaluate(path, operation = 'read', kind = 'file') {
+    if (this.configError) {
+      return { allowed: false, reason: `the invalid path rules setting (${this.configError})` };
+    }
+
+    const normalizedPath = path.replace(/\\/g, '/').replace(/^\.?\/+/, '').replace(/\/+$/, '');
+    if (!normalizedPath || normalizedPath === '.') {
+      return { allowed: true, reason: null };
+    }
+
+    const ruleIndex = this.rules.findIndex(rule =>
+      rule.operations.includes(operation) && matchesPathOrParent(normalizedPath, rule.pattern));
+    if (ruleIndex !== -1) {
+      const rule = this.rules[ruleIndex];
+      return rule.action === 'allow'
+        ? { allowed: true, reason: null }
+        : { allowed: false, reason: `rule #${ruleIndex + 1} "${rule.pattern}" (${operation} denied)` };
+    }
+
+    const denied = this.deny.find(pattern => matchesPathOrParent(normalizedPath, pattern));
+    if (denied) {
+      return { allowed: false, reason: `deny rule "${denied}"` };
+    }
+
+    if (this.allow.some(pattern => matchesPathOrParent(normalizedPath, pattern))) {
+      return { allowed: true, reason: null };
+    }
+
+    if (this.useDefaultDenies) {
+      const defaultDenied = DEFAULT_DENIED_PATHS.find(pattern => matchesPathOrParent(normalizedPath, pattern));
+      if (defaultDenied) {
+        return { allowed: false, reason: `default rule "${defaultDenied}"` };
+      }
+    }
+
+    // Directories stay reachable so allowed files inside them can be found
+    if (this.allow.length > 0 && kind !== 'directory') {
+      return { allowed: false, reason: 'the allow list (no allow rule matches)' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Check whether an operation on a path is allowed
+   * @returns {boolean} Whether the operation is allowed
+   */
+  isAllowed(path, operation = 'read', kind = 'file') {
+    return this.evaluate(path, operation, kind).allowed;
+  }
+
+  /**
+   * Throw if an operation on a path is not allowed
+   */
+  assertAllowed(path, operation = 'read', kind = 'file') {
+    const { allowed, reason } = this.evaluate(path, operation, kind);
+    if (!allowed) {
+      logger.error(`Policy denied ${operation} access to:`, path, reason);
+      throw new Error(`${operation === 'write' ? 'Writing' : 'Reading'} "${path}" is denied by ${reason}`);
+    }
+    return true;
+  }
+}
+
+/**
+ * Parses a list of glob patterns from a setting value
+ */
+function parsePatternSetting(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split('\n').flatMap(splitOutsideBraces);
+  return list.map(pattern => String(pattern).trim()).filter(pattern => pattern.length > 0);
+}
+
+/**
+ * Parses per-operation path rules from a setting value
+ */
+function parsePolicyRules(value) {
+  if (!value) {
+    return [];
+  }
+
+  let rules = value;
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (error) {
+      throw new Error(`Invalid path rules, expected a JSON array: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid path rules, expected an array');
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new Error(`Path rule #${index + 1} needs a pattern`);
+    }
+    if (rule.action !== 'allow' && rule.action !== 'deny') {
+      throw new Error(`Path rule #${index + 1} action must be "allow" or "deny"`);
+    }
+
+    const operations = rule.operations ? [].concat(rule.operations) : POLICY_OPERATIONS;
+    const unknown = operations.filter(operation => !POLICY_OPERATIONS.includes(operation));
+    if (unknown.length > 0) {
+      throw new Error(`Path rule #${index + 1} has unknown operations: ${unknown.join(', ')}`);
+    }
+
+    return { pattern: rule.pattern.trim(), operations, action: rule.action };
+  });
+}
+
+/**
+ * Checks whether a glob pattern matches a path or any of its parent directories
+ */
+function matchesPathOrParent(path, pattern) {
+  const segments = path.split('/');
+  for (let i = segments.length; i > 0; i--) {
+    if (matchesGlob(segments.slice(0, i).join('/'), [pattern], true)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Create the default path policy instance, configured from user settings on initialization
+const pathPolicy = new PathPolicy();
+
 /**
  * Validates a file path to ensure it's safe to access
- * Prevents directory traversal attacks and access to sensitive locations
+ * Prevents directory traversal attacks and access to paths denied by the path policy
  * @param {string} path - The path to validate
  * @param {boolean} directoryAccessGranted - Whether directory access is granted
+ * @param {string} operation - 'read' or 'write', used to apply per-operation policy rules
+ * @param {string} kind - 'file' or 'directory'
  */
-function validateFilePath(path, directoryAccessGranted = false) {
+function validateFilePath(path, directoryAccessGranted = false, operation = 'read', kind = 'file') {
   logger.debug('Validating file path:', path, 'Directory access granted:', directoryAccessGranted);
   
   // Allow empty paths - they will be handled by the file picker or root directory
@@ -77,7 +331,7 @@ function validateFilePath(path, directoryAccessGranted = false) {
   const normalizedPath = path.replace(/\\/g, '/');
   
   // Check for directory traversal attempts
-  if (normalizedPath.includes('../') || normalizedPath.includes('..\\')) {
+  if (normalizedPath.split('/').includes('..')) {
     logger.error('Directory traversal attempt detected:', path);
     throw new Error('Directory traversal is not allowed');
   }
@@ -97,12 +351,8 @@ function validateFilePath(path, directoryAccessGranted = false) {
     }
   }
   
-  // Check for sensitive directories
-  const sensitiveDirectories = ['system', 'windows', 'program files', 'etc', 'var'];
-  if (sensitiveDirectories.some(dir => normalizedPath.toLowerCase().includes(dir))) {
-    logger.error('Attempt to access sensitive directory:', path);
-    throw new Error('Access to sensitive directories is not allowed');
-  }
+  // Check the configured allow/deny policy
+  pathPolicy.assertAllowed(normalizedPath, operation, kind);
   
   logger.debug('Path validation successful');
   return true;
@@ -128,149 +378,709 @@ function getFileExtension(path) {
   return path.slice((path.lastIndexOf('.') - 1 >>> 0) + 2);
 }
 
+// Bytes examined when sniffing a file's type and encoding
+const SNIFF_SIZE = 64 * 1024;
+
+// Signatures of common binary formats as [offset, bytes] parts that must all match
+const MAGIC_SIGNATURES = [
+  ['image/png', [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]]],
+  ['image/jpeg', [[0, [0xff, 0xd8, 0xff]]]],
+  ['image/gif', [[0, 'GIF8']]],
+  ['image/webp', [[0, 'RIFF'], [8, 'WEBP']]],
+  ['image/tiff', [[0, [0x49, 0x49, 0x2a, 0x00]]]],
+  ['image/tiff', [[0, [0x4d, 0x4d, 0x00, 0x2a]]]],
+  ['image/x-icon', [[0, [0x00, 0x00, 0x01, 0x00]]]],
+  ['image/vnd.adobe.photoshop', [[0, '8BPS']]],
+  ['audio/wav', [[0, 'RIFF'], [8, 'WAVE']]],
+  ['audio/ogg', [[0, 'OggS']]],
+  ['audio/flac', [[0, 'fLaC']]],
+  ['video/mp4', [[4, 'ftyp']]],
+  ['application/pdf', [[0, '%PDF-']]],
+  ['application/zip', [[0, [0x50, 0x4b, 0x03, 0x04]]]],
+  ['application/zip', [[0, [0x50, 0x4b, 0x05, 0x06]]]],
+  ['application/gzip', [[0, [0x1f, 0x8b]]]],
+  ['application/x-7z-compressed', [[0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]]]],
+  ['application/vnd.rar', [[0, 'Rar!']]],
+  ['application/x-xz', [[0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]]]],
+  ['application/zstd', [[0, [0x28, 0xb5, 0x2f, 0xfd]]]],
+  ['application/vnd.sqlite3', [[0, 'SQLite format 3']]],
+  ['application/wasm', [[0, [0x00, 0x61, 0x73, 0x6d]]]],
+  ['application/x-elf', [[0, [0x7f, 0x45, 0x4c, 0x46]]]],
+  ['application/java-vm', [[0, [0xca, 0xfe, 0xba, 0xbe]]]],
+  ['font/woff', [[0, 'wOFF']]],
+  ['font/woff2', [[0, 'wOF2']]],
+  ['font/ttf', [[0, [0x00, 0x01, 0x00, 0x00, 0x00]]]],
+];
+
+// MIME types by extension, used for text files and to refine ZIP-based formats
+const EXTENSION_MIME_TYPES = {
+  txt: 'text/plain',
+  log: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  html: 'text/html',
+  htm: 'text/html',
+  css: 'text/css',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  cjs: 'text/javascript',
+  ts: 'text/x-typescript',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  xml: 'application/xml',
+  svg: 'image/svg+xml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  toml: 'application/toml',
+  sh: 'application/x-sh',
+  py: 'text/x-python',
+  sql: 'application/sql',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  epub: 'application/epub+zip',
+  jar: 'application/java-archive',
+};
+
 /**
- * Determines if a file is a text file based on extension
+ * Checks whether bytes at an offset match a signature given as bytes or an ASCII string
  */
-function isTextFile(path) {
-  const textExtensions = ['txt', 'md', 'js', 'jsx', 'ts', 'tsx', 'html', 'css', 'json', 'csv', 'xml', 'py', 'java', 'c', 'cpp', 'h', 'rb'];
-  const ext = getFileExtension(path).toLowerCase();
-  return textExtensions.includes(ext);
-} 
+function matchesSignature(bytes, offset, signature) {
+  const expected = typeof signature === 'string'
+    ? Array.from(signature, character => character.charCodeAt(0))
+    : signature;
+  return offset + expected.length <= bytes.length && expected.every((byte, index) => bytes[offset + index] === byte);
+}
 
 /**
- * Manages persistent storage of directory handles using IndexedDB
+ * Guesses whether UTF-16 without a BOM is more likely than binary data, from
+ * the zero high bytes that ASCII characters leave at odd (LE) or even (BE) positions
+ * @returns {string|null} 'utf-16le', 'utf-16be' or null
  */
-class StorageManager {
-  constructor() {
-    this.dbName = 'FilePluginStorage';
-    this.storeName = 'directoryHandles';
-    this.db = null;
-    this.isInitialized = false;
+function detectUtf16(bytes) {
+  const pairs = Math.floor(bytes.length / 2);
+  if (pairs === 0) {
+    return null;
   }
-
-  /**
-   * Initialize the database
-   * @returns {Promise<boolean>} Whether initialization was successful
-   */
-  async initialize() {
-    if (this.isInitialized) {
-      return true;
+  
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (bytes[i] === 0) {
+      evenZeros++;
     }
-
-    try {
-      logger.debug('Initializing storage manager');
-      
-      return new Promise((resolve, reject) => {
-        const request = indexedDB.open(this.dbName, 1);
-        
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          
-          // Create object store for directory handles if it doesn't exist
-          if (!db.objectStoreNames.contains(this.storeName)) {
-            db.createObjectStore(this.storeName, { keyPath: 'id' });
-            logger.debug('Created directory handles store');
-          }
-        };
-        
-        request.onsuccess = (event) => {
-          this.db = event.target.result;
-          this.isInitialized = true;
-          logger.debug('Storage manager initialized successfully');
-          resolve(true);
-        };
-        
-        request.onerror = (event) => {
-          logger.error('Error initializing storage manager:', event.target.error);
-          reject(new Error(`Failed to initialize storage: ${event.target.error}`));
-        };
-      });
-    } catch (error) {
-      logger.error('Error in storage manager initialization:', error);
-      return false;
+    if (bytes[i + 1] === 0) {
+      oddZeros++;
     }
   }
+  
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.02) {
+    return 'utf-16le';
+  }
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.02) {
+    return 'utf-16be';
+  }
+  return null;
+}
 
-  /**
-   * Store a directory handle
-   * @param {FileSystemDirectoryHandle} dirHandle - The directory handle to store
-   * @param {string} name - A user-friendly name for the directory
-   * @returns {Promise<string>} The ID of the stored handle
-   */
-  async storeDirectoryHandle(dirHandle, name = '') {
-    await this.initialize();
-    
-    try {
-      logger.debug('Storing directory handle:', name || dirHandle.name);
-      
-      // Generate a unique ID
-      const id = `dir_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Prepare the record
-      const record = {
-        id,
-        name: name || dirHandle.name,
-        handle: dirHandle,
-        path: dirHandle.name,
-        dateAdded: new Date().toISOString()
-      };
-      
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([this.storeName], 'readwrite');
-        const store = transaction.objectStore(this.storeName);
-        
-        const request = store.add(record);
-        
-        request.onsuccess = () => {
-          logger.debug('Directory handle stored successfully:', id);
-          resolve(id);
-        };
-        
-        request.onerror = (event) => {
-          logger.error('Error storing directory handle:', event.target.error);
-          reject(new Error(`Failed to store directory handle: ${event.target.error}`));
-        };
-      });
-    } catch (error) {
-      logger.error('Error in storeDirectoryHandle:', error);
-      throw new Error(`Failed to store directory handle: ${error.message}`);
+/**
+ * Sniffs the type and encoding of file content
+ * Checks magic bytes, then byte order marks, NUL bytes and control characters,
+ * and finally validates UTF-8, treating invalid UTF-8 as Latin-1 (windows-1252)
+ * @param {Uint8Array} bytes - The start of the content
+ * @param {string} name - File name, used to refine the MIME type
+ * @param {boolean} complete - Whether bytes holds the whole content rather than a prefix
+ * @returns {{isText: boolean, encoding: string|null, mimeType: string, bomLength: number}}
+ */
+function sniffContent(bytes, name = '', complete = true) {
+  const extensionType = EXTENSION_MIME_TYPES[getFileExtension(name).toLowerCase()];
+  const binary = (mimeType) => ({ isText: false, encoding: null, mimeType, bomLength: 0 });
+  const text = (encoding, bomLength = 0) => ({ isText: true, encoding, mimeType: extensionType || 'text/plain', bomLength });
+  
+  for (const [mimeType, parts] of MAGIC_SIGNATURES) {
+    if (parts.every(([offset, signature]) => matchesSignature(bytes, offset, signature))) {
+      // Office documents, EPUBs and JARs are ZIP files underneath
+      return binary(mimeType === 'application/zip' && extensionType ? extensionType : mimeType);
+    }
+  }
+  
+  if (matchesSignature(bytes, 0, [0xef, 0xbb, 0xbf])) {
+    return text('utf-8', 3);
+  }
+  if (matchesSignature(bytes, 0, [0xff, 0xfe])) {
+    return text('utf-16le', 2);
+  }
+  if (matchesSignature(bytes, 0, [0xfe, 0xff])) {
+    return text('utf-16be', 2);
+  }
+  
+  if (bytes.includes(0)) {
+    const utf16 = detectUtf16(bytes);
+    return utf16 ? text(utf16) : binary('application/octet-stream');
+  }
+  
+  // Text rarely contains control characters other than tab, newlines, form feed and escape
+  let controls = 0;
+  for (const byte of bytes) {
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0c && byte !== 0x0d && byte !== 0x1b) {
+      controls++;
     }
   }
+  if (controls > bytes.length * 0.1) {
+    return binary('application/octet-stream');
+  }
+  
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(complete ? bytes : bytes.subarray(0, utf8Boundary(bytes)));
+    return text('utf-8');
+  } catch (error) {
+    return text('windows-1252');
+  }
+}
 
-  /**
-   * Get all stored directory handles
-   * @returns {Promise<Array>} Array of stored directory handle records
-   */
-  async getAllDirectoryHandles() {
-    await this.initialize();
-    
-    try {
-      logger.debug('Getting all directory handles');
-      
-      return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction([this.storeName], 'readonly');
-        const store = transaction.objectStore(this.storeName);
-        
-        const request = store.getAll();
-        
-        request.onsuccess = () => {
-          logger.debug(`Retrieved ${request.result.length} directory handles`);
-          resolve(request.result);
-        };
-        
-        request.onerror = (event) => {
-          logger.error('Error getting directory handles:', event.target.error);
-          reject(new Error(`Failed to get directory handles: ${event.target.error}`));
-        };
-      });
-    } catch (error) {
-      logger.error('Error in getAllDirectoryHandles:', error);
-      throw new Error(`Failed to get directory handles: ${error.message}`);
+/**
+ * Sniffs the type and encoding of a file from its first bytes
+ * @param {File} file - The file to examine
+ * @returns {Promise<object>} The sniffed type, see sniffContent
+ */
+async function sniffFile(file) {
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_SIZE).arrayBuffer());
+  const result = sniffContent(bytes, file.name, file.size <= SNIFF_SIZE);
+  
+  if (result.mimeType === 'application/octet-stream' && file.type) {
+    result.mimeType = file.type;
+  }
+  return result;
+}
+
+// Byte values of windows-1252 characters, built on first use
+let windows1252Bytes = null;
+
+/**
+ * Encodes text in a sniffed encoding, so edits keep a file's original encoding
+ * @param {string} text - The text to encode
+ * @param {string} encoding - 'utf-8', 'utf-16le', 'utf-16be' or 'windows-1252'
+ * @param {boolean} bom - Whether to start with a byte order mark
+ * @returns {Uint8Array} The encoded bytes
+ */
+function encodeText(text, encoding, bom = false) {
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    const littleEndian = encoding === 'utf-16le';
+    const offset = bom ? 2 : 0;
+    const bytes = new Uint8Array(offset + text.length * 2);
+    const view = new DataView(bytes.buffer);
+    if (bom) {
+      view.setUint16(0, 0xfeff, littleEndian);
+    }
+    for (let i = 0; i < text.length; i++) {
+      view.setUint16(offset + i * 2, text.charCodeAt(i), littleEndian);
+    }
+    return bytes;
+  }
+  
+  if (encoding === 'windows-1252') {
+    if (!windows1252Bytes) {
+      const characters = new TextDecoder('windows-1252').decode(Uint8Array.from({ length: 256 }, (_, byte) => byte));
+      windows1252Bytes = new Map(Array.from(characters, (character, byte) => [character, byte]));
     }
+    return Uint8Array.from(text, (character) => {
+      if (!windows1252Bytes.has(character)) {
+        throw new Error(`"${character}" cannot be written in the file's windows-1252 encoding`);
+      }
+      return windows1252Bytes.get(character);
+    });
+  }
+  
+  const encoded = new TextEncoder().encode(text);
+  if (!bom) {
+    return encoded;
   }
+  const bytes = new Uint8Array(encoded.length + 3);
+  bytes.set([0xef, 0xbb, 0xbf]);
+  bytes.set(encoded, 3);
+  return bytes;
+}
 
-  /**
-   * Get a directory handle by ID
+// Cache of compiled glob patterns
+const globCache = new Map();
+
+/**
+ * Converts a glob pattern into a regular expression
+ * Supports *, **, ?, [abc] character classes and {a,b} alternatives
+ * @param {string} pattern - Glob pattern
+ * @param {boolean} braces - Whether {a,b} alternatives are expanded (gitignore treats them literally)
+ * @param {boolean} ignoreCase - Whether letters match regardless of case
+ */
+function globToRegExp(pattern, braces = true, ignoreCase = false) {
+  const cacheKey = `${braces ? 'b' : 'n'}${ignoreCase ? 'i' : ''}:${pattern}`;
+  if (globCache.has(cacheKey)) {
+    return globCache.get(cacheKey);
+  }
+
+  let source = '';
+  let groupDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // '**/' matches zero or more directories, a trailing '**' matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let charClass = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (charClass.startsWith('!')) {
+          charClass = '^' + charClass.slice(1);
+        }
+        source += `[${charClass}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      // Backslash escapes the next character
+      i++;
+      source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '{' && braces) {
+      groupDepth++;
+      source += '(?:';
+    } else if (char === '}' && groupDepth > 0) {
+      groupDepth--;
+      source += ')';
+    } else if (char === ',' && groupDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\\]{}]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
+  globCache.set(cacheKey, regex);
+  return regex;
+}
+
+/**
+ * Normalizes a glob argument into an array of patterns
+ * Accepts an array or a comma separated string; commas inside {a,b} alternations
+ * belong to the pattern
+ */
+function normalizeGlobList(patterns) {
+  if (!patterns) {
+    return [];
+  }
+
+  const list = Array.isArray(patterns) ? patterns : splitOutsideBraces(String(patterns));
+  return list.map(pattern => String(pattern).trim()).filter(pattern => pattern.length > 0);
+}
+
+/**
+ * Splits a comma separated list, keeping commas between braces
+ */
+function splitOutsideBraces(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && depth > 0) {
+      depth--;
+    } else if (text[i] === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Checks whether a relative path matches any of the given glob patterns
+ * Patterns without a slash are matched against the entry name at any depth,
+ * patterns with a slash are matched against the full relative path
+ * @param {boolean} ignoreCase - Whether letters match regardless of case
+ */
+function matchesGlob(path, patterns, ignoreCase = false) {
+  const normalizedPath = path.replace(/\\/g, '/').replace(/^\.?\/+/, '');
+  const name = normalizedPath.split('/').pop();
+
+  return normalizeGlobList(patterns).some(pattern => {
+    const cleanPattern = pattern.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+    const target = cleanPattern.includes('/') ? normalizedPath : name;
+    return globToRegExp(cleanPattern, true, ignoreCase).test(target);
+  });
+}
+
+// Ignore files honoured when walking directories, in order of increasing precedence
+const IGNORE_FILE_NAMES = ['.gitignore', '.ignore'];
+
+/**
+ * Parses the contents of a .gitignore style file
+ * @param {string} content - File contents
+ * @param {string} basePath - Directory containing the file, relative to the root
+ * @returns {Array<object>} Rules in file order
+ */
+function parseIgnoreFile(content, basePath = '') {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+
+    if (!line) {
+      continue;
+    }
+
+    // Patterns with a slash before the end are relative to the ignore file's directory,
+    // others match at any depth below it
+    const anchored = line.includes('/');
+    const pattern = anchored ? line.replace(/^\/+/, '') : `**/${line}`;
+
+    rules.push({
+      pattern: rawLine.trim(),
+      regex: globToRegExp(pattern, false),
+      negate,
+      dirOnly,
+      basePath,
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Checks whether a path is ignored by a list of ignore rules
+ * The last matching rule wins, so later and deeper files can re-include paths
+ * @param {string} path - Path relative to the root
+ * @param {string} kind - 'file' or 'directory'
+ * @param {Array<object>} rules - Rules from parseIgnoreFile, outermost first
+ */
+function isIgnoredPath(path, kind, rules) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && kind !== 'directory') {
+      continue;
+    }
+
+    let relativePath = path;
+    if (rule.basePath) {
+      if (!path.startsWith(`${rule.basePath}/`)) {
+        continue;
+      }
+      relativePath = path.slice(rule.basePath.length + 1);
+    }
+
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Prefixes a path relative to a mounted root with the root's alias
+ */
+function withRootAlias(alias, path) {
+  return alias ? `${alias}:${path}` : path;
+}
+
+/**
+ * Normalizes a relative path, removing empty and '.' segments
+ */
+function normalizeRelativePath(path) {
+  return path.replace(/\\/g, '/').split('/').filter(segment => segment.length > 0 && segment !== '.').join('/');
+}
+
+/**
+ * Joins a directory path and an entry name into a relative path
+ */
+function joinPath(directory, name) {
+  return directory ? `${directory}/${name}`.replace(/\/+/g, '/') : name;
+}
+
+/**
+ * Finds where a root directory lies inside another, for roots that may be mounted twice
+ * @param {FileSystemDirectoryHandle} outer - The possibly containing root
+ * @param {FileSystemDirectoryHandle} inner - The possibly contained root
+ * @returns {Promise<string|null>} Path of inner relative to outer, '' for the same folder,
+ *   or null when inner is not inside outer (or the browser cannot tell)
+ */
+async function relativeRootPath(outer, inner) {
+  if (outer === inner || await outer.isSameEntry(inner)) {
+    return '';
+  }
+  if (typeof outer.resolve === 'function') {
+    const segments = await outer.resolve(inner);
+    return segments ? segments.join('/') : null;
+  }
+  return null;
+}
+
+/**
+ * Parses a boolean command argument, which may arrive as a string
+ */
+function parseBooleanArg(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (typeof value === 'string') {
+    return !['false', '0', 'no', 'off'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+/**
+ * Parses a numeric command argument, which may arrive as a string
+ */
+function parseNumberArg(value, defaultValue = undefined) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : defaultValue;
+}
+
+/**
+ * Renders a list of walked entries as an indented tree
+ * @param {Array} entries - Entries in depth-first order, each with a depth
+ * @returns {string} Tree representation
+ */
+function formatFileTree(entries) {
+  return entries.map(entry => {
+    const indent = '  '.repeat(entry.depth);
+    if (entry.kind === 'directory') {
+      return `${indent}${entry.name}/`;
+    }
+    const size = typeof entry.size === 'number' ? ` (${formatFileSize(entry.size)})` : '';
+    return `${indent}${entry.name}${size}`;
+  }).join('\n');
+}
+
+/**
+ * Builds the stored record of a directory with a new unique ID
+ * Only picked folders need their handle, the others are reopened by name
+ */
+function createDirectoryRecord(dirHandle, name, mode, location) {
+  const now = new Date().toISOString();
+  const backend = location.backend || 'picker';
+  return {
+    id: `dir_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: name || dirHandle.name,
+    handle: STORAGE_BACKENDS[backend].storesHandles ? dirHandle : null,
+    path: dirHandle.name,
+    backend,
+    workspace: location.workspace || null,
+    mode,
+    tags: [],
+    notes: '',
+    dateAdded: now,
+    lastUsed: now
+  };
+}
+
+/**
+ * Manages persistent storage of directory handles using IndexedDB
+ */
+class StorageManager {
+  constructor() {
+    this.dbName = 'FilePluginStorage';
+    this.dbVersion = 5;
+    this.storeName = 'directoryHandles';
+    this.auditStoreName = 'auditLog';
+    this.historyStoreName = 'fileHistory';
+    this.historyContentStoreName = 'fileHistoryContent';
+    this.manifestStoreName = 'directoryManifests';
+    this.settingsStoreName = 'settings';
+    this.db = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the database
+   * @returns {Promise<boolean>} Whether initialization was successful
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      logger.debug('Initializing storage manager');
+      
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+        
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          
+          // Create object store for directory handles if it doesn't exist
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'id' });
+            logger.debug('Created directory handles store');
+          }
+          
+          // Create object store for the audit log if it doesn't exist
+          if (!db.objectStoreNames.contains(this.auditStoreName)) {
+            const auditStore = db.createObjectStore(this.auditStoreName, { keyPath: 'id', autoIncrement: true });
+            auditStore.createIndex('timestamp', 'timestamp');
+            logger.debug('Created audit log store');
+          }
+          
+          // Create object stores for write history, keeping snapshot contents
+          // separate so versions can be listed without loading them
+          if (!db.objectStoreNames.contains(this.historyStoreName)) {
+            const historyStore = db.createObjectStore(this.historyStoreName, { keyPath: 'id', autoIncrement: true });
+            historyStore.createIndex('directoryPath', ['directoryId', 'path']);
+            db.createObjectStore(this.historyContentStoreName);
+            logger.debug('Created file history stores');
+          }
+          
+          // Create object store for the file manifests that change tracking compares
+          if (!db.objectStoreNames.contains(this.manifestStoreName)) {
+            db.createObjectStore(this.manifestStoreName, { keyPath: ['directoryId', 'checkpoint'] });
+            logger.debug('Created manifest store');
+          }
+          
+          // Create object store for settings changed at runtime
+          if (!db.objectStoreNames.contains(this.settingsStoreName)) {
+            db.createObjectStore(this.settingsStoreName, { keyPath: 'key' });
+            logger.debug('Created settings store');
+          }
+        };
+        
+        request.onsuccess = (event) => {
+          this.db = event.target.result;
+          this.isInitialized = true;
+          logger.debug('Storage manager initialized successfully');
+          resolve(true);
+        };
+        
+        request.onerror = (event) => {
+          logger.error('Error initializing storage manager:', event.target.error);
+          reject(new Error(`Failed to initialize storage: ${event.target.error}`));
+        };
+      });
+    } catch (error) {
+      logger.error('Error in storage manager initialization:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store a directory handle
+   * @param {FileSystemDirectoryHandle} dirHandle - The directory handle to store
+   * @param {string} name - A user-friendly name for the directory
+   * @param {string} mode - Access mode granted for the directory ('read' or 'readwrite')
+   * @param {object} location - Storage backend and workspace the directory was opened from
+   * @returns {Promise<string>} The ID of the stored handle
+   */
+  async storeDirectoryHandle(dirHandle, name = '', mode = 'readwrite', location = {}) {
+    await this.initialize();
+    
+    try {
+      logger.debug('Storing directory handle:', name || dirHandle.name);
+      
+      const record = createDirectoryRecord(dirHandle, name, mode, location);
+      const id = record.id;
+      
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([this.storeName], 'readwrite');
+        const store = transaction.objectStore(this.storeName);
+        
+        const request = store.add(record);
+        
+        request.onsuccess = () => {
+          logger.debug('Directory handle stored successfully:', id);
+          resolve(id);
+        };
+        
+        request.onerror = (event) => {
+          logger.error('Error storing directory handle:', event.target.error);
+          reject(new Error(`Failed to store directory handle: ${event.target.error}`));
+        };
+      });
+    } catch (error) {
+      logger.error('Error in storeDirectoryHandle:', error);
+      throw new Error(`Failed to store directory handle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all stored directory handles
+   * @returns {Promise<Array>} Array of stored directory handle records
+   */
+  async getAllDirectoryHandles() {
+    await this.initialize();
+    
+    try {
+      logger.debug('Getting all directory handles');
+      
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([this.storeName], 'readonly');
+        const store = transaction.objectStore(this.storeName);
+        
+        const request = store.getAll();
+        
+        request.onsuccess = () => {
+          logger.debug(`Retrieved ${request.result.length} directory handles`);
+          resolve(request.result);
+        };
+        
+        request.onerror = (event) => {
+          logger.error('Error getting directory handles:', event.target.error);
+          reject(new Error(`Failed to get directory handles: ${event.target.error}`));
+        };
+      });
+    } catch (error) {
+      logger.error('Error in getAllDirectoryHandles:', error);
+      throw new Error(`Failed to get directory handles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a directory handle by ID
    * @param {string} id - The ID of the directory handle
    * @returns {Promise<Object|null>} The directory handle record or null if not found
    */
@@ -371,935 +1181,9153 @@ class StorageManager {
       throw new Error(`Failed to clear directory handles: ${error.message}`);
     }
   }
-} 
 
-/**
- * Manages persistent access to directories
- * Stores and retrieves directory handles for continued access
- */
-class DirectoryPermissionManager {
-  constructor() {
-    this.rootDirectoryHandle = null;
-    this.permissionGranted = false;
-    this.storageManager = new StorageManager();
-    this.currentDirectoryId = null;
+  /**
+   * Run an operation in a transaction, resolving once the transaction completes
+   * @private
+   * @param {string[]} storeNames - Object stores used by the operation
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} operation - Receives the stores by name and may return an IDBRequest whose result is resolved
+   * @returns {Promise<*>} The result of the returned request, if any
+   */
+  async _runTransaction(storeNames, mode, operation) {
+    await this.initialize();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      const stores = {};
+      for (const name of storeNames) {
+        stores[name] = transaction.objectStore(name);
+      }
+      
+      const request = operation(stores);
+      
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = (event) => reject(event.target.error);
+      transaction.onabort = (event) => reject(event.target.error || new Error('Transaction aborted'));
+    });
   }
 
   /**
-   * Request permission to access a directory
-   * @returns {Promise<boolean>} Whether permission was granted
+   * Update fields of a stored directory record
+   * @param {string} id - The ID of the directory
+   * @param {object} changes - Fields to update
+   * @returns {Promise<object|null>} The updated record, or null if not found
    */
-  async requestDirectoryPermission() {
+  async updateDirectoryRecord(id, changes) {
     try {
-      logger.debug('Requesting directory permission');
-      
-      // Show directory picker to user
-      this.rootDirectoryHandle = await window.showDirectoryPicker({
-        id: 'file-plugin-root-dir',
-        mode: 'readwrite',
-        startIn: 'documents',
-      });
+      logger.debug('Updating directory record:', id);
       
-      // Verify we have permission
-      this.permissionGranted = await this.verifyPermission(this.rootDirectoryHandle, true);
-      
-      if (this.permissionGranted) {
-        // Store the directory handle for future use
-        this.currentDirectoryId = await this.storageManager.storeDirectoryHandle(this.rootDirectoryHandle);
-      }
+      let updated = null;
+      await this._runTransaction([this.storeName], 'readwrite', (stores) => {
+        const store = stores[this.storeName];
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) {
+            updated = { ...request.result, ...changes };
+            store.put(updated);
+          }
+        };
+      });
       
-      logger.info(`Directory permission ${this.permissionGranted ? 'granted' : 'denied'}`);
-      return this.permissionGranted;
+      return updated;
     } catch (error) {
-      logger.error('Error requesting directory permission:', error);
-      this.permissionGranted = false;
-      throw new Error(`Failed to get directory permission: ${error.message}`);
+      logger.error('Error in updateDirectoryRecord:', error);
+      throw new Error(`Failed to update directory record: ${error.message}`);
     }
   }
 
   /**
-   * Get all stored directory handles
-   * @returns {Promise<Array>} Array of directory handle records
+   * Store a manifest of a directory's files, replacing the one with the same checkpoint name
+   * @param {object} manifest - { directoryId, checkpoint, createdAt, files: [[path, size, lastModified]] }
    */
-  async getStoredDirectories() {
+  async putManifest(manifest) {
     try {
-      const directories = await this.storageManager.getAllDirectoryHandles();
-      
-      // For each directory, verify if we still have permission
-      const verifiedDirectories = [];
-      
-      for (const dir of directories) {
-        try {
-          const hasPermission = await this.verifyPermission(dir.handle, false);
-          verifiedDirectories.push({
-            id: dir.id,
-            name: dir.name,
-            path: dir.path,
-            hasPermission,
-            dateAdded: dir.dateAdded
-          });
-        } catch (error) {
-          logger.warn(`Could not verify permission for directory ${dir.name}:`, error);
-          verifiedDirectories.push({
-            id: dir.id,
-            name: dir.name,
-            path: dir.path,
-            hasPermission: false,
-            dateAdded: dir.dateAdded,
-            error: error.message
-          });
-        }
-      }
+      logger.debug('Storing manifest:', manifest.directoryId, manifest.checkpoint);
       
-      return verifiedDirectories;
+      await this._runTransaction([this.manifestStoreName], 'readwrite', (stores) => {
+        stores[this.manifestStoreName].put(manifest);
+      });
     } catch (error) {
-      logger.error('Error getting stored directories:', error);
-      throw new Error(`Failed to get stored directories: ${error.message}`);
+      logger.error('Error in putManifest:', error);
+      throw new Error(`Failed to store manifest: ${error.message}`);
     }
   }
 
   /**
-   * Switch to a different stored directory
-   * @param {string} directoryId - The ID of the directory to switch to
-   * @returns {Promise<boolean>} Whether the switch was successful
+   * Get a stored manifest
+   * @param {string} directoryId - The ID of the directory
+   * @param {string} checkpoint - The checkpoint name
+   * @returns {Promise<object|null>} The manifest, or null if none was stored
    */
-  async switchDirectory(directoryId) {
+  async getManifest(directoryId, checkpoint) {
     try {
-      logger.debug('Switching to directory:', directoryId);
-      
-      const dirRecord = await this.storageManager.getDirectoryHandle(directoryId);
-      
-      if (!dirRecord) {
-        throw new Error(`Directory with ID ${directoryId} not found`);
-      }
-      
-      // Verify we have permission
-      this.permissionGranted = await this.verifyPermission(dirRecord.handle, true);
-      
-      if (this.permissionGranted) {
-        this.rootDirectoryHandle = dirRecord.handle;
-        this.currentDirectoryId = directoryId;
-        logger.info(`Switched to directory: ${dirRecord.name}`);
-        return true;
-      } else {
-        logger.warn(`Permission denied for directory: ${dirRecord.name}`);
-        return false;
-      }
+      const manifest = await this._runTransaction([this.manifestStoreName], 'readonly', (stores) => (
+        stores[this.manifestStoreName].get([directoryId, checkpoint])
+      ));
+      return manifest || null;
     } catch (error) {
-      logger.error('Error switching directory:', error);
-      throw new Error(`Failed to switch directory: ${error.message}`);
+      logger.error('Error in getManifest:', error);
+      throw new Error(`Failed to get manifest: ${error.message}`);
     }
   }
 
   /**
-   * Remove a stored directory
-   * @param {string} directoryId - The ID of the directory to remove
-   * @returns {Promise<boolean>} Whether the removal was successful
+   * List the checkpoints stored for a directory
+   * @param {string} directoryId - The ID of the directory
+   * @returns {Promise<Array<object>>} Checkpoint names, creation times and file counts
    */
-  async removeDirectory(directoryId) {
+  async getManifestCheckpoints(directoryId) {
     try {
-      logger.debug('Removing directory:', directoryId);
-      
-      // If this is the current directory, clear it
-      if (this.currentDirectoryId === directoryId) {
-        this.rootDirectoryHandle = null;
-        this.permissionGranted = false;
-        this.currentDirectoryId = null;
-      }
-      
-      const result = await this.storageManager.removeDirectoryHandle(directoryId);
-      logger.info(`Directory removed: ${directoryId}`);
-      return result;
+      const manifests = await this._runTransaction([this.manifestStoreName], 'readonly', (stores) => (
+        stores[this.manifestStoreName].getAll(IDBKeyRange.bound([directoryId], [directoryId, []]))
+      ));
+      return manifests.map(manifest => ({
+        checkpoint: manifest.checkpoint,
+        createdAt: manifest.createdAt,
+        fileCount: manifest.files.length,
+      }));
     } catch (error) {
-      logger.error('Error removing directory:', error);
-      throw new Error(`Failed to remove directory: ${error.message}`);
+      logger.error('Error in getManifestCheckpoints:', error);
+      throw new Error(`Failed to list checkpoints: ${error.message}`);
     }
   }
 
   /**
-   * Verify we have permission to access a directory
-   * @param {FileSystemDirectoryHandle} dirHandle - The directory handle
-   * @param {boolean} askForPermission - Whether to ask for permission if not already granted
-   * @returns {Promise<boolean>} Whether permission is granted
+   * Delete the manifests of a directory
+   * @param {string} directoryId - The ID of the directory
+   * @param {string} checkpoint - Only delete this checkpoint
    */
-  async verifyPermission(dirHandle, askForPermission = false) {
-    const options = { mode: 'readwrite' };
-    
-    // Check current permission state
-    if (await dirHandle.queryPermission(options) === 'granted') {
-      return true;
-    }
-    
-    // Request permission if needed
-    if (askForPermission) {
-      return await dirHandle.requestPermission(options) === 'granted';
+  async deleteManifests(directoryId, checkpoint) {
+    try {
+      logger.debug('Deleting manifests:', directoryId, checkpoint);
+      
+      await this._runTransaction([this.manifestStoreName], 'readwrite', (stores) => {
+        stores[this.manifestStoreName].delete(checkpoint === undefined
+          ? IDBKeyRange.bound([directoryId], [directoryId, []])
+          : [directoryId, checkpoint]);
+      });
+    } catch (error) {
+      logger.error('Error in deleteManifests:', error);
+      throw new Error(`Failed to delete manifests: ${error.message}`);
     }
-    
-    return false;
   }
 
   /**
-   * Get a file handle from the root directory
-   * @param {string} path - Path relative to the root directory
-   * @returns {Promise<FileSystemFileHandle>} File handle
+   * Get all settings saved at runtime
+   * @returns {Promise<Array<object>>} Saved settings as { key, value, setting }
    */
-  async getFileHandle(path) {
-    if (!this.rootDirectoryHandle) {
-      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+  async getSettings() {
+    try {
+      return await this._runTransaction([this.settingsStoreName], 'readonly', (stores) => (
+        stores[this.settingsStoreName].getAll()
+      ));
+    } catch (error) {
+      logger.error('Error in getSettings:', error);
+      throw new Error(`Failed to get settings: ${error.message}`);
     }
-    
-    logger.debug('Getting file handle for:', path);
-    
+  }
+
+  /**
+   * Save a setting changed at runtime, or a piece of session state such as the current directory
+   * @param {object} record - The setting as { key, value, setting }, where setting is the
+   *   configured value a setting changed by a command overrides
+   */
+  async putSetting(record) {
     try {
-      // Split path into segments
-      const segments = path.split('/').filter(segment => segment.length > 0);
-      
-      if (segments.length === 0) {
-        throw new Error('Invalid file path: path cannot be empty');
-      }
-      
-      // The last segment is the file name
-      const fileName = segments.pop();
-      
-      // Navigate to the directory containing the file
-      let currentDir = this.rootDirectoryHandle;
-      for (const segment of segments) {
-        currentDir = await currentDir.getDirectoryHandle(segment, { create: false });
-      }
+      logger.debug('Saving setting:', record.key);
       
-      // Get the file handle
-      return await currentDir.getFileHandle(fileName, { create: false });
+      await this._runTransaction([this.settingsStoreName], 'readwrite', (stores) => {
+        stores[this.settingsStoreName].put(record);
+      });
     } catch (error) {
-      logger.error('Error getting file handle:', error);
-      throw new Error(`Failed to get file handle: ${error.message}`);
+      logger.error('Error in putSetting:', error);
+      throw new Error(`Failed to save setting: ${error.message}`);
     }
   }
 
   /**
-   * Get a directory handle from the root directory
-   * @param {string} path - Path relative to the root directory
-   * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+   * Delete a setting saved at runtime
+   * @param {string} key - Name of the setting
    */
-  async getDirectoryHandle(path) {
-    if (!this.rootDirectoryHandle) {
-      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+  async deleteSetting(key) {
+    try {
+      await this._runTransaction([this.settingsStoreName], 'readwrite', (stores) => {
+        stores[this.settingsStoreName].delete(key);
+      });
+    } catch (error) {
+      logger.error('Error in deleteSetting:', error);
+      throw new Error(`Failed to delete setting: ${error.message}`);
     }
-    
-    logger.debug('Getting directory handle for:', path);
-    
+  }
+
+  /**
+   * Store a snapshot of a file's previous content
+   * @param {object} entry - Snapshot metadata (directoryId, path, timestamp, size, existed)
+   * @param {ArrayBuffer|null} content - The previous content, or null if the file did not exist
+   * @returns {Promise<number>} The ID of the stored version
+   */
+  async addHistoryEntry(entry, content) {
     try {
-      // If path is empty or root, return the root directory
-      if (!path || path === '/' || path === '.') {
-        return this.rootDirectoryHandle;
-      }
-      
-      // Split path into segments
-      const segments = path.split('/').filter(segment => segment.length > 0);
+      logger.debug('Storing history entry:', entry.path);
       
-      // Navigate to the directory
-      let currentDir = this.rootDirectoryHandle;
-      for (const segment of segments) {
-        currentDir = await currentDir.getDirectoryHandle(segment, { create: false });
-      }
+      let id;
+      await this._runTransaction([this.historyStoreName, this.historyContentStoreName], 'readwrite', (stores) => {
+        const request = stores[this.historyStoreName].add(entry);
+        request.onsuccess = () => {
+          id = request.result;
+          if (content) {
+            stores[this.historyContentStoreName].put(content, id);
+          }
+        };
+      });
       
-      return currentDir;
+      return id;
     } catch (error) {
-      logger.error('Error getting directory handle:', error);
-      throw new Error(`Failed to get directory handle: ${error.message}`);
+      logger.error('Error in addHistoryEntry:', error);
+      throw new Error(`Failed to store history entry: ${error.message}`);
     }
   }
 
   /**
-   * Create a file in the root directory
-   * @param {string} path - Path relative to the root directory
-   * @returns {Promise<FileSystemFileHandle>} File handle
+   * Update a history entry's metadata
+   * @param {number} id - The ID of the version
+   * @param {object} changes - Fields to update
    */
-  async createFileHandle(path) {
-    if (!this.rootDirectoryHandle) {
-      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
-    }
-    
-    logger.debug('Creating file handle for:', path);
-    
+  async updateHistoryEntry(id, changes) {
     try {
-      // Split path into segments
-      const segments = path.split('/').filter(segment => segment.length > 0);
-      
-      if (segments.length === 0) {
-        throw new Error('Invalid file path: path cannot be empty');
-      }
-      
-      // The last segment is the file name
-      const fileName = segments.pop();
-      
-      // Navigate to the directory containing the file, creating directories as needed
-      let currentDir = this.rootDirectoryHandle;
-      for (const segment of segments) {
-        currentDir = await currentDir.getDirectoryHandle(segment, { create: true });
-      }
-      
-      // Create the file handle
-      return await currentDir.getFileHandle(fileName, { create: true });
+      await this._runTransaction([this.historyStoreName], 'readwrite', (stores) => {
+        const store = stores[this.historyStoreName];
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) {
+            store.put({ ...request.result, ...changes });
+          }
+        };
+      });
     } catch (error) {
-      logger.error('Error creating file handle:', error);
-      throw new Error(`Failed to create file handle: ${error.message}`);
+      logger.error('Error in updateHistoryEntry:', error);
+      throw new Error(`Failed to update history entry: ${error.message}`);
     }
   }
 
   /**
-   * Check if we have permission to the root directory
-   * @returns {boolean} Whether permission is granted
+   * Get history entries, newest first
+   * @param {string} directoryId - Only entries for this directory, or all directories if omitted
+   * @param {string} path - Only entries for this path, or all paths if omitted
+   * @returns {Promise<Array>} History entry metadata
    */
-  hasPermission() {
-    return this.rootDirectoryHandle !== null && this.permissionGranted;
+  async getHistoryEntries(directoryId, path) {
+    try {
+      const entries = await this._runTransaction([this.historyStoreName], 'readonly', (stores) => {
+        const store = stores[this.historyStoreName];
+        return path !== undefined
+          ? store.index('directoryPath').getAll([directoryId, path])
+          : store.getAll();
+      });
+      
+      return entries
+        .filter(entry => directoryId === undefined || entry.directoryId === directoryId)
+        .sort((a, b) => b.id - a.id);
+    } catch (error) {
+      logger.error('Error in getHistoryEntries:', error);
+      throw new Error(`Failed to get history entries: ${error.message}`);
+    }
   }
 
   /**
-   * Get the name of the root directory
-   * @returns {string} Directory name
+   * Get a history entry with its stored content
+   * @param {number} id - The ID of the version
+   * @returns {Promise<object|null>} The entry with a content ArrayBuffer, or null if not found
    */
-  getRootDirectoryName() {
-    return this.rootDirectoryHandle ? this.rootDirectoryHandle.name : '';
+  async getHistoryEntry(id) {
+    try {
+      let entry = null;
+      await this._runTransaction([this.historyStoreName, this.historyContentStoreName], 'readonly', (stores) => {
+        const metaRequest = stores[this.historyStoreName].get(id);
+        const contentRequest = stores[this.historyContentStoreName].get(id);
+        contentRequest.onsuccess = () => {
+          if (metaRequest.result) {
+            entry = { ...metaRequest.result, content: contentRequest.result || null };
+          }
+        };
+      });
+      
+      return entry;
+    } catch (error) {
+      logger.error('Error in getHistoryEntry:', error);
+      throw new Error(`Failed to get history entry: ${error.message}`);
+    }
   }
 
   /**
-   * Attempts to convert an absolute path to a relative path if it's within the root directory
-   * @param {string} absolutePath - The absolute path to convert
-   * @returns {string|null} The relative path or null if not within the root directory
+   * Delete history entries and their content
+   * @param {number[]} ids - The IDs of the versions to delete
    */
-  tryConvertToRelativePath(absolutePath) {
-    if (!this.rootDirectoryHandle || !absolutePath) {
-      return null;
+  async deleteHistoryEntries(ids) {
+    if (ids.length === 0) {
+      return;
     }
     
     try {
-      // Get the absolute path of the root directory
-      // Note: This is not directly available from the API, so this is a best-effort approach
-      const rootPath = this.rootDirectoryHandle.name;
-      
-      // Normalize paths
-      const normalizedAbsolutePath = absolutePath.replace(/\\/g, '/');
-      const normalizedRootPath = rootPath.replace(/\\/g, '/');
+      logger.debug('Deleting history entries:', ids);
       
-      // Check if the absolute path starts with the root path
-      if (normalizedAbsolutePath.startsWith(normalizedRootPath)) {
-        // Extract the relative part
-        let relativePath = normalizedAbsolutePath.substring(normalizedRootPath.length);
-        
-        // Remove leading slash if present
-        if (relativePath.startsWith('/')) {
-          relativePath = relativePath.substring(1);
+      await this._runTransaction([this.historyStoreName, this.historyContentStoreName], 'readwrite', (stores) => {
+        for (const id of ids) {
+          stores[this.historyStoreName].delete(id);
+          stores[this.historyContentStoreName].delete(id);
         }
-        
-        logger.debug('Converted absolute path to relative:', absolutePath, '->', relativePath);
-        return relativePath;
-      }
-      
-      return null;
+      });
     } catch (error) {
-      logger.error('Error converting absolute path to relative:', error);
-      return null;
+      logger.error('Error in deleteHistoryEntries:', error);
+      throw new Error(`Failed to delete history entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add an entry to the audit log
+   * @param {object} entry - The audit entry (timestamp, command, path, directoryId, bytes, success, message)
+   * @returns {Promise<number>} The ID of the stored entry
+   */
+  async addAuditEntry(entry) {
+    await this.initialize();
+    
+    try {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([this.auditStoreName], 'readwrite');
+        const store = transaction.objectStore(this.auditStoreName);
+        
+        const request = store.add(entry);
+        
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+        
+        request.onerror = (event) => {
+          logger.error('Error storing audit entry:', event.target.error);
+          reject(new Error(`Failed to store audit entry: ${event.target.error}`));
+        };
+      });
+    } catch (error) {
+      logger.error('Error in addAuditEntry:', error);
+      throw new Error(`Failed to store audit entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove audit entries older than a cutoff, then the oldest entries beyond a count
+   * @param {object} limits - Retention limits
+   * @param {number} limits.before - Remove entries recorded before this time (ms since epoch)
+   * @param {number} limits.maxEntries - Number of newest entries to keep
+   * @returns {Promise<number>} The number of entries removed
+   */
+  async pruneAuditEntries({ before, maxEntries = Infinity } = {}) {
+    try {
+      let removed = 0;
+      
+      await this._runTransaction([this.auditStoreName], 'readwrite', (stores) => {
+        const store = stores[this.auditStoreName];
+        const index = store.index('timestamp');
+        
+        const removeOldest = (range, count) => {
+          if (count <= 0) {
+            return;
+          }
+          index.openCursor(range).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor && count > 0) {
+              cursor.delete();
+              removed++;
+              count--;
+              cursor.continue();
+            }
+          };
+        };
+        
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+          let excess = countRequest.result - maxEntries;
+          if (before !== undefined) {
+            const expired = index.count(IDBKeyRange.upperBound(before, true));
+            expired.onsuccess = () => {
+              removeOldest(null, Math.max(excess, expired.result));
+            };
+          } else {
+            removeOldest(null, excess);
+          }
+        };
+      });
+      
+      if (removed > 0) {
+        logger.debug(`Pruned ${removed} audit entries`);
+      }
+      return removed;
+    } catch (error) {
+      logger.error('Error in pruneAuditEntries:', error);
+      throw new Error(`Failed to prune audit log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query the audit log, newest entries first
+   * @param {object} filters - Query filters
+   * @param {number} filters.since - Only entries at or after this time (ms since epoch)
+   * @param {number} filters.until - Only entries at or before this time (ms since epoch)
+   * @param {function} filters.match - Predicate further filtering entries
+   * @param {number} filters.limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Matching audit entries
+   */
+  async queryAuditEntries(filters = {}) {
+    await this.initialize();
+    
+    try {
+      logger.debug('Querying audit log:', filters);
+      
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([this.auditStoreName], 'readonly');
+        const index = transaction.objectStore(this.auditStoreName).index('timestamp');
+        
+        let range = null;
+        if (filters.since !== undefined && filters.until !== undefined) {
+          range = IDBKeyRange.bound(filters.since, filters.until);
+        } else if (filters.since !== undefined) {
+          range = IDBKeyRange.lowerBound(filters.since);
+        } else if (filters.until !== undefined) {
+          range = IDBKeyRange.upperBound(filters.until);
+        }
+        
+        const limit = filters.limit || Infinity;
+        const entries = [];
+        const request = index.openCursor(range, 'prev');
+        
+        request.onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor || entries.length >= limit) {
+            resolve(entries);
+            return;
+          }
+          
+          if (!filters.match || filters.match(cursor.value)) {
+            entries.push(cursor.value);
+          }
+          cursor.continue();
+        };
+        
+        request.onerror = (event) => {
+          logger.error('Error querying audit log:', event.target.error);
+          reject(new Error(`Failed to query audit log: ${event.target.error}`));
+        };
+      });
+    } catch (error) {
+      logger.error('Error in queryAuditEntries:', error);
+      throw new Error(`Failed to query audit log: ${error.message}`);
     }
   }
 } 
 
 /**
- * Handles file system access with appropriate permissions and safety checks
+ * Keeps the same records as StorageManager in memory, for hosts without IndexedDB such as Node
+ * Directories, history, checkpoints, settings and the audit log last until the page is reloaded
+ * or the process exits, like the files of the memory backend
  */
-class FileAccessManager {
-  constructor(options = {}) {
-    this.baseDirectory = options.baseDirectory || '';
-    this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024; // 10MB default
-    this.allowedExtensions = options.allowedExtensions || null;
-    this.directoryManager = new DirectoryPermissionManager();
+class MemoryStorageManager {
+  constructor() {
+    this.directories = new Map(); // id -> directory record
+    this.manifests = new Map(); // directory ID -> Map of checkpoint -> manifest
+    this.settings = new Map(); // key -> setting record
+    this.historyEntries = new Map(); // id -> history entry
+    this.historyContents = new Map(); // id -> stored content
+    this.auditEntries = []; // in the order they were added
+    this.nextHistoryId = 1;
+    this.nextAuditId = 1;
+    this.isInitialized = true;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  async storeDirectoryHandle(dirHandle, name = '', mode = 'readwrite', location = {}) {
+    const record = createDirectoryRecord(dirHandle, name, mode, location);
+    this.directories.set(record.id, record);
+    return record.id;
+  }
+
+  async getAllDirectoryHandles() {
+    return [...this.directories.values()].map(record => ({ ...record }));
+  }
+
+  async getDirectoryHandle(id) {
+    const record = this.directories.get(id);
+    return record ? { ...record } : null;
+  }
+
+  async removeDirectoryHandle(id) {
+    this.directories.delete(id);
+    return true;
+  }
+
+  async clearAllDirectoryHandles() {
+    this.directories.clear();
+    return true;
+  }
+
+  async updateDirectoryRecord(id, changes) {
+    if (!this.directories.has(id)) {
+      return null;
+    }
+    const updated = { ...this.directories.get(id), ...changes };
+    this.directories.set(id, updated);
+    return { ...updated };
+  }
+
+  async putManifest(manifest) {
+    if (!this.manifests.has(manifest.directoryId)) {
+      this.manifests.set(manifest.directoryId, new Map());
+    }
+    this.manifests.get(manifest.directoryId).set(manifest.checkpoint, manifest);
+  }
+
+  async getManifest(directoryId, checkpoint) {
+    return this.manifests.get(directoryId)?.get(checkpoint) || null;
+  }
+
+  async getManifestCheckpoints(directoryId) {
+    // Sorted by name, as IndexedDB returns them
+    return [...(this.manifests.get(directoryId)?.values() || [])]
+      .sort((a, b) => (a.checkpoint < b.checkpoint ? -1 : a.checkpoint > b.checkpoint ? 1 : 0))
+      .map(manifest => ({
+        checkpoint: manifest.checkpoint,
+        createdAt: manifest.createdAt,
+        fileCount: manifest.files.length,
+      }));
+  }
+
+  async deleteManifests(directoryId, checkpoint) {
+    if (checkpoint === undefined) {
+      this.manifests.delete(directoryId);
+    } else {
+      this.manifests.get(directoryId)?.delete(checkpoint);
+    }
+  }
+
+  async getSettings() {
+    return [...this.settings.values()].map(record => ({ ...record }));
+  }
+
+  async putSetting(record) {
+    this.settings.set(record.key, { ...record });
+  }
+
+  async deleteSetting(key) {
+    this.settings.delete(key);
+  }
+
+  async addHistoryEntry(entry, content) {
+    const id = this.nextHistoryId++;
+    this.historyEntries.set(id, { ...entry, id });
+    if (content) {
+      this.historyContents.set(id, content);
+    }
+    return id;
+  }
+
+  async updateHistoryEntry(id, changes) {
+    if (this.historyEntries.has(id)) {
+      this.historyEntries.set(id, { ...this.historyEntries.get(id), ...changes });
+    }
+  }
+
+  async getHistoryEntries(directoryId, path) {
+    return [...this.historyEntries.values()]
+      .filter(entry => (directoryId === undefined || entry.directoryId === directoryId) &&
+        (path === undefined || entry.path === path))
+      .sort((a, b) => b.id - a.id)
+      .map(entry => ({ ...entry }));
+  }
+
+  async getHistoryEntry(id) {
+    const entry = this.historyEntries.get(id);
+    return entry ? { ...entry, content: this.historyContents.get(id) || null } : null;
+  }
+
+  async deleteHistoryEntries(ids) {
+    for (const id of ids) {
+      this.historyEntries.delete(id);
+      this.historyContents.delete(id);
+    }
+  }
+
+  async addAuditEntry(entry) {
+    const id = this.nextAuditId++;
+    this.auditEntries.push({ ...entry, id });
+    return id;
+  }
+
+  async pruneAuditEntries({ before, maxEntries = Infinity } = {}) {
+    const oldestFirst = [...this.auditEntries].sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+    const expired = before === undefined ? 0 : oldestFirst.filter(entry => entry.timestamp < before).length;
+    const count = Math.max(this.auditEntries.length - maxEntries, expired, 0);
+    if (count === 0) {
+      return 0;
+    }
     
-    logger.debug('FileAccessManager initialized with options:', options);
+    const removed = new Set(oldestFirst.slice(0, count));
+    this.auditEntries = this.auditEntries.filter(entry => !removed.has(entry));
+    logger.debug(`Pruned ${count} audit entries`);
+    return count;
+  }
+
+  async queryAuditEntries(filters = {}) {
+    const limit = filters.limit || Infinity;
+    const entries = [];
+    const newestFirst = [...this.auditEntries].sort((a, b) => b.timestamp - a.timestamp || b.id - a.id);
+    for (const entry of newestFirst) {
+      if (entries.length >= limit) {
+        break;
+      }
+      if ((filters.since !== undefined && entry.timestamp < filters.since) ||
+        (filters.until !== undefined && entry.timestamp > filters.until)) {
+        continue;
+      }
+      if (!filters.match || filters.match(entry)) {
+        entries.push({ ...entry });
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Creates the storage for directory records and history, in IndexedDB where the host has it
+ */
+function createStorageManager() {
+  return typeof indexedDB === 'undefined' ? new MemoryStorageManager() : new StorageManager();
+}
+
+// Workspace opened by the origin private file system and in-memory backends when none is named
+const DEFAULT_WORKSPACE_NAME = 'workspace';
+
+/**
+ * Creates the DOMException a File System Access handle would throw
+ */
+function fileSystemError(name, message) {
+  return typeof DOMException === 'function' ? new DOMException(message, name) : Object.assign(new Error(message), { name });
+}
+
+/**
+ * Rejects entry names a browser would refuse, such as "..", or names containing a separator
+ */
+function assertEntryName(name) {
+  if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[/\\]/.test(name)) {
+    throw new TypeError(`Name is not allowed: "${name}"`);
+  }
+}
+
+/**
+ * In-memory stand-in for FileSystemFileHandle, used by MemoryBackend
+ */
+class MemoryFileHandle {
+  constructor(name) {
+    this.kind = 'file';
+    this.name = name;
+    this.data = new Uint8Array(0);
+    this.lastModified = Date.now();
+  }
+
+  async isSameEntry(other) {
+    return other === this;
+  }
+
+  async queryPermission() {
+    return 'granted';
+  }
+
+  async requestPermission() {
+    return 'granted';
+  }
+
+  async getFile() {
+    return new File([this.data], this.name, { lastModified: this.lastModified });
+  }
+
+  /**
+   * Opens a writable stream; as in the browser, writes go to a copy that
+   * replaces the file's content when the stream is closed
+   */
+  async createWritable(options = {}) {
+    const handle = this;
+    let buffer = options.keepExistingData ? this.data.slice() : new Uint8Array(0);
+    let size = buffer.length;
+    let position = 0;
+    let closed = false;
+    
+    const resize = (length) => {
+      if (length > buffer.length) {
+        const grown = new Uint8Array(Math.max(length, buffer.length * 2));
+        grown.set(buffer.subarray(0, size));
+        buffer = grown;
+      }
+      if (length > size) {
+        buffer.fill(0, size, length);
+      }
+      size = length;
+    };
+    
+    return {
+      async write(chunk) {
+        if (closed) {
+          throw new TypeError('The stream is closed');
+        }
+        
+        // Blobs also have a type, holding their MIME type
+        if (chunk && typeof chunk.type === 'string' && !(chunk instanceof Blob)) {
+          if (chunk.type === 'seek') {
+            position = chunk.position;
+            return;
+          }
+          if (chunk.type === 'truncate') {
+            await this.truncate(chunk.size);
+            return;
+          }
+          position = chunk.position ?? position;
+          chunk = chunk.data;
+        }
+        
+        const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk)
+          : chunk instanceof Blob ? new Uint8Array(await chunk.arrayBuffer())
+            : chunk instanceof ArrayBuffer ? new Uint8Array(chunk)
+              : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        if (position + bytes.length > size) {
+          resize(position + bytes.length);
+        }
+        buffer.set(bytes, position);
+        position += bytes.length;
+      },
+      async seek(offset) {
+        position = offset;
+      },
+      async truncate(length) {
+        resize(length);
+        position = Math.min(position, size);
+      },
+      async close() {
+        closed = true;
+        handle.data = buffer.slice(0, size);
+        // Keep lastModified increasing, as change tracking and write preconditions compare it
+        handle.lastModified = Math.max(Date.now(), handle.lastModified + 1);
+      },
+      async abort() {
+        closed = true;
+      },
+    };
+  }
+}
+
+/**
+ * In-memory stand-in for FileSystemDirectoryHandle, used by MemoryBackend
+ */
+class MemoryDirectoryHandle {
+  constructor(name) {
+    this.kind = 'directory';
+    this.name = name;
+    this.children = new Map();
+  }
+
+  async isSameEntry(other) {
+    return other === this;
+  }
+
+  async queryPermission() {
+    return 'granted';
+  }
+
+  async requestPermission() {
+    return 'granted';
+  }
+
+  async getDirectoryHandle(name, options = {}) {
+    return this._getChild(name, 'directory', options.create);
+  }
+
+  async getFileHandle(name, options = {}) {
+    return this._getChild(name, 'file', options.create);
+  }
+
+  /**
+   * Looks up a child entry, creating it if asked to
+   * @private
+   */
+  _getChild(name, kind, create = false) {
+    assertEntryName(name);
+    
+    let child = this.children.get(name);
+    if (!child) {
+      if (!create) {
+        throw fileSystemError('NotFoundError', `A requested file or directory could not be found: ${name}`);
+      }
+      child = kind === 'directory' ? new MemoryDirectoryHandle(name) : new MemoryFileHandle(name);
+      this.children.set(name, child);
+    }
+    if (child.kind !== kind) {
+      throw fileSystemError('TypeMismatchError', `"${name}" is not a ${kind}`);
+    }
+    return child;
+  }
+
+  async removeEntry(name, options = {}) {
+    const child = this.children.get(name);
+    if (!child) {
+      throw fileSystemError('NotFoundError', `A requested file or directory could not be found: ${name}`);
+    }
+    if (child.kind === 'directory' && child.children.size > 0 && !options.recursive) {
+      throw fileSystemError('InvalidModificationError', `Directory "${name}" is not empty`);
+    }
+    this.children.delete(name);
+  }
+
+  async *entries() {
+    for (const entry of [...this.children]) {
+      yield entry;
+    }
+  }
+
+  async *keys() {
+    for (const name of [...this.children.keys()]) {
+      yield name;
+    }
+  }
+
+  async *values() {
+    for (const child of [...this.children.values()]) {
+      yield child;
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.entries();
+  }
+}
+
+/**
+ * Storage backends supply the root directory handles DirectoryPermissionManager works in
+ * Each hands out objects with the File System Access handle interface, so every command
+ * works the same on all of them
+ *
+ * The picker backend opens a folder on the user's disk. Its handles are stored in
+ * IndexedDB and keep their permission across sessions
+ */
+class PickerBackend {
+  constructor() {
+    this.name = 'picker';
+    this.description = 'local folder';
+    this.storesHandles = true;
+    this.persistent = true;
+  }
+
+  isAvailable() {
+    return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+  }
+
+  /**
+   * Lets the user pick a folder
+   * @param {object} options - mode and startIn for the picker
+   * @returns {Promise<FileSystemDirectoryHandle>} The picked folder
+   */
+  async openRoot(options = {}) {
+    return window.showDirectoryPicker({
+      id: 'file-plugin-root-dir',
+      mode: options.mode,
+      startIn: options.startIn,
+    });
+  }
+}
+
+/**
+ * Backend built on the origin private file system, a sandboxed per-site store every
+ * current browser offers. Each workspace is a folder at its root
+ */
+class OpfsBackend {
+  constructor() {
+    this.name = 'opfs';
+    this.description = 'private browser workspace';
+    this.storesHandles = false;
+    this.persistent = true;
+  }
+
+  isAvailable() {
+    return typeof navigator !== 'undefined' && typeof navigator.storage?.getDirectory === 'function';
+  }
+
+  /**
+   * Opens a workspace, creating it if needed
+   * @param {object} options - workspace name
+   * @returns {Promise<FileSystemDirectoryHandle>} The workspace folder
+   */
+  async openRoot(options = {}) {
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(options.workspace || DEFAULT_WORKSPACE_NAME, { create: true });
+  }
+}
+
+/**
+ * Backend keeping files in memory, for tests and throwaway work
+ * Workspaces last until the page is reloaded
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.description = 'in-memory workspace';
+    this.storesHandles = false;
+    this.persistent = false; // files are gone after a reload
+    this.workspaces = new Map();
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Opens a workspace, creating it if needed
+   * @param {object} options - workspace name
+   * @returns {Promise<MemoryDirectoryHandle>} The workspace folder
+   */
+  async openRoot(options = {}) {
+    const name = options.workspace || DEFAULT_WORKSPACE_NAME;
+    assertEntryName(name);
+    if (!this.workspaces.has(name)) {
+      this.workspaces.set(name, new MemoryDirectoryHandle(name));
+    }
+    return this.workspaces.get(name);
+  }
+}
+
+/**
+ * Read-only handle for a file of an imported folder snapshot, reading the selected File lazily
+ */
+class SnapshotFileHandle {
+  constructor(file) {
+    this.kind = 'file';
+    this.name = file.name;
+    this.file = file;
+  }
+
+  async isSameEntry(other) {
+    return other === this;
+  }
+
+  async queryPermission() {
+    return 'granted';
+  }
+
+  async requestPermission() {
+    return 'granted';
+  }
+
+  async getFile() {
+    return this.file;
+  }
+
+  async createWritable() {
+    throw fileSystemError('NoModificationAllowedError', `"${this.name}" belongs to a read-only folder snapshot`);
+  }
+}
+
+/**
+ * Lets the user select a folder with an <input type="file" webkitdirectory>
+ * @returns {Promise<Array<File>>} The folder's files, each with a webkitRelativePath
+ */
+function selectDirectoryFiles() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.webkitdirectory = true;
+    input.multiple = true;
+    input.style.display = 'none';
+    
+    input.addEventListener('change', () => {
+      input.remove();
+      resolve([...input.files]);
+    }, { once: true });
+    input.addEventListener('cancel', () => {
+      input.remove();
+      reject(fileSystemError('AbortError', 'The user aborted a request.'));
+    }, { once: true });
+    
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+/**
+ * Offers a Blob to the user as a download
+ * @param {Blob} blob - The content
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Revoking the URL right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
+/**
+ * Backend for browsers without showDirectoryPicker: imports a static, read-only snapshot of a
+ * folder selected with a webkitdirectory input. Writes are offered as downloads instead
+ */
+class SnapshotBackend {
+  constructor() {
+    this.name = 'snapshot';
+    this.description = 'read-only folder snapshot';
+    this.storesHandles = false;
+    this.persistent = false; // the selected files are gone after a reload
+    this.readOnly = true;
+    this.snapshots = new Map(); // stored directory ID -> imported root
+  }
+
+  isAvailable() {
+    return typeof document !== 'undefined' && 'webkitdirectory' in document.createElement('input');
+  }
+
+  /**
+   * Imports a folder the user selects, or reopens one imported earlier on this page
+   * @param {object} options - reopen, with the stored directory ID and workspace (folder) name when reopening
+   * @returns {Promise<MemoryDirectoryHandle>} The snapshot's root folder
+   */
+  async openRoot(options = {}) {
+    if (options.reopen) {
+      const root = this.snapshots.get(options.id);
+      if (!root) {
+        throw new Error(`The snapshot of "${options.workspace}" was not kept after the page was reloaded, import the folder again with requestDirectoryAccess`);
+      }
+      return root;
+    }
+    
+    const files = await selectDirectoryFiles();
+    if (files.length === 0) {
+      throw new Error('The selected folder has no files, empty folders cannot be imported');
+    }
+    
+    // Every relative path starts with the selected folder's name
+    const root = new MemoryDirectoryHandle(files[0].webkitRelativePath.split('/')[0]);
+    root.importedAt = new Date().toISOString();
+    
+    for (const file of files) {
+      const segments = file.webkitRelativePath.split('/').slice(1);
+      const fileName = segments.pop();
+      let dirHandle = root;
+      for (const segment of segments) {
+        dirHandle = await dirHandle.getDirectoryHandle(segment, { create: true });
+      }
+      dirHandle.children.set(fileName, new SnapshotFileHandle(file));
+    }
+    
+    logger.info(`Imported a snapshot of ${root.name} with ${files.length} files`);
+    return root;
+  }
+
+  /**
+   * Keeps an imported root for the stored directory it was imported as, replacing an earlier import
+   * @param {string} id - The stored directory ID
+   * @param {MemoryDirectoryHandle} root - The snapshot's root folder
+   */
+  remember(id, root) {
+    this.snapshots.set(id, root);
+  }
+
+  /**
+   * Drops the imported root of a stored directory
+   * @param {string} id - The stored directory ID
+   */
+  forget(id) {
+    this.snapshots.delete(id);
+  }
+}
+
+// Available storage backends by name
+const STORAGE_BACKENDS = {
+  picker: new PickerBackend(),
+  opfs: new OpfsBackend(),
+  memory: new MemoryBackend(),
+  snapshot: new SnapshotBackend(),
+};
+
+// Values of the storageBackend setting and requestDirectoryAccess argument
+const STORAGE_BACKEND_CHOICES = ['auto', ...Object.keys(STORAGE_BACKENDS)];
+
+// How writes to a read-only snapshot are delivered: each as a download, or collected for one ZIP
+const SNAPSHOT_WRITE_MODES = ['download', 'zip'];
+
+/**
+ * Finds a storage backend by name; 'auto' picks the first available of a local folder,
+ * a folder snapshot, the origin private file system and memory
+ * @param {string} name - 'auto', 'picker', 'snapshot', 'opfs' or 'memory'
+ * @returns {object} The backend
+ */
+function getStorageBackend(name = 'auto') {
+  if (name === 'auto') {
+    return [STORAGE_BACKENDS.picker, STORAGE_BACKENDS.snapshot, STORAGE_BACKENDS.opfs, STORAGE_BACKENDS.memory]
+      .find(backend => backend.isAvailable());
+  }
+  
+  const backend = STORAGE_BACKENDS[name];
+  if (!backend) {
+    throw new Error(`Unknown storage backend "${name}", expected one of: auto, ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  if (!backend.isAvailable()) {
+    throw new Error(`The ${backend.description} backend ("${name}") is not supported in this browser`);
+  }
+  return backend;
+}
+
+/**
+ * Manages persistent access to directories
+ * Stores and retrieves directory handles for continued access
+ */
+class DirectoryPermissionManager {
+  constructor() {
+    this.rootDirectoryHandle = null;
+    this.permissionGranted = false;
+    this.storageManager = createStorageManager();
+    this.currentDirectoryId = null;
+    this.accessMode = 'readwrite';
+    this.mounts = new Map(); // alias -> mounted stored directory
+    this.reusedRecord = null; // set when the last picked directory was already stored
+    this.pendingRegrant = null; // restored directory whose permission must be granted again
+    this.backend = 'picker'; // storage backend of the current directory
+    this.snapshotChanges = new Map(); // snapshot directory ID -> Map of path -> content written to it
+  }
+
+  /**
+   * Request permission to access a directory
+   * @param {string} mode - 'readwrite' (default) or 'read' for a read-only directory
+   * @param {object} options - startIn for the picker, the storage backend and its workspace name
+   * @returns {Promise<boolean>} Whether permission was granted
+   */
+  async requestDirectoryPermission(mode = 'readwrite', options = {}) {
+    try {
+      logger.debug('Requesting directory permission, mode:', mode);
+      
+      if (!ACCESS_MODES.includes(mode)) {
+        throw new Error(`Invalid access mode "${mode}", expected one of: ${ACCESS_MODES.join(', ')}`);
+      }
+      
+      // Show directory picker to user, or open a workspace of the other backends
+      const backend = getStorageBackend(options.backend || 'auto');
+      if (backend.readOnly) {
+        mode = 'read';
+      }
+      this.rootDirectoryHandle = await backend.openRoot({
+        mode,
+        startIn: options.startIn || 'documents',
+        workspace: options.workspace || DEFAULT_WORKSPACE_NAME,
+      });
+      
+      // Workspaces and snapshots are stored by the name of their folder
+      const workspace = backend.storesHandles ? null : this.rootDirectoryHandle.name;
+      
+      // Verify we have permission
+      this.permissionGranted = await this.verifyPermission(this.rootDirectoryHandle, true, mode);
+      this.accessMode = mode;
+      this.reusedRecord = null;
+      
+      if (this.permissionGranted) {
+        // Reuse the stored record if this folder was picked before
+        const existing = await this.findStoredDirectory(this.rootDirectoryHandle, backend.name, workspace);
+        
+        if (existing) {
+          this.reusedRecord = await this.storageManager.updateDirectoryRecord(existing.id, {
+            handle: backend.storesHandles ? this.rootDirectoryHandle : null,
+            mode,
+            lastUsed: new Date().toISOString(),
+          });
+          this.currentDirectoryId = existing.id;
+        } else {
+          // Store the directory handle for future use
+          this.currentDirectoryId = await this.storageManager.storeDirectoryHandle(
+            this.rootDirectoryHandle, '', mode, { backend: backend.name, workspace }
+          );
+        }
+        this.backend = backend.name;
+        this.pendingRegrant = null;
+        
+        // Importing a folder again shows it as it is now, without the writes made to the earlier import
+        if (backend.readOnly) {
+          backend.remember(this.currentDirectoryId, this.rootDirectoryHandle);
+          this.snapshotChanges.delete(this.currentDirectoryId);
+        }
+        await this._rememberCurrentDirectory();
+      }
+      
+      logger.info(`Directory permission ${this.permissionGranted ? 'granted' : 'denied'}`);
+      return this.permissionGranted;
+    } catch (error) {
+      logger.error('Error requesting directory permission:', error);
+      this.permissionGranted = false;
+      throw new Error(`Failed to get directory permission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the stored record for a directory handle, comparing with isSameEntry
+   * so the same folder is recognised even when picked again
+   * Workspaces of the other backends are recognised by their name
+   * @param {FileSystemDirectoryHandle} dirHandle - The directory handle
+   * @param {string} backend - Storage backend the directory was opened from
+   * @param {string|null} workspace - Workspace name, for backends that do not store handles
+   * @returns {Promise<object|null>} The stored record, or null if the folder is not stored
+   */
+  async findStoredDirectory(dirHandle, backend = 'picker', workspace = null) {
+    for (const record of await this.storageManager.getAllDirectoryHandles()) {
+      if ((record.backend || 'picker') !== backend) {
+        continue;
+      }
+      if (!record.handle) {
+        if (record.workspace === workspace) {
+          return record;
+        }
+        continue;
+      }
+      
+      try {
+        if (await record.handle.isSameEntry(dirHandle)) {
+          return record;
+        }
+      } catch (error) {
+        logger.warn(`Could not compare with stored directory ${record.name}:`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a stored directory from its ID, its name or its alias
+   * @param {string} idOrName - The ID, unique name or alias of the directory
+   * @returns {Promise<string>} The directory ID
+   */
+  async resolveDirectoryId(idOrName) {
+    const records = await this.storageManager.getAllDirectoryHandles();
+    
+    if (records.some(record => record.id === idOrName)) {
+      return idOrName;
+    }
+    
+    const lookup = String(idOrName || '').trim().toLowerCase();
+    let matches = records.filter(record => record.name === idOrName || record.alias === idOrName);
+    if (matches.length === 0) {
+      matches = records.filter(record => record.name.toLowerCase() === lookup);
+    }
+    
+    if (matches.length === 0) {
+      throw new Error(`No stored directory with ID or name "${idOrName}"`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `"${idOrName}" matches ${matches.length} stored directories (${matches.map(record => record.id).join(', ')}), use an ID or rename one of them`
+      );
+    }
+    return matches[0].id;
+  }
+
+  /**
+   * Rename a stored directory
+   * @param {string} idOrName - The ID, unique name or alias of the directory
+   * @param {string} name - The new name, which must not be used by another directory
+   * @returns {Promise<object>} The updated record
+   */
+  async renameDirectory(idOrName, name) {
+    try {
+      const directoryId = await this.resolveDirectoryId(idOrName);
+      name = String(name || '').trim();
+      
+      if (!name) {
+        throw new Error('The new name cannot be empty');
+      }
+      
+      const records = await this.storageManager.getAllDirectoryHandles();
+      const clash = records.find(record => record.id !== directoryId && record.name.toLowerCase() === name.toLowerCase());
+      if (clash) {
+        throw new Error(`Another stored directory is already named "${clash.name}"`);
+      }
+      
+      for (const mount of this.mounts.values()) {
+        if (mount.id === directoryId) {
+          mount.name = name;
+        }
+      }
+      
+      return await this.storageManager.updateDirectoryRecord(directoryId, { name });
+    } catch (error) {
+      logger.error('Error renaming directory:', error);
+      throw new Error(`Failed to rename directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the tags and notes of a stored directory
+   * @param {string} idOrName - The ID, unique name or alias of the directory
+   * @param {object} info - tags (array of strings) and/or notes (string); omitted fields are kept
+   * @returns {Promise<object>} The updated record
+   */
+  async setDirectoryInfo(idOrName, info) {
+    try {
+      const directoryId = await this.resolveDirectoryId(idOrName);
+      const changes = {};
+      
+      if (info.tags !== undefined) {
+        changes.tags = [...new Set(info.tags.map(tag => String(tag).trim()).filter(tag => tag.length > 0))];
+      }
+      if (info.notes !== undefined) {
+        changes.notes = String(info.notes);
+      }
+      
+      return await this.storageManager.updateDirectoryRecord(directoryId, changes);
+    } catch (error) {
+      logger.error('Error updating directory info:', error);
+      throw new Error(`Failed to update directory info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all stored directory handles
+   * @returns {Promise<Array>} Array of directory handle records
+   */
+  async getStoredDirectories() {
+    try {
+      const directories = await this.storageManager.getAllDirectoryHandles();
+      
+      // For each directory, verify if we still have permission
+      const verifiedDirectories = [];
+      
+      for (const dir of directories) {
+        try {
+          const hasPermission = await this.verifyPermission(await this.openStoredDirectory(dir), false, dir.mode || 'readwrite');
+          verifiedDirectories.push({
+            id: dir.id,
+            name: dir.name,
+            path: dir.path,
+            backend: dir.backend || 'picker',
+            workspace: dir.workspace || null,
+            mode: dir.mode || 'readwrite',
+            alias: dir.alias || null,
+            mounted: Boolean(dir.alias) && this.mounts.get(dir.alias)?.id === dir.id,
+            current: dir.id === this.currentDirectoryId,
+            tags: dir.tags || [],
+            notes: dir.notes || '',
+            lastUsed: dir.lastUsed || dir.dateAdded,
+            hasPermission,
+            dateAdded: dir.dateAdded
+          });
+        } catch (error) {
+          logger.warn(`Could not verify permission for directory ${dir.name}:`, error);
+          verifiedDirectories.push({
+            id: dir.id,
+            name: dir.name,
+            path: dir.path,
+            backend: dir.backend || 'picker',
+            workspace: dir.workspace || null,
+            mode: dir.mode || 'readwrite',
+            alias: dir.alias || null,
+            mounted: Boolean(dir.alias) && this.mounts.get(dir.alias)?.id === dir.id,
+            current: dir.id === this.currentDirectoryId,
+            tags: dir.tags || [],
+            notes: dir.notes || '',
+            lastUsed: dir.lastUsed || dir.dateAdded,
+            hasPermission: false,
+            dateAdded: dir.dateAdded,
+            error: error.message
+          });
+        }
+      }
+      
+      return verifiedDirectories;
+    } catch (error) {
+      logger.error('Error getting stored directories:', error);
+      throw new Error(`Failed to get stored directories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch to a different stored directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory to switch to
+   * @returns {Promise<boolean>} Whether the switch was successful
+   */
+  async switchDirectory(directoryId) {
+    try {
+      logger.debug('Switching to directory:', directoryId);
+      
+      directoryId = await this.resolveDirectoryId(directoryId);
+      const dirRecord = await this.storageManager.getDirectoryHandle(directoryId);
+      
+      if (!dirRecord) {
+        throw new Error(`Directory with ID ${directoryId} not found`);
+      }
+      
+      // Verify we have permission
+      const mode = dirRecord.mode || 'readwrite';
+      const dirHandle = await this.openStoredDirectory(dirRecord);
+      this.permissionGranted = await this.verifyPermission(dirHandle, true, mode);
+      
+      if (this.permissionGranted) {
+        await this._attachDirectory(dirRecord, dirHandle);
+        logger.info(`Switched to directory: ${dirRecord.name}`);
+        return true;
+      } else {
+        logger.warn(`Permission denied for directory: ${dirRecord.name}`);
+        return false;
+      }
+    } catch (error) {
+      logger.error('Error switching directory:', error);
+      throw new Error(`Failed to switch directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the handle of a stored directory, reopening the workspace for backends
+   * that do not store handles
+   * @param {object} dirRecord - The stored directory record
+   * @returns {Promise<FileSystemDirectoryHandle>} The directory handle
+   */
+  async openStoredDirectory(dirRecord) {
+    const backend = getStorageBackend(dirRecord.backend || 'picker');
+    if (backend.storesHandles) {
+      return dirRecord.handle;
+    }
+    return backend.openRoot({ id: dirRecord.id, workspace: dirRecord.workspace || DEFAULT_WORKSPACE_NAME, reopen: true });
+  }
+
+  /**
+   * Make a stored directory, whose permission is granted, the current directory
+   * @private
+   * @param {object} dirRecord - The stored directory record
+   * @param {FileSystemDirectoryHandle} dirHandle - Its handle, from openStoredDirectory
+   */
+  async _attachDirectory(dirRecord, dirHandle) {
+    this.rootDirectoryHandle = dirHandle;
+    this.backend = dirRecord.backend || 'picker';
+    this.permissionGranted = true;
+    this.currentDirectoryId = dirRecord.id;
+    this.accessMode = dirRecord.mode || 'readwrite';
+    this.pendingRegrant = null;
+    await this.storageManager.updateDirectoryRecord(dirRecord.id, { lastUsed: new Date().toISOString() });
+    await this._rememberCurrentDirectory();
+  }
+
+  /**
+   * Save the ID of the current directory, so it can be restored after a reload
+   * Failures are logged, as they only cost the restore
+   * @private
+   */
+  async _rememberCurrentDirectory() {
+    try {
+      if (this.currentDirectoryId) {
+        await this.storageManager.putSetting({ key: 'currentDirectoryId', value: this.currentDirectoryId });
+      } else {
+        await this.storageManager.deleteSetting('currentDirectoryId');
+      }
+    } catch (error) {
+      logger.warn('Could not remember the current directory:', error);
+    }
+  }
+
+  /**
+   * Re-attach the directory that was current before the page was reloaded
+   * Browsers keep the permission of stored handles for a while; once it lapses it can only be
+   * requested again during a user gesture, so the directory is kept for regrantPermission
+   * @returns {Promise<{status: string, name: string|null}>} 'restored', 'needs-reauthorization',
+   *   or 'none' when there is no directory to restore
+   */
+  async restoreSession() {
+    try {
+      const saved = (await this.storageManager.getSettings()).find(record => record.key === 'currentDirectoryId');
+      const dirRecord = saved ? await this.storageManager.getDirectoryHandle(saved.value) : null;
+      
+      // An in-memory workspace did not survive the reload, so there is nothing to restore
+      if (!dirRecord || !STORAGE_BACKENDS[dirRecord.backend || 'picker'].persistent) {
+        if (saved) {
+          await this.storageManager.deleteSetting('currentDirectoryId');
+        }
+        return { status: 'none', name: null };
+      }
+      
+      const dirHandle = await this.openStoredDirectory(dirRecord);
+      if (await this.verifyPermission(dirHandle, false, dirRecord.mode || 'readwrite')) {
+        await this._attachDirectory(dirRecord, dirHandle);
+        logger.info(`Restored directory: ${dirRecord.name}`);
+        return { status: 'restored', name: dirRecord.name };
+      }
+      
+      this.pendingRegrant = dirRecord;
+      logger.info(`Directory ${dirRecord.name} needs permission to be granted again`);
+      return { status: 'needs-reauthorization', name: dirRecord.name };
+    } catch (error) {
+      logger.error('Error restoring session:', error);
+      throw new Error(`Failed to restore session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask again for permission to the directory restoreSession could not re-attach
+   * Must be called while handling a user gesture, such as a click
+   * @returns {Promise<boolean>} Whether permission was granted and the directory attached
+   */
+  async regrantPermission() {
+    const dirRecord = this.pendingRegrant;
+    if (!dirRecord) {
+      return false;
+    }
+    
+    try {
+      const dirHandle = await this.openStoredDirectory(dirRecord);
+      if (!await this.verifyPermission(dirHandle, true, dirRecord.mode || 'readwrite')) {
+        logger.warn(`Permission denied for directory: ${dirRecord.name}`);
+        return false;
+      }
+      
+      // Another directory may have been picked while the prompt was pending
+      if (this.pendingRegrant !== dirRecord) {
+        return false;
+      }
+      await this._attachDirectory(dirRecord, dirHandle);
+      logger.info(`Permission granted again for directory: ${dirRecord.name}`);
+      return true;
+    } catch (error) {
+      logger.error('Error granting permission again:', error);
+      throw new Error(`Failed to grant permission again: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a stored directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory to remove
+   * @returns {Promise<boolean>} Whether the removal was successful
+   */
+  async removeDirectory(directoryId) {
+    try {
+      logger.debug('Removing directory:', directoryId);
+      
+      directoryId = await this.resolveDirectoryId(directoryId);
+      
+      // If this is the current directory, clear it
+      if (this.currentDirectoryId === directoryId) {
+        this.rootDirectoryHandle = null;
+        this.permissionGranted = false;
+        this.currentDirectoryId = null;
+        this.accessMode = 'readwrite';
+        this.backend = 'picker';
+        await this._rememberCurrentDirectory();
+      }
+      this.snapshotChanges.delete(directoryId);
+      STORAGE_BACKENDS.snapshot.forget(directoryId);
+      if (this.pendingRegrant && this.pendingRegrant.id === directoryId) {
+        this.pendingRegrant = null;
+        await this._rememberCurrentDirectory();
+      }
+      
+      for (const [alias, mount] of this.mounts) {
+        if (mount.id === directoryId) {
+          this.mounts.delete(alias);
+        }
+      }
+      
+      const result = await this.storageManager.removeDirectoryHandle(directoryId);
+      await this.storageManager.deleteManifests(directoryId);
+      logger.info(`Directory removed: ${directoryId}`);
+      return result;
+    } catch (error) {
+      logger.error('Error removing directory:', error);
+      throw new Error(`Failed to remove directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mount a stored directory under an alias, so its files can be addressed
+   * as alias:relative/path alongside the current directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory to mount
+   * @param {string} alias - The alias, defaults to the stored alias or a name derived from the directory
+   * @returns {Promise<object>} The alias and directory that were mounted
+   */
+  async mountDirectory(directoryId, alias = '') {
+    try {
+      logger.debug('Mounting directory:', directoryId, alias);
+      
+      directoryId = await this.resolveDirectoryId(directoryId);
+      const dirRecord = await this.storageManager.getDirectoryHandle(directoryId);
+      if (!dirRecord) {
+        throw new Error(`Directory with ID ${directoryId} not found`);
+      }
+      
+      alias = alias || dirRecord.alias || await this._deriveAlias(dirRecord.name);
+      if (!ROOT_ALIAS_PATTERN.test(`${alias}:`)) {
+        throw new Error(`Invalid alias "${alias}", use letters, digits, "-" and "_" starting with a letter`);
+      }
+      
+      const mounted = this.mounts.get(alias);
+      if (mounted && mounted.id !== directoryId) {
+        throw new Error(`Alias "${alias}" is already used by ${mounted.name}`);
+      }
+      
+      const mode = dirRecord.mode || 'readwrite';
+      const dirHandle = await this.openStoredDirectory(dirRecord);
+      if (!await this.verifyPermission(dirHandle, true, mode)) {
+        throw new Error(`Permission denied for directory: ${dirRecord.name}`);
+      }
+      
+      // One alias per directory
+      for (const [existing, mount] of this.mounts) {
+        if (mount.id === directoryId) {
+          this.mounts.delete(existing);
+        }
+      }
+      
+      await this.storageManager.updateDirectoryRecord(directoryId, { alias, lastUsed: new Date().toISOString() });
+      this.mounts.set(alias, {
+        id: directoryId,
+        name: dirRecord.name,
+        handle: dirHandle,
+        backend: dirRecord.backend || 'picker',
+        mode,
+      });
+      
+      logger.info(`Mounted ${dirRecord.name} as ${alias}`);
+      return { alias, id: directoryId, name: dirRecord.name, mode };
+    } catch (error) {
+      logger.error('Error mounting directory:', error);
+      throw new Error(`Failed to mount directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Derives an unused alias from a directory name
+   * @private
+   */
+  async _deriveAlias(name) {
+    const base = `${/^[A-Za-z]/.test(name) ? '' : 'dir-'}${name}`.replace(/[^\w-]+/g, '-').replace(/-+$/, '') || 'dir';
+    const taken = new Set([...this.mounts.keys()]);
+    for (const record of await this.storageManager.getAllDirectoryHandles()) {
+      if (record.alias) {
+        taken.add(record.alias);
+      }
+    }
+    
+    let alias = base;
+    for (let suffix = 2; taken.has(alias); suffix++) {
+      alias = `${base}-${suffix}`;
+    }
+    return alias;
+  }
+
+  /**
+   * Unmount an aliased directory; it stays stored and keeps its alias
+   * @param {string} alias - The alias to unmount
+   * @returns {boolean} Whether a directory was mounted under the alias
+   */
+  unmountDirectory(alias) {
+    return this.mounts.delete(alias);
+  }
+
+  /**
+   * Get a view of this manager that stays rooted at the current directory,
+   * even after switchDirectory changes this manager's root
+   * @returns {DirectoryPermissionManager} The rooted view
+   */
+  getCurrentView() {
+    const view = Object.create(this);
+    Object.assign(view, {
+      rootDirectoryHandle: this.rootDirectoryHandle,
+      permissionGranted: this.permissionGranted,
+      currentDirectoryId: this.currentDirectoryId,
+      backend: this.backend,
+      accessMode: this.accessMode,
+    });
+    return view;
+  }
+
+  /**
+   * Get a view of this manager rooted at a mounted directory
+   * The view shares storage and mounts, but has its own root and mode
+   * @param {string} alias - The alias of a mounted directory
+   * @returns {DirectoryPermissionManager} The rooted view
+   */
+  getRootView(alias) {
+    const mount = this.mounts.get(alias);
+    if (!mount) {
+      const known = [...this.mounts.keys()];
+      throw new Error(`Unknown root alias "${alias}"${known.length ? `, mounted roots are: ${known.join(', ')}` : ', no roots are mounted'}. Prefix the path with "./" if the colon is part of a file name`);
+    }
+    
+    const view = Object.create(this);
+    Object.assign(view, {
+      rootDirectoryHandle: mount.handle,
+      permissionGranted: true,
+      currentDirectoryId: mount.id,
+      backend: mount.backend,
+      accessMode: mount.mode,
+    });
+    return view;
+  }
+
+  /**
+   * Verify we have permission to access a directory
+   * @param {FileSystemDirectoryHandle} dirHandle - The directory handle
+   * @param {boolean} askForPermission - Whether to ask for permission if not already granted
+   * @param {string} mode - Access mode to verify ('read' or 'readwrite')
+   * @returns {Promise<boolean>} Whether permission is granted
+   */
+  async verifyPermission(dirHandle, askForPermission = false, mode = 'readwrite') {
+    const options = { mode };
+    
+    // Origin private file system handles need no permission, and some browsers lack these methods
+    if (typeof dirHandle.queryPermission !== 'function') {
+      return true;
+    }
+    
+    // Check current permission state
+    if (await dirHandle.queryPermission(options) === 'granted') {
+      return true;
+    }
+    
+    // Request permission if needed
+    if (askForPermission) {
+      return await dirHandle.requestPermission(options) === 'granted';
+    }
+    
+    return false;
+  }
+
+  /**
+   * Get a file handle from the root directory
+   * @param {string} path - Path relative to the root directory
+   * @returns {Promise<FileSystemFileHandle>} File handle
+   */
+  async getFileHandle(path) {
+    if (!this.rootDirectoryHandle) {
+      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+    }
+    
+    logger.debug('Getting file handle for:', path);
+    
+    try {
+      // Split path into segments
+      const segments = path.split('/').filter(segment => segment.length > 0 && segment !== '.');
+      
+      if (segments.length === 0) {
+        throw new Error('Invalid file path: path cannot be empty');
+      }
+      
+      // The last segment is the file name
+      const fileName = segments.pop();
+      
+      // Navigate to the directory containing the file
+      let currentDir = this.rootDirectoryHandle;
+      for (const segment of segments) {
+        currentDir = await currentDir.getDirectoryHandle(segment, { create: false });
+      }
+      
+      // Get the file handle
+      return await currentDir.getFileHandle(fileName, { create: false });
+    } catch (error) {
+      logger.error('Error getting file handle:', error);
+      // Keep the DOMException name, so callers can tell a missing file from other failures
+      throw Object.assign(new Error(`Failed to get file handle: ${error.message}`), { name: error.name });
+    }
+  }
+
+  /**
+   * Get a directory handle from the root directory
+   * @param {string} path - Path relative to the root directory
+   * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+   */
+  async getDirectoryHandle(path) {
+    if (!this.rootDirectoryHandle) {
+      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+    }
+    
+    logger.debug('Getting directory handle for:', path);
+    
+    try {
+      // If path is empty or root, return the root directory
+      if (!path || path === '/' || path === '.') {
+        return this.rootDirectoryHandle;
+      }
+      
+      // Split path into segments
+      const segments = path.split('/').filter(segment => segment.length > 0 && segment !== '.');
+      
+      // Navigate to the directory
+      let currentDir = this.rootDirectoryHandle;
+      for (const segment of segments) {
+        currentDir = await currentDir.getDirectoryHandle(segment, { create: false });
+      }
+      
+      return currentDir;
+    } catch (error) {
+      logger.error('Error getting directory handle:', error);
+      throw new Error(`Failed to get directory handle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a file in the root directory
+   * @param {string} path - Path relative to the root directory
+   * @returns {Promise<FileSystemFileHandle>} File handle
+   */
+  async createFileHandle(path) {
+    if (!this.rootDirectoryHandle) {
+      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+    }
+    
+    logger.debug('Creating file handle for:', path);
+    
+    try {
+      // Split path into segments
+      const segments = path.split('/').filter(segment => segment.length > 0 && segment !== '.');
+      
+      if (segments.length === 0) {
+        throw new Error('Invalid file path: path cannot be empty');
+      }
+      
+      // The last segment is the file name
+      const fileName = segments.pop();
+      
+      // Navigate to the directory containing the file, creating directories as needed
+      let currentDir = this.rootDirectoryHandle;
+      for (const segment of segments) {
+        currentDir = await currentDir.getDirectoryHandle(segment, { create: true });
+      }
+      
+      // Create the file handle
+      return await currentDir.getFileHandle(fileName, { create: true });
+    } catch (error) {
+      logger.error('Error creating file handle:', error);
+      throw new Error(`Failed to create file handle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a directory (and any missing parents) in the root directory
+   * @param {string} path - Path relative to the root directory
+   * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+   */
+  async createDirectoryHandle(path) {
+    if (!this.rootDirectoryHandle) {
+      throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+    }
+    
+    logger.debug('Creating directory handle for:', path);
+    
+    try {
+      const segments = path.split('/').filter(segment => segment.length > 0 && segment !== '.');
+      
+      let currentDir = this.rootDirectoryHandle;
+      for (const segment of segments) {
+        currentDir = await currentDir.getDirectoryHandle(segment, { create: true });
+      }
+      
+      return currentDir;
+    } catch (error) {
+      logger.error('Error creating directory handle:', error);
+      throw new Error(`Failed to create directory handle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the parent directory handle and entry name for a path
+   * @param {string} path - Path relative to the root directory
+   * @param {boolean} create - Whether to create missing parent directories
+   * @returns {Promise<{parent: FileSystemDirectoryHandle, name: string}>} Parent handle and entry name
+   */
+  async getParentDirectoryHandle(path, create = false) {
+    const segments = path.split('/').filter(segment => segment.length > 0 && segment !== '.');
+    
+    if (segments.length === 0) {
+      throw new Error('Invalid path: the root directory has no parent');
+    }
+    
+    const name = segments.pop();
+    const parentPath = segments.join('/');
+    const parent = create
+      ? await this.createDirectoryHandle(parentPath)
+      : await this.getDirectoryHandle(parentPath);
+    
+    return { parent, name };
+  }
+
+  /**
+   * Get a file or directory handle from the root directory
+   * @param {string} path - Path relative to the root directory
+   * @returns {Promise<FileSystemHandle|null>} The handle, or null if nothing exists at the path
+   */
+  async getEntryHandle(path) {
+    let location;
+    try {
+      location = await this.getParentDirectoryHandle(path);
+    } catch (error) {
+      return null;
+    }
+    
+    for await (const entry of location.parent.values()) {
+      if (entry.name === location.name) {
+        return entry;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check whether a file exists in the root directory
+   * @param {string} path - Path relative to the root directory
+   * @returns {Promise<boolean>} Whether the file exists
+   * @throws When the file cannot be looked up for another reason, such as a lapsed
+   *   permission or a directory in its place
+   */
+  async fileExists(path) {
+    try {
+      await this.getFileHandle(path);
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check if we have permission to the root directory
+   * @returns {boolean} Whether permission is granted
+   */
+  hasPermission() {
+    return this.rootDirectoryHandle !== null && this.permissionGranted;
+  }
+
+  /**
+   * Check if the current directory was granted read-only access
+   * @returns {boolean} Whether the directory is read-only
+   */
+  isReadOnly() {
+    return this.accessMode === 'read';
+  }
+
+  /**
+   * Throw if the current directory does not allow modifications
+   * @param {string} operation - Name of the operation, used in the error message
+   */
+  assertWritable(operation) {
+    if (this.hasPermission() && this.isSnapshot()) {
+      throw new Error(
+        `Directory "${this.getRootDirectoryName()}" is a read-only snapshot of an imported folder, ${operation} is not allowed. ` +
+        'writeFile and editFile offer their result as a download instead'
+      );
+    }
+    if (this.hasPermission() && this.isReadOnly()) {
+      throw new Error(`Directory "${this.getRootDirectoryName()}" is read-only, ${operation} is not allowed`);
+    }
+  }
+
+  /**
+   * Check if the current directory is a static snapshot of an imported folder
+   * @returns {boolean} Whether the directory is a snapshot
+   */
+  isSnapshot() {
+    return Boolean(STORAGE_BACKENDS[this.backend]?.readOnly);
+  }
+
+  /**
+   * Keep content written to a snapshot so it can be downloaded later, and add it to the
+   * snapshot's folders so listing, search and reads all see it
+   * The imported files themselves never change
+   * @param {string} path - Path relative to the snapshot root
+   * @param {File} content - The written content
+   * @returns {Promise<Map<string, File>>} All content written to the current snapshot, by path
+   */
+  async stageSnapshotChange(path, content) {
+    path = normalizeRelativePath(path);
+    const segments = path.split('/');
+    const fileName = segments.pop();
+    let dirHandle = this.rootDirectoryHandle;
+    for (const segment of segments) {
+      dirHandle = await dirHandle.getDirectoryHandle(segment, { create: true });
+    }
+    dirHandle.children.set(fileName, new SnapshotFileHandle(content));
+    
+    if (!this.snapshotChanges.has(this.currentDirectoryId)) {
+      this.snapshotChanges.set(this.currentDirectoryId, new Map());
+    }
+    const changes = this.snapshotChanges.get(this.currentDirectoryId);
+    changes.set(path, content);
+    return changes;
+  }
+
+  /**
+   * Get the content written to the current snapshot
+   * @returns {Map<string, File>} Written content by path
+   */
+  getSnapshotChanges() {
+    return this.snapshotChanges.get(this.currentDirectoryId) || new Map();
+  }
+
+  /**
+   * Forget the content written to the current snapshot, so the next download only has later writes
+   * The snapshot keeps showing the written files until the folder is imported again
+   */
+  clearSnapshotChanges() {
+    this.snapshotChanges.delete(this.currentDirectoryId);
+  }
+
+  /**
+   * Get the name of the root directory
+   * @returns {string} Directory name
+   */
+  getRootDirectoryName() {
+    return this.rootDirectoryHandle ? this.rootDirectoryHandle.name : '';
+  }
+
+  /**
+   * Attempts to convert an absolute path to a relative path if it's within the root directory
+   * @param {string} absolutePath - The absolute path to convert
+   * @returns {string|null} The relative path or null if not within the root directory
+   */
+  tryConvertToRelativePath(absolutePath) {
+    if (!this.rootDirectoryHandle || !absolutePath) {
+      return null;
+    }
+    
+    try {
+      // Get the absolute path of the root directory
+      // Note: This is not directly available from the API, so this is a best-effort approach
+      const rootPath = this.rootDirectoryHandle.name;
+      
+      // Normalize paths
+      const normalizedAbsolutePath = absolutePath.replace(/\\/g, '/');
+      const normalizedRootPath = rootPath.replace(/\\/g, '/');
+      
+      // Check if the absolute path starts with the root path
+      if (normalizedAbsolutePath.startsWith(normalizedRootPath)) {
+        // Extract the relative part
+        let relativePath = normalizedAbsolutePath.substring(normalizedRootPath.length);
+        
+        // Remove leading slash if present
+        if (relativePath.startsWith('/')) {
+          relativePath = relativePath.substring(1);
+        }
+        
+        logger.debug('Converted absolute path to relative:', absolutePath, '->', relativePath);
+        return relativePath;
+      }
+      
+      return null;
+    } catch (error) {
+      logger.error('Error converting absolute path to relative:', error);
+      return null;
+    }
+  }
+} 
+
+/**
+ * Counts non-overlapping occurrences of a string
+ */
+function countOccurrences(text, search) {
+  let count = 0;
+  let position = text.indexOf(search);
+  while (position !== -1) {
+    count++;
+    position = text.indexOf(search, position + search.length);
+  }
+  return count;
+}
+
+/**
+ * Applies exact search/replace edits to file content in order
+ * Each search string must match exactly once unless replaceAll is set
+ * @param {string} content - Original file content
+ * @param {Array<{search: string, replace: string, replaceAll?: boolean}>} edits - Edits to apply
+ * @returns {string} The edited content
+ */
+function applySearchReplaceEdits(content, edits) {
+  let result = content;
+
+  edits.forEach((edit, index) => {
+    const label = `Edit ${index + 1}`;
+
+    if (!edit || typeof edit.search !== 'string' || edit.search.length === 0) {
+      throw new Error(`${label}: search text must be a non-empty string`);
+    }
+    if (typeof edit.replace !== 'string') {
+      throw new Error(`${label}: replace text must be a string`);
+    }
+
+    // Match the file's line endings so edits written with \n apply to CRLF files
+    let search = edit.search;
+    let replace = edit.replace;
+    if (result.includes('\r\n') && !search.includes('\r\n')) {
+      search = search.replace(/\n/g, '\r\n');
+      replace = replace.replace(/\r?\n/g, '\r\n');
+    }
+
+    const occurrences = countOccurrences(result, search);
+    if (occurrences === 0) {
+      throw new Error(`${label}: search text not found: ${JSON.stringify(truncateLine(edit.search))}`);
+    }
+    if (occurrences > 1 && !edit.replaceAll) {
+      throw new Error(`${label}: search text matches ${occurrences} times, add surrounding context or set replaceAll`);
+    }
+
+    result = edit.replaceAll
+      ? result.split(search).join(replace)
+      : result.replace(search, () => replace);
+  });
+
+  return result;
+}
+
+/**
+ * Parses a unified diff into hunks
+ * @param {string} diff - Unified diff for a single file
+ * @returns {Array<object>} Hunks with their old and new lines
+ */
+function parseUnifiedDiff(diff) {
+  const lines = diff.replace(/\r\n/g, '\n').split('\n');
+  const hunks = [];
+  let fileHeaders = 0;
+  let hunk = null;
+
+  for (const line of lines) {
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+
+    if (header) {
+      hunk = {
+        header: header[0],
+        oldStart: Number(header[1]),
+        oldCount: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newCount: header[4] === undefined ? 1 : Number(header[4]),
+        oldLines: [],
+        newLines: [],
+      };
+      hunks.push(hunk);
+    } else if (line.startsWith('--- ') && (!hunk || hunk.oldLines.length >= hunk.oldCount)) {
+      fileHeaders++;
+      if (fileHeaders > 1) {
+        throw new Error('Diff contains changes to more than one file, apply one file at a time');
+      }
+      hunk = null;
+    } else if (line.startsWith('+++ ') && !hunk) {
+      continue;
+    } else if (hunk) {
+      if (line.startsWith(' ') || line === '') {
+        hunk.oldLines.push(line.slice(1));
+        hunk.newLines.push(line.slice(1));
+      } else if (line.startsWith('-')) {
+        hunk.oldLines.push(line.slice(1));
+      } else if (line.startsWith('+')) {
+        hunk.newLines.push(line.slice(1));
+      } else if (line.startsWith('\\')) {
+        // "\ No newline at end of file"
+        continue;
+      } else {
+        throw new Error(`Unexpected line in ${hunk.header}: ${JSON.stringify(truncateLine(line))}`);
+      }
+    }
+  }
+
+  // A blank line at the very end of the diff is not context
+  for (const parsed of hunks) {
+    while (parsed.oldLines.length > parsed.oldCount && parsed.oldLines[parsed.oldLines.length - 1] === '') {
+      parsed.oldLines.pop();
+      parsed.newLines.pop();
+    }
+  }
+
+  if (hunks.length === 0) {
+    throw new Error('Diff does not contain any hunks');
+  }
+
+  hunks.forEach((parsed, index) => {
+    if (parsed.oldLines.length !== parsed.oldCount || parsed.newLines.length !== parsed.newCount) {
+      throw new Error(
+        `Hunk ${index + 1} (${parsed.header}) has ${parsed.oldLines.length} old and ${parsed.newLines.length} new lines, ` +
+        `but its header says ${parsed.oldCount} and ${parsed.newCount}`
+      );
+    }
+  });
+
+  return hunks;
+}
+
+// Furthest a hunk may be applied from the line its header names, after earlier hunks are accounted for
+const MAX_HUNK_DRIFT = 50;
+
+/**
+ * Checks whether lines match a hunk's old lines at a position
+ */
+function hunkMatchesAt(lines, oldLines, position) {
+  if (position < 0 || position + oldLines.length > lines.length) {
+    return false;
+  }
+  return oldLines.every((line, index) => lines[position + index] === line);
+}
+
+/**
+ * Applies a unified diff to file content
+ * Hunks are located at their stated line, or the nearest position within
+ * MAX_HUNK_DRIFT lines where their context matches if earlier changes moved them.
+ * Two equally near matches are ambiguous and rejected
+ * @param {string} content - Original file content
+ * @param {string} diff - Unified diff for the file
+ * @returns {{content: string, hunks: number}} The patched content and number of hunks applied
+ */
+function applyUnifiedDiff(content, diff) {
+  const hunks = parseUnifiedDiff(diff);
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  let lineOffset = 0;
+
+  hunks.forEach((hunk, index) => {
+    const expected = Math.max(0, hunk.oldStart - 1 + lineOffset + (hunk.oldCount === 0 ? 1 : 0));
+    let position = -1;
+
+    // Search outwards from the expected position for the nearest match
+    for (let distance = 0; distance <= MAX_HUNK_DRIFT; distance++) {
+      const before = hunkMatchesAt(lines, hunk.oldLines, expected - distance);
+      const after = distance > 0 && hunkMatchesAt(lines, hunk.oldLines, expected + distance);
+      if (before && after) {
+        throw new Error(
+          `Hunk ${index + 1} (${hunk.header}) matches both line ${expected - distance + 1} and line ${expected + distance + 1}, ` +
+          'add more context lines to tell them apart'
+        );
+      }
+      if (before || after) {
+        position = before ? expected - distance : expected + distance;
+        break;
+      }
+    }
+
+    if (position === -1) {
+      throw new Error(`Hunk ${index + 1} (${hunk.header}) does not match the file content within ${MAX_HUNK_DRIFT} lines of line ${hunk.oldStart}`);
+    }
+
+    lines.splice(position, hunk.oldLines.length, ...hunk.newLines);
+    lineOffset += hunk.newLines.length - hunk.oldLines.length;
+  });
+
+  return { content: lines.join(eol), hunks: hunks.length };
+}
+
+// Beyond this many changed lines a diff is shown as a whole-file replacement
+const MAX_DIFF_EDIT_DISTANCE = 2000;
+
+/**
+ * Computes a line diff using Myers' algorithm
+ * Common leading and trailing lines are trimmed first, and very different
+ * inputs fall back to removing every old line and adding every new one
+ * @param {string[]} oldLines - Lines of the original content
+ * @param {string[]} newLines - Lines of the new content
+ * @returns {Array<{type: string, line: string}>} Operations, type ' ', '-' or '+'
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const same = (lines) => lines.map(line => ({ type: ' ', line }));
+  const middle = [];
+
+  // Each trace entry holds the furthest x reached on diagonals -d..d before step d
+  const n = a.length;
+  const m = b.length;
+  const trace = [];
+  let v = new Map([[1, 0]]);
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; !found && d <= Math.min(n + m, MAX_DIFF_EDIT_DISTANCE); d++) {
+    trace.push(new Map(v));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? v.get(k + 1) : v.get(k - 1) + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v.set(k, x);
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    middle.push(...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line })));
+  } else {
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      v = trace[d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? k + 1 : k - 1;
+      const prevX = v.get(prevK);
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        middle.push({ type: ' ', line: a[--x] });
+        y--;
+      }
+      if (d > 0) {
+        middle.push(x === prevX ? { type: '+', line: b[--y] } : { type: '-', line: a[--x] });
+      }
+    }
+    middle.reverse();
+  }
+
+  return [...same(oldLines.slice(0, prefix)), ...middle, ...same(oldLines.slice(oldLines.length - suffix))];
+}
+
+/**
+ * Builds a unified diff between two versions of a file
+ * @param {string} oldContent - The current content
+ * @param {string} newContent - The proposed content
+ * @param {string} path - File path used in the diff headers
+ * @param {number} context - Unchanged lines shown around each change
+ * @returns {{diff: string, added: number, removed: number}} The diff and changed line counts
+ */
+function createUnifiedDiff(oldContent, newContent, path, context = 3) {
+  const split = (content) => content === '' ? [] : content.replace(/\r\n/g, '\n').split('\n');
+  const oldLines = split(oldContent);
+  const newLines = split(newContent);
+
+  // A final newline shared by both versions is not a line of its own
+  if (oldLines[oldLines.length - 1] === '' && newLines[newLines.length - 1] === '') {
+    oldLines.pop();
+    newLines.pop();
+  }
+
+  const ops = diffLines(oldLines, newLines);
+  const added = ops.filter(op => op.type === '+').length;
+  const removed = ops.filter(op => op.type === '-').length;
+
+  if (added === 0 && removed === 0) {
+    return { diff: '', added, removed };
+  }
+
+  const output = [`--- a/${path}`, `+++ b/${path}`];
+  let index = 0;
+  let oldLine = 1;
+  let newLine = 1;
+
+  while (index < ops.length) {
+    // Skip to the next change, keeping its leading context
+    let change = index;
+    while (change < ops.length && ops[change].type === ' ') {
+      change++;
+    }
+    if (change === ops.length) {
+      break;
+    }
+    const start = Math.max(index, change - context);
+    oldLine += start - index;
+    newLine += start - index;
+
+    // Extend the hunk while changes are closer than twice the context
+    let end = change;
+    let unchanged = 0;
+    while (end < ops.length && unchanged <= context * 2) {
+      unchanged = ops[end].type === ' ' ? unchanged + 1 : 0;
+      end++;
+    }
+    end -= Math.max(0, unchanged - context);
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    output.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    output.push(...hunk.map(op => op.type + op.line));
+
+    oldLine += oldCount;
+    newLine += newCount;
+    index = end;
+  }
+
+  return { diff: output.join('\n'), added, removed };
+}
+
+// Supported directory access modes
+const ACCESS_MODES = ['read', 'readwrite'];
+
+// Well-known folders the file and directory pickers can open in
+const PICKER_START_DIRECTORIES = ['desktop', 'documents', 'downloads', 'music', 'pictures', 'videos'];
+
+// Paths of the form alias:relative/path address a mounted root
+const ROOT_ALIAS_PATTERN = /^([A-Za-z][\w-]*):(.*)$/s;
+
+// Supported writeFile modes
+const WRITE_MODES = ['overwrite', 'append', 'createNew'];
+
+// Encodings writeFile content may be given in
+const WRITE_ENCODINGS = ['utf8', 'base64', 'dataurl'];
+
+// Diff lines shown in the browser's confirm dialog before truncating
+const MAX_PREVIEW_LINES = 60;
+
+/**
+ * Parses a time argument given as milliseconds, an ISO date, or a relative
+ * duration such as "30m", "12h" or "7d" meaning that long ago
+ */
+function parseTimeArg(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  
+  const relative = /^(\d+)\s*([smhdw])$/i.exec(String(value).trim());
+  if (relative) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return Date.now() - Number(relative[1]) * units[relative[2].toLowerCase()];
+  }
+  
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}", use an ISO date, milliseconds or a duration like "24h"`);
+  }
+  return time;
+}
+
+/**
+ * Builds an audit log entry from a command invocation and its result
+ */
+function describeActivity(command, args, result) {
+  let bytes = null;
+  if (result && typeof result.bytesWritten === 'number') {
+    bytes = result.bytesWritten;
+  } else if (result && typeof result.content === 'string') {
+    bytes = new TextEncoder().encode(result.content).length;
+  }
+  
+  return {
+    command,
+    path: args?.path || args?.source || args?.directory || null,
+    destination: args?.destination || null,
+    bytes,
+    success: Boolean(result) && !result.error && result.success !== false,
+    message: result?.message ? truncateLine(String(result.message)) : null,
+  };
+}
+
+// Entries exportFileActivity includes when no limit is given
+const DEFAULT_ACTIVITY_EXPORT_LIMIT = 1000;
+
+/**
+ * Formats an audit entry for display, adding a readable time
+ */
+function formatActivityEntry(entry) {
+  return {
+    time: new Date(entry.timestamp).toISOString(),
+    command: entry.command,
+    directoryId: entry.directoryId,
+    directory: entry.directory,
+    path: entry.path,
+    destination: entry.destination,
+    bytes: entry.bytes,
+    success: entry.success,
+    message: entry.message,
+  };
+}
+
+/**
+ * Quotes a value for a CSV field when it contains commas, quotes or newlines
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts formatted audit entries to CSV
+ */
+function activityToCsv(entries) {
+  const columns = ['time', 'command', 'directoryId', 'directory', 'path', 'destination', 'bytes', 'success', 'message'];
+  const rows = entries.map(entry => columns.map(column => escapeCsvValue(entry[column])).join(','));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+// Maximum number of entries returned by a single listing
+const MAX_LIST_ENTRIES = 5000;
+
+// Maximum number of entries walked by directoryStats and change tracking
+const MAX_STATS_ENTRIES = 100000;
+
+// Default and minimum interval between polls when FileSystemObserver is unavailable
+const DEFAULT_WATCH_INTERVAL = 30 * 1000;
+const MIN_WATCH_INTERVAL = 5 * 1000;
+
+// Delay that batches a burst of observed changes into one notification
+const WATCH_NOTIFY_DELAY = 1000;
+
+// Maximum number of files listed per kind of change
+const MAX_REPORTED_CHANGES = 500;
+
+// Checkpoint name of the manifest that every changesSince call records
+const LAST_CHECK_CHECKPOINT = '';
+
+// Number of largest, recent and deepest entries directoryStats returns by default
+const DEFAULT_STATS_TOP = 10;
+
+// Maximum length of a line returned in search results
+const MAX_RESULT_LINE_LENGTH = 500;
+
+// Chunk size used when streaming through large files
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// Default page size for byte-ranged and paginated reads
+const DEFAULT_READ_PAGE_SIZE = 256 * 1024;
+
+// Chunk size used when decoding and writing large binary content
+const WRITE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Reads a Blob as a data URL
+ */
+function readBlobAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Decodes base64 or base64url text a chunk at a time
+ * @param {string} text - The encoded content, whitespace is ignored
+ * @param {string} type - MIME type of the resulting Blob
+ * @returns {Blob} The decoded bytes
+ */
+function decodeBase64(text, type = '') {
+  const base64 = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 === 1) {
+    throw new Error('Content is not valid base64');
+  }
+  
+  // WRITE_CHUNK_SIZE is a multiple of 4, so every chunk decodes on its own
+  const parts = [];
+  for (let offset = 0; offset < base64.length; offset += WRITE_CHUNK_SIZE) {
+    const binary = atob(base64.slice(offset, offset + WRITE_CHUNK_SIZE));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    parts.push(bytes);
+  }
+  return new Blob(parts, { type });
+}
+
+/**
+ * Converts writeFile content to what is written: text stays a string, base64 and
+ * data URLs such as those readFile returns for binary files are decoded to bytes,
+ * and Blobs and byte arrays are written as they are
+ * @param {string|Blob|ArrayBuffer|ArrayBufferView} content - Content to write
+ * @param {string} encoding - 'utf8' (default), 'base64' or 'dataurl'
+ * @returns {string|Blob|ArrayBuffer|ArrayBufferView} The content to write
+ */
+function decodeWriteContent(content, encoding = 'utf8') {
+  const normalized = String(encoding).toLowerCase() === 'utf-8' ? 'utf8' : String(encoding).toLowerCase();
+  if (!WRITE_ENCODINGS.includes(normalized)) {
+    throw new Error(`Invalid encoding "${encoding}", expected one of: ${WRITE_ENCODINGS.join(', ')}`);
+  }
+  
+  if (typeof content !== 'string') {
+    if (content instanceof Blob || content instanceof ArrayBuffer || ArrayBuffer.isView(content)) {
+      return content;
+    }
+    throw new Error('Content must be a string, a Blob or binary data');
+  }
+  
+  if (normalized === 'base64') {
+    return decodeBase64(content);
+  }
+  if (normalized === 'dataurl') {
+    const match = /^data:([^,]*?)(;base64)?,/i.exec(content);
+    if (!match) {
+      throw new Error('Content is not a data URL');
+    }
+    const type = match[1].split(';')[0];
+    const data = content.slice(match[0].length);
+    if (match[2]) {
+      return decodeBase64(data, type);
+    }
+    try {
+      return new Blob([decodeURIComponent(data)], { type });
+    } catch (error) {
+      throw new Error('Content is not a valid data URL');
+    }
+  }
+  return content;
+}
+
+/**
+ * Writes content to a writable stream, a chunk at a time for large binary data
+ * A failed write aborts the stream, so the file keeps its previous content
+ */
+async function writeChunked(writable, content) {
+  try {
+    const size = typeof content === 'string' ? 0 : content.byteLength ?? content.size;
+    if (size <= WRITE_CHUNK_SIZE) {
+      await writable.write(content);
+      return;
+    }
+    
+    const data = content instanceof Blob ? content
+      : ArrayBuffer.isView(content) ? new Uint8Array(content.buffer, content.byteOffset, content.byteLength)
+        : new Uint8Array(content);
+    for (let offset = 0; offset < size; offset += WRITE_CHUNK_SIZE) {
+      const end = Math.min(offset + WRITE_CHUNK_SIZE, size);
+      await writable.write(data instanceof Blob ? data.slice(offset, end) : data.subarray(offset, end));
+    }
+  } catch (error) {
+    await writable.abort().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Computes the hex SHA-256 hash of a string or binary data
+ */
+async function hashContent(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Counts newline bytes in a buffer
+ */
+function countNewlines(bytes) {
+  let count = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0x0a) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Finds the last position in a UTF-8 buffer that does not split a character
+ */
+function utf8Boundary(bytes) {
+  let position = bytes.length;
+  // Step back over continuation bytes (10xxxxxx) to the start of the last character
+  while (position > 0 && (bytes[position - 1] & 0xc0) === 0x80) {
+    position--;
+  }
+  if (position > 0 && bytes[position - 1] >= 0xc0) {
+    const leadByte = bytes[position - 1];
+    const expected = leadByte >= 0xf0 ? 4 : leadByte >= 0xe0 ? 3 : 2;
+    if (bytes.length - (position - 1) < expected) {
+      return position - 1;
+    }
+  }
+  return bytes.length;
+}
+
+/**
+ * Finds the byte index of the last newline in UTF-16 data, or -1
+ */
+function lastUtf16Newline(bytes, encoding) {
+  const newline = encoding === 'utf-16le' ? [0x0a, 0x00] : [0x00, 0x0a];
+  for (let i = bytes.length - (bytes.length % 2) - 2; i >= 0; i -= 2) {
+    if (bytes[i] === newline[0] && bytes[i + 1] === newline[1]) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Prefixes lines with their line numbers
+ */
+function numberLines(lines, firstLine) {
+  const width = String(firstLine + lines.length - 1).length;
+  return lines.map((line, index) => `${String(firstLine + index).padStart(width)}\t${line}`).join('\n');
+}
+
+/**
+ * Parses a read continuation cursor of the form "<byteOffset>:<lineNumber>"
+ */
+function parseReadCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(String(cursor));
+  if (!match) {
+    throw new Error(`Invalid read cursor: ${cursor}`);
+  }
+  return {
+    offset: Number(match[1]),
+    line: Number(match[2]) || null,
+  };
+}
+
+/**
+ * Shortens very long lines (e.g. minified code) in search results
+ */
+function truncateLine(line) {
+  return line.length > MAX_RESULT_LINE_LENGTH ? `${line.slice(0, MAX_RESULT_LINE_LENGTH)}…` : line;
+}
+
+// Largest uncompressed ZIP entry that is read into memory
+const MAX_ZIP_ENTRY_SIZE = 64 * 1024 * 1024;
+
+// Most entries exportZip writes or extractZip unpacks
+const MAX_ZIP_ENTRIES = 10000;
+
+// Largest total uncompressed size of an archive exportZip writes or extractZip unpacks
+const MAX_ZIP_TOTAL_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Reads the central directory of a ZIP archive
+ * ZIP64 archives are not supported
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Map<string, object>>} Entries by name, with compression method, sizes and header offset
+ */
+async function readZipDirectory(blob) {
+  // The end of central directory record is 22 bytes followed by a comment of up to 64KB
+  const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+  let end = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+  
+  const count = tail.getUint16(end + 10, true);
+  const directorySize = tail.getUint32(end + 12, true);
+  const directoryOffset = tail.getUint32(end + 16, true);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  
+  const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let position = 0;
+  
+  for (let i = 0; i < count; i++) {
+    if (position + 46 > directory.byteLength || directory.getUint32(position, true) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+    
+    entries.set(name, {
+      name,
+      method: directory.getUint16(position + 10, true),
+      crc: directory.getUint32(position + 16, true),
+      compressedSize: directory.getUint32(position + 20, true),
+      size: directory.getUint32(position + 24, true),
+      headerOffset: directory.getUint32(position + 42, true),
+    });
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries;
+}
+
+/**
+ * Reads and decompresses a ZIP entry, which must be stored or deflated
+ * Decompression stops as soon as the output exceeds the entry's recorded size,
+ * so an archive cannot claim a small size and expand far beyond it
+ * @param {Blob} blob - The archive
+ * @param {object} entry - An entry returned by readZipDirectory
+ * @param {number} maxSize - Largest entry that may be read
+ * @returns {Promise<Uint8Array>} The uncompressed content
+ */
+async function readZipEntry(blob, entry, maxSize = MAX_ZIP_ENTRY_SIZE) {
+  if (entry.size > maxSize) {
+    throw new Error(`"${entry.name}" is too large to extract (${formatFileSize(entry.size)})`);
+  }
+  
+  const header = new DataView(await blob.slice(entry.headerOffset, entry.headerOffset + 30).arrayBuffer());
+  if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034b50) {
+    throw new Error(`Corrupt ZIP entry "${entry.name}"`);
+  }
+  
+  // The local header repeats the name and may carry a different extra field
+  const dataOffset = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = blob.slice(dataOffset, dataOffset + entry.compressedSize);
+  
+  let content;
+  if (entry.method === 0) {
+    content = new Uint8Array(await data.arrayBuffer());
+  } else if (entry.method === 8) {
+    content = new Uint8Array(entry.size);
+    let length = 0;
+    const reader = data.stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      if (length + value.byteLength > entry.size) {
+        await reader.cancel();
+        throw new Error(`"${entry.name}" is larger than the archive says`);
+      }
+      content.set(value, length);
+      length += value.byteLength;
+    }
+    content = content.subarray(0, length);
+  } else {
+    throw new Error(`"${entry.name}" uses unsupported ZIP compression method ${entry.method}`);
+  }
+  
+  if (content.byteLength !== entry.size || (entry.crc !== undefined && crc32(content) !== entry.crc)) {
+    throw new Error(`Corrupt ZIP entry "${entry.name}"`);
+  }
+  return content;
+}
+
+/**
+ * Reads a ZIP entry as UTF-8 text
+ */
+async function readZipText(blob, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) {
+    throw new Error(`The document has no "${name}" part`);
+  }
+  return new TextDecoder().decode(await readZipEntry(blob, entry));
+}
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum ZIP archives record for each entry
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a timestamp to the MS-DOS date and time ZIP headers use
+ */
+function toDosDateTime(timestamp) {
+  const date = new Date(timestamp);
+  if (date.getFullYear() < 1980) {
+    return { time: 0, date: (1 << 5) | 1 };
+  }
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Builds a ZIP archive, deflating each entry unless that would not make it smaller
+ * @param {Array<object>} entries - Entries as { name, data, lastModified }, where
+ *   directories have a name ending in '/' and no data
+ * @returns {Promise<Blob>} The archive
+ */
+async function createZipArchive(entries) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  let directorySize = 0;
+  
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = entry.data || new Uint8Array(0);
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(entry.lastModified);
+    
+    let method = 0;
+    let stored = data;
+    if (data.byteLength > 0 && typeof CompressionStream !== 'undefined') {
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+      if (deflated.byteLength < data.byteLength) {
+        method = 8;
+        stored = deflated;
+      }
+    }
+    
+    // Local file header; flag bit 11 marks the name as UTF-8
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true);
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, stored.byteLength, true);
+    header.setUint32(22, data.byteLength, true);
+    header.setUint16(26, name.byteLength, true);
+    parts.push(header, name, stored);
+    
+    // Central directory record; the directory attribute is set on folder entries
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, 20, true);
+    record.setUint16(6, 20, true);
+    record.setUint16(8, 0x0800, true);
+    record.setUint16(10, method, true);
+    record.setUint16(12, time, true);
+    record.setUint16(14, date, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, stored.byteLength, true);
+    record.setUint32(24, data.byteLength, true);
+    record.setUint16(28, name.byteLength, true);
+    record.setUint32(38, entry.name.endsWith('/') ? 0x10 : 0, true);
+    record.setUint32(42, offset, true);
+    directory.push(record, name);
+    
+    offset += 30 + name.byteLength + stored.byteLength;
+    directorySize += 46 + name.byteLength;
+  }
+  
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replaces XML character and entity references
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') {
+      return XML_ENTITIES[entity] ?? match;
+    }
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * Parses XML into a tree of { name, attributes, children } elements and text strings
+ * Element names lose their namespace prefix, attribute names keep it (e.g. 'w:val'),
+ * which is enough for the fixed vocabularies of Office and OpenDocument parts
+ * @param {string} xml - The XML source
+ * @returns {object} The document node
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<\/[^>]*>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  
+  while ((match = tokens.exec(xml))) {
+    const [token, cdata, name, attributeSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+    
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (text !== undefined) {
+      parent.children.push(decodeXmlEntities(text));
+    } else if (name !== undefined) {
+      const element = { name: name.slice(name.indexOf(':') + 1), attributes: {}, children: [] };
+      for (const [, key, doubleQuoted, singleQuoted] of attributeSource.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        element.attributes[key] = decodeXmlEntities(doubleQuoted ?? singleQuoted);
+      }
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (token.startsWith('</') && stack.length > 1) {
+      stack.pop();
+    }
+  }
+  
+  return root;
+}
+
+// Elements whose content duplicates or annotates the surrounding text
+const SKIPPED_XML_ELEMENTS = new Set(['Fallback', 'rPh', 'txbxContent', 'tracked-changes']);
+
+/**
+ * Finds descendant elements by local name, in document order
+ */
+function findXmlElements(node, name, results = []) {
+  for (const child of node.children) {
+    if (typeof child === 'string' || SKIPPED_XML_ELEMENTS.has(child.name)) {
+      continue;
+    }
+    if (child.name === name) {
+      results.push(child);
+    }
+    findXmlElements(child, name, results);
+  }
+  return results;
+}
+
+/**
+ * Finds the first descendant element with a local name
+ */
+function findXmlElement(node, name) {
+  return findXmlElements(node, name)[0] || null;
+}
+
+/**
+ * Returns the child elements of a node, optionally only those with a local name
+ */
+function xmlChildren(node, name) {
+  return node.children.filter(child => typeof child !== 'string' && (!name || child.name === name));
+}
+
+/**
+ * Collects the text of an element
+ * Office formats keep text in <t> elements; OpenDocument uses mixed content with
+ * <text:s> for runs of spaces. Tabs and line breaks of both are converted.
+ * @param {object} node - The element
+ * @param {boolean} mixedContent - Whether text directly inside elements counts (OpenDocument)
+ */
+function xmlText(node, mixedContent = false) {
+  let text = '';
+  for (const child of node.children) {
+    if (typeof child === 'string') {
+      if (mixedContent || node.name === 't') {
+        text += child;
+      }
+    } else if (child.name === 'tab') {
+      text += '\t';
+    } else if (child.name === 'br' || child.name === 'cr' || child.name === 'line-break') {
+      text += '\n';
+    } else if (child.name === 's' && mixedContent) {
+      text += ' '.repeat(Number(child.attributes['text:c']) || 1);
+    } else if (!SKIPPED_XML_ELEMENTS.has(child.name)) {
+      text += xmlText(child, mixedContent);
+    }
+  }
+  return text;
+}
+
+/**
+ * Reads the relationships of an Office Open XML part
+ * @returns {Promise<Map<string, {target: string, type: string}>>} Relationships by ID, with targets resolved to entry names
+ */
+async function readZipRelationships(blob, entries, partName) {
+  const slash = partName.lastIndexOf('/');
+  const folder = partName.slice(0, slash + 1);
+  const relationshipsName = `${folder}_rels/${partName.slice(slash + 1)}.rels`;
+  const relationships = new Map();
+  
+  if (!entries.has(relationshipsName)) {
+    return relationships;
+  }
+  
+  const tree = parseXml(await readZipText(blob, entries, relationshipsName));
+  for (const relationship of findXmlElements(tree, 'Relationship')) {
+    const { Id, Target, Type = '', TargetMode } = relationship.attributes;
+    if (!Id || !Target || TargetMode === 'External') {
+      continue;
+    }
+    
+    const segments = [];
+    for (const segment of (Target.startsWith('/') ? Target : folder + Target).split('/')) {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment && segment !== '.') {
+        segments.push(segment);
+      }
+    }
+    relationships.set(Id, { target: segments.join('/'), type: Type.slice(Type.lastIndexOf('/') + 1) });
+  }
+  
+  return relationships;
+}
+
+/**
+ * Finds the main part of an Office Open XML package, e.g. word/document.xml
+ */
+async function findMainPart(blob, entries, fallback) {
+  const relationships = await readZipRelationships(blob, entries, '');
+  for (const { target, type } of relationships.values()) {
+    if (type === 'officeDocument' && entries.has(target)) {
+      return target;
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Renders extracted paragraphs as plain text, with Markdown-style headings, list items and table rows
+ */
+function renderParagraphs(paragraphs) {
+  return paragraphs.map((paragraph) => {
+    switch (paragraph.type) {
+      case 'heading':
+        return `${'#'.repeat(Math.min(paragraph.level, 6))} ${paragraph.text}`;
+      case 'listItem':
+        return `- ${paragraph.text}`;
+      case 'tableRow':
+        return `| ${paragraph.cells.join(' | ')} |`;
+      default:
+        return paragraph.text;
+    }
+  }).join('\n');
+}
+
+/**
+ * Extracts paragraphs, headings, list items and table rows from a .docx file
+ */
+async function extractWordDocument(blob, entries) {
+  const documentName = await findMainPart(blob, entries, 'word/document.xml');
+  const documentTree = parseXml(await readZipText(blob, entries, documentName));
+  
+  // Heading levels by style ID, from the style names or their outline levels
+  const headingStyles = new Map();
+  const stylesName = [...(await readZipRelationships(blob, entries, documentName)).values()]
+    .find(relationship => relationship.type === 'styles')?.target;
+  if (stylesName && entries.has(stylesName)) {
+    for (const style of findXmlElements(parseXml(await readZipText(blob, entries, stylesName)), 'style')) {
+      const name = findXmlElement(style, 'name')?.attributes['w:val'] || '';
+      const outlineLevel = findXmlElement(style, 'outlineLvl')?.attributes['w:val'];
+      const heading = /^heading\s*(\d)$/i.exec(name);
+      if (heading || /^title$/i.test(name) || (outlineLevel !== undefined && Number(outlineLevel) < 9)) {
+        headingStyles.set(style.attributes['w:styleId'], heading ? Number(heading[1]) : name.toLowerCase() === 'title' ? 1 : Number(outlineLevel) + 1);
+      }
+    }
+  }
+  
+  const headingLevel = (properties) => {
+    const outlineLevel = properties && xmlChildren(properties, 'outlineLvl')[0]?.attributes['w:val'];
+    if (outlineLevel !== undefined && Number(outlineLevel) < 9) {
+      return Number(outlineLevel) + 1;
+    }
+    const styleId = properties && xmlChildren(properties, 'pStyle')[0]?.attributes['w:val'];
+    if (!styleId) {
+      return null;
+    }
+    if (headingStyles.has(styleId)) {
+      return headingStyles.get(styleId);
+    }
+    const heading = /^heading(\d)$/i.exec(styleId);
+    return heading ? Number(heading[1]) : /^title$/i.test(styleId) ? 1 : null;
+  };
+  
+  const paragraphs = [];
+  const visit = (node) => {
+    for (const child of xmlChildren(node)) {
+      if (child.name === 'p') {
+        const text = xmlText(child).trim();
+        const properties = xmlChildren(child, 'pPr')[0];
+        const level = headingLevel(properties);
+        if (text && level) {
+          paragraphs.push({ type: 'heading', level, text });
+        } else if (text) {
+          paragraphs.push({ type: properties && xmlChildren(properties, 'numPr').length ? 'listItem' : 'paragraph', text });
+        }
+        // Text boxes anchored in the paragraph follow it
+        for (const textBox of findTextBoxes(child)) {
+          visit(textBox);
+        }
+      } else if (child.name === 'tbl') {
+        for (const row of xmlChildren(child, 'tr')) {
+          const cells = xmlChildren(row, 'tc').map(cell => findXmlElements(cell, 'p').map(p => xmlText(p).trim()).filter(Boolean).join(' '));
+          if (cells.some(Boolean)) {
+            paragraphs.push({ type: 'tableRow', text: cells.join('\t'), cells });
+          }
+        }
+      } else if (!SKIPPED_XML_ELEMENTS.has(child.name)) {
+        visit(child);
+      }
+    }
+  };
+  visit(findXmlElement(documentTree, 'body') || documentTree);
+  
+  return { content: renderParagraphs(paragraphs), paragraphs };
+}
+
+/**
+ * Finds the text box contents inside an element, which findXmlElements skips
+ */
+function findTextBoxes(node, results = []) {
+  for (const child of xmlChildren(node)) {
+    if (child.name === 'txbxContent') {
+      results.push(child);
+    } else if (child.name !== 'Fallback') {
+      findTextBoxes(child, results);
+    }
+  }
+  return results;
+}
+
+/**
+ * Extracts paragraphs, headings, list items and table rows from an .odt file
+ */
+async function extractOpenDocumentText(blob, entries) {
+  const tree = parseXml(await readZipText(blob, entries, 'content.xml'));
+  const paragraphs = [];
+  
+  const visit = (node, inList) => {
+    for (const child of xmlChildren(node)) {
+      if (child.name === 'h' || child.name === 'p') {
+        const text = xmlText(child, true).trim();
+        if (text && child.name === 'h') {
+          paragraphs.push({ type: 'heading', level: Number(child.attributes['text:outline-level']) || 1, text });
+        } else if (text) {
+          paragraphs.push({ type: inList ? 'listItem' : 'paragraph', text });
+        }
+      } else if (child.name === 'table-row') {
+        const cells = xmlChildren(child, 'table-cell').map(cell => findXmlElements(cell, 'p').map(p => xmlText(p, true).trim()).filter(Boolean).join(' '));
+        if (cells.some(Boolean)) {
+          paragraphs.push({ type: 'tableRow', text: cells.join('\t'), cells });
+        }
+      } else if (!SKIPPED_XML_ELEMENTS.has(child.name)) {
+        visit(child, inList || child.name === 'list');
+      }
+    }
+  };
+  visit(findXmlElement(tree, 'text') || tree, false);
+  
+  return { content: renderParagraphs(paragraphs), paragraphs };
+}
+
+/**
+ * Converts a spreadsheet column reference such as "AB" in "AB12" to a 0-based index
+ */
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference || '');
+  if (!letters) {
+    return null;
+  }
+  let index = 0;
+  for (const letter of letters[0].toUpperCase()) {
+    index = index * 26 + letter.charCodeAt(0) - 64;
+  }
+  return index - 1;
+}
+
+/**
+ * Extracts every sheet of an .xlsx file as rows of cell values, rendered as CSV
+ * Cells hold their stored values; formulas give their last calculated result
+ */
+async function extractSpreadsheet(blob, entries) {
+  const workbookName = await findMainPart(blob, entries, 'xl/workbook.xml');
+  const workbook = parseXml(await readZipText(blob, entries, workbookName));
+  const relationships = await readZipRelationships(blob, entries, workbookName);
+  
+  let sharedStrings = [];
+  const sharedStringsName = [...relationships.values()].find(relationship => relationship.type === 'sharedStrings')?.target;
+  if (sharedStringsName && entries.has(sharedStringsName)) {
+    sharedStrings = findXmlElements(parseXml(await readZipText(blob, entries, sharedStringsName)), 'si').map(item => xmlText(item));
+  }
+  
+  const sheets = [];
+  for (const sheet of findXmlElements(workbook, 'sheet')) {
+    const target = relationships.get(sheet.attributes['r:id'])?.target;
+    if (!target || !entries.has(target)) {
+      continue;
+    }
+    
+    const rows = [];
+    for (const row of findXmlElements(parseXml(await readZipText(blob, entries, target)), 'row')) {
+      const values = [];
+      for (const cell of xmlChildren(row, 'c')) {
+        const index = columnIndex(cell.attributes.r) ?? values.length;
+        const valueElement = xmlChildren(cell, 'v')[0];
+        const raw = valueElement ? xmlText(valueElement, true) : '';
+        
+        let value = raw;
+        if (cell.attributes.t === 's') {
+          value = sharedStrings[Number(raw)] ?? '';
+        } else if (cell.attributes.t === 'inlineStr') {
+          value = xmlText(xmlChildren(cell, 'is')[0] || cell);
+        } else if (cell.attributes.t === 'b') {
+          value = raw === '1' ? 'TRUE' : 'FALSE';
+        }
+        
+        while (values.length < index) {
+          values.push('');
+        }
+        values[index] = value;
+      }
+      rows.push(values);
+    }
+    
+    while (rows.length && rows[rows.length - 1].every(value => value === '')) {
+      rows.pop();
+    }
+    sheets.push({ name: sheet.attributes.name || `Sheet${sheets.length + 1}`, rows });
+  }
+  
+  const content = sheets
+    .map(sheet => `# ${sheet.name}\n${sheet.rows.map(row => row.map(escapeCsvValue).join(',')).join('\n')}`)
+    .join('\n\n');
+  return { content, sheets };
+}
+
+/**
+ * Collects the non-empty paragraphs of DrawingML shapes, optionally only placeholders of some types
+ */
+function shapeParagraphs(tree, placeholderTypes = null) {
+  const lines = [];
+  for (const shape of findXmlElements(tree, 'sp')) {
+    if (placeholderTypes) {
+      const placeholder = findXmlElement(shape, 'ph');
+      if (!placeholder || !placeholderTypes.includes(placeholder.attributes.type)) {
+        continue;
+      }
+    }
+    lines.push(...findXmlElements(shape, 'p').map(p => xmlText(p).trim()).filter(Boolean));
+  }
+  return lines;
+}
+
+/**
+ * Extracts the title, text and speaker notes of every slide of a .pptx file, in presentation order
+ */
+async function extractPresentation(blob, entries) {
+  const presentationName = await findMainPart(blob, entries, 'ppt/presentation.xml');
+  const presentation = parseXml(await readZipText(blob, entries, presentationName));
+  const relationships = await readZipRelationships(blob, entries, presentationName);
+  
+  const slides = [];
+  for (const slideId of findXmlElements(presentation, 'sldId')) {
+    const target = relationships.get(slideId.attributes['r:id'])?.target;
+    if (!target || !entries.has(target)) {
+      continue;
+    }
+    
+    const tree = parseXml(await readZipText(blob, entries, target));
+    const slide = {
+      number: slides.length + 1,
+      title: shapeParagraphs(tree, ['title', 'ctrTitle']).join(' '),
+      // Tables and other graphic frames hold paragraphs outside shapes
+      text: findXmlElements(tree, 'p').map(p => xmlText(p).trim()).filter(Boolean).join('\n'),
+    };
+    
+    const notesName = [...(await readZipRelationships(blob, entries, target)).values()]
+      .find(relationship => relationship.type === 'notesSlide')?.target;
+    if (notesName && entries.has(notesName)) {
+      const notes = shapeParagraphs(parseXml(await readZipText(blob, entries, notesName)), ['body']).join('\n');
+      if (notes) {
+        slide.notes = notes;
+      }
+    }
+    slides.push(slide);
+  }
+  
+  const content = slides
+    .map(slide => [`# Slide ${slide.number}${slide.title ? `: ${slide.title}` : ''}`, slide.text, slide.notes ? `Notes:\n${slide.notes}` : '']
+      .filter(Boolean)
+      .join('\n'))
+    .join('\n\n');
+  return { content, slides };
+}
+
+// Text extractors by the MIME type sniffContent reports
+const TEXT_EXTRACTORS = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractWordDocument,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': extractSpreadsheet,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': extractPresentation,
+  'application/vnd.oasis.opendocument.text': extractOpenDocumentText,
+};
+
+/**
+ * Extracts the text of an Office Open XML or OpenDocument file by reading its ZIP container
+ * @param {File} file - The document
+ * @param {string} mimeType - Its sniffed MIME type
+ * @returns {Promise<object>} content, plus paragraphs, sheets or slides depending on the format
+ */
+async function extractDocumentText(file, mimeType) {
+  const extractor = TEXT_EXTRACTORS[mimeType];
+  if (!extractor) {
+    throw new Error(`Text extraction supports .docx, .xlsx, .pptx and .odt files, not ${mimeType}`);
+  }
+  return extractor(file, await readZipDirectory(file));
+}
+
+// Data file types queryFile understands, by extension
+const QUERY_FILE_TYPES = {
+  csv: 'csv',
+  tsv: 'tsv',
+  tab: 'tsv',
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+};
+
+// Output formats of queryFile
+const QUERY_FORMATS = ['table', 'csv', 'json'];
+
+// Rows returned by queryFile unless a limit is given
+const DEFAULT_QUERY_LIMIT = 50;
+
+// Rows examined when deciding whether a delimited file has a header
+const HEADER_SAMPLE_ROWS = 20;
+
+// Longest cell shown in queryFile tables
+const MAX_QUERY_CELL_LENGTH = 200;
+
+// Longest single JSON value returned by queryFile before it is truncated
+const MAX_QUERY_VALUE_LENGTH = 64 * 1024;
+
+// Distinct values counted per column for queryFile statistics
+const MAX_DISTINCT_VALUES = 1000;
+
+// Columns summarised when statistics are requested for JSON records without columns
+const MAX_STATS_COLUMNS = 50;
+
+const FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'startsWith', 'endsWith', 'matches', 'in', 'empty', 'notEmpty'];
+
+/**
+ * Decodes a file one chunk at a time
+ */
+async function* readTextChunks(file, encoding = 'utf-8') {
+  const decoder = new TextDecoder(encoding);
+  for (let position = 0; position < file.size; position += READ_CHUNK_SIZE) {
+    const bytes = await file.slice(position, position + READ_CHUNK_SIZE).arrayBuffer();
+    yield decoder.decode(bytes, { stream: position + READ_CHUNK_SIZE < file.size });
+  }
+}
+
+/**
+ * Splits decoded chunks into lines, without their line endings
+ */
+async function* readTextLines(chunks) {
+  let pending = '';
+  for await (const chunk of chunks) {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+  }
+  if (pending) {
+    yield pending;
+  }
+}
+
+/**
+ * Splits delimited text into rows of fields, following RFC 4180 quoting:
+ * quoted fields may contain delimiters, newlines and doubled quotes
+ * @param {AsyncIterable<string>} chunks - Decoded text
+ * @param {string} delimiter - Field delimiter
+ */
+async function* parseDelimitedRows(chunks, delimiter) {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let closedQuote = false;
+  let rowStarted = false;
+  
+  for await (const chunk of chunks) {
+    const rows = [];
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          closedQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+      
+      // A quote straight after a closing quote is an escaped quote
+      if (closedQuote) {
+        closedQuote = false;
+        if (char === '"') {
+          field += '"';
+          quoted = true;
+          continue;
+        }
+      }
+      
+      if (char === '"' && field === '') {
+        quoted = true;
+        rowStarted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+        rowStarted = true;
+      } else if (char === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        rowStarted = false;
+      } else if (char !== '\r') {
+        field += char;
+        rowStarted = true;
+      }
+    }
+    yield* rows;
+  }
+  
+  if (rowStarted) {
+    row.push(field);
+    yield row;
+  }
+}
+
+/**
+ * Picks the delimiter that occurs most often, outside quotes, on the first line of a sample
+ */
+function detectDelimiter(sample) {
+  const firstLine = sample.split('\n', 1)[0];
+  let best = ',';
+  let bestCount = 0;
+  
+  for (const candidate of [',', '\t', ';', '|']) {
+    let count = 0;
+    let quoted = false;
+    for (const char of firstLine) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (char === candidate && !quoted) {
+        count++;
+      }
+    }
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Returns a value as a number if it is one, or looks like one, otherwise null
+ */
+function parseNumericValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i.test(value)) {
+    return Number(value);
+  }
+  return null;
+}
+
+/**
+ * Guesses whether the first row of a delimited file is a header:
+ * its cells are all non-empty, unique and non-numeric, and none of them recur in their column
+ */
+function looksLikeHeader(firstRow, sampleRows) {
+  if (!firstRow.every(value => value.trim() !== '' && parseNumericValue(value) === null)) {
+    return false;
+  }
+  if (new Set(firstRow).size !== firstRow.length) {
+    return false;
+  }
+  return !sampleRows.some(row => row.some((value, index) => value === firstRow[index]));
+}
+
+/**
+ * Makes header names unique and non-empty, so they can key records
+ */
+function uniqueColumnNames(names) {
+  const seen = new Set();
+  return names.map((name, index) => {
+    let unique = name.trim() || `column${index + 1}`;
+    for (let suffix = 2; seen.has(unique); suffix++) {
+      unique = `${name.trim() || `column${index + 1}`}_${suffix}`;
+    }
+    seen.add(unique);
+    return unique;
+  });
+}
+
+/**
+ * Resolves a column reference to a column name: an exact name, a case-insensitive name or a 1-based index
+ */
+function resolveColumn(columns, reference) {
+  const name = String(reference).trim();
+  if (columns.includes(name)) {
+    return name;
+  }
+  
+  const lowerName = name.toLowerCase();
+  const match = columns.find(column => column.toLowerCase() === lowerName);
+  if (match) {
+    return match;
+  }
+  
+  if (/^\d+$/.test(name) && Number(name) >= 1 && Number(name) <= columns.length) {
+    return columns[Number(name) - 1];
+  }
+  
+  throw new Error(`Unknown column "${name}", the columns are: ${columns.join(', ')}`);
+}
+
+/**
+ * Reads a column of a record; JSON records also accept dotted paths such as "address.city"
+ * Primitive JSON records expose themselves as the column "value"
+ */
+function getRecordValue(record, column) {
+  if (record === null || typeof record !== 'object') {
+    return column === 'value' ? record : undefined;
+  }
+  if (Object.prototype.hasOwnProperty.call(record, column)) {
+    return record[column];
+  }
+  
+  let value = record;
+  for (const key of column.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Converts a cell or JSON value to text for comparisons and output
+ */
+function queryValueText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Compares two values, numerically when both are numbers; empty values sort last
+ */
+function compareQueryValues(a, b) {
+  const aText = queryValueText(a);
+  const bText = queryValueText(b);
+  if (aText === '' || bText === '') {
+    return (aText === '') - (bText === '');
+  }
+  
+  const aNumber = parseNumericValue(a);
+  const bNumber = parseNumericValue(b);
+  if (aNumber !== null && bNumber !== null) {
+    return aNumber - bNumber;
+  }
+  return aText.localeCompare(bText, undefined, { numeric: true });
+}
+
+/**
+ * Parses a queryFile filter, given as { column, op, value } or as a string such as "age >= 30"
+ * In strings, "~" stands for contains
+ * @returns {{column: string, op: string, value: *, test: Function}}
+ */
+function parseQueryFilter(filter) {
+  if (typeof filter === 'string') {
+    const match = /^\s*(.+?)\s*(!=|>=|<=|==|=|>|<|~)\s*(.*?)\s*$/s.exec(filter);
+    if (!match) {
+      throw new Error(`Invalid filter "${filter}", expected for example "age >= 30" or "name ~ ann"`);
+    }
+    const op = { '~': 'contains', '==': '=' }[match[2]] || match[2];
+    filter = { column: match[1], op, value: match[3].replace(/^(["'])(.*)\1$/s, '$2') };
+  }
+  
+  if (!filter || typeof filter !== 'object' || !filter.column) {
+    throw new Error('Each filter needs a column');
+  }
+  
+  const op = filter.op || '=';
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new Error(`Unknown filter operator "${op}", use one of: ${FILTER_OPERATORS.join(', ')}`);
+  }
+  
+  const expected = filter.value;
+  const expectedText = queryValueText(expected);
+  const lowerExpected = expectedText.toLowerCase();
+  const expectedNumber = parseNumericValue(expected);
+  const equals = (actual) => {
+    const actualNumber = parseNumericValue(actual);
+    return actualNumber !== null && expectedNumber !== null ? actualNumber === expectedNumber : queryValueText(actual) === expectedText;
+  };
+  // Ordering comparisons never match missing or empty values
+  const ordered = (predicate) => actual => queryValueText(actual) !== '' && predicate(compareQueryValues(actual, expected));
+  
+  let test;
+  switch (op) {
+    case '=':
+      test = equals;
+      break;
+    case '!=':
+      test = actual => !equals(actual);
+      break;
+    case '>':
+      test = ordered(order => order > 0);
+      break;
+    case '>=':
+      test = ordered(order => order >= 0);
+      break;
+    case '<':
+      test = ordered(order => order < 0);
+      break;
+    case '<=':
+      test = ordered(order => order <= 0);
+      break;
+    case 'contains':
+      test = actual => queryValueText(actual).toLowerCase().includes(lowerExpected);
+      break;
+    case 'startsWith':
+      test = actual => queryValueText(actual).toLowerCase().startsWith(lowerExpected);
+      break;
+    case 'endsWith':
+      test = actual => queryValueText(actual).toLowerCase().endsWith(lowerExpected);
+      break;
+    case 'matches': {
+      const pattern = new RegExp(expectedText, 'i');
+      test = actual => pattern.test(queryValueText(actual));
+      break;
+    }
+    case 'in': {
+      const values = (Array.isArray(expected) ? expected : expectedText.split(',')).map(value => queryValueText(value).trim());
+      test = actual => values.includes(queryValueText(actual));
+      break;
+    }
+    case 'empty':
+      test = actual => queryValueText(actual) === '';
+      break;
+    case 'notEmpty':
+      test = actual => queryValueText(actual) !== '';
+      break;
+  }
+  
+  return { column: String(filter.column).trim(), op, value: expected, test };
+}
+
+/**
+ * Parses sort keys such as "-age", "age desc" or "name asc"
+ * @returns {Array<{column: string, descending: boolean}>}
+ */
+function parseSortKeys(sort) {
+  return parsePatternSetting(sort).map((key) => {
+    const match = /^(-)?(.+?)(?:\s+(asc|desc))?$/i.exec(key);
+    return { column: match[2], descending: Boolean(match[1]) || (match[3] || '').toLowerCase() === 'desc' };
+  });
+}
+
+/**
+ * Resolves a JSON pointer (RFC 6901) such as "/items/0/name"
+ * @returns {Array} The value in a one-element array, or an empty array when nothing matches
+ */
+function resolveJsonPointer(document, pointer) {
+  let value = document;
+  for (const token of pointer.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))) {
+    if (Array.isArray(value) && /^(0|[1-9]\d*)$/.test(token) && Number(token) < value.length) {
+      value = value[Number(token)];
+    } else if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+      value = value[token];
+    } else {
+      return [];
+    }
+  }
+  return [value];
+}
+
+/**
+ * Parses a JSONPath-style expression such as "$.items[*].name", "$..id" or "users[0]['first name']"
+ * Supports child keys, array indexes (negative from the end), * wildcards and .. recursive descent
+ * @returns {Array<object>} Steps of type key, index, wildcard or descend
+ */
+function parseJsonPath(expression) {
+  const steps = [];
+  let rest = expression.trim().replace(/^\$/, '');
+  const step = /^(?:\.\.(\*|[^.[\]]+)|\.(\*|[^.[\]]+)|\[\s*(\*|-?\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]|([^.[\]]+))/;
+  
+  while (rest) {
+    const match = step.exec(rest);
+    if (!match || (match[4] !== undefined && steps.length > 0)) {
+      throw new Error(`Invalid path expression "${expression}" at "${rest}"`);
+    }
+    
+    const [token, descendant, child, bracket, leading] = match;
+    if (descendant !== undefined) {
+      steps.push({ type: 'descend', key: descendant });
+    } else if (child === '*' || bracket === '*') {
+      steps.push({ type: 'wildcard' });
+    } else if (bracket !== undefined && /^-?\d+$/.test(bracket)) {
+      steps.push({ type: 'index', index: Number(bracket) });
+    } else if (bracket !== undefined) {
+      steps.push({ type: 'key', key: bracket.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else {
+      steps.push({ type: 'key', key: child ?? leading });
+    }
+    rest = rest.slice(token.length);
+  }
+  
+  return steps;
+}
+
+/**
+ * Evaluates parsed path steps against a document
+ * @returns {Array} Every matching value, in document order
+ */
+function evaluateJsonPath(document, steps) {
+  const collectDescendants = (value, key, results) => {
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+    for (const [childKey, child] of Object.entries(value)) {
+      if (key === '*' || childKey === key) {
+        results.push(child);
+      }
+      collectDescendants(child, key, results);
+    }
+  };
+  
+  let values = [document];
+  for (const step of steps) {
+    const next = [];
+    for (const value of values) {
+      if (step.type === 'descend') {
+        collectDescendants(value, step.key, next);
+      } else if (value === null || typeof value !== 'object') {
+        continue;
+      } else if (step.type === 'wildcard') {
+        next.push(...Object.values(value));
+      } else if (step.type === 'index') {
+        const index = step.index < 0 && Array.isArray(value) ? value.length + step.index : step.index;
+        if (Array.isArray(value) && index >= 0 && index < value.length) {
+          next.push(value[index]);
+        }
+      } else if (Object.prototype.hasOwnProperty.call(value, step.key)) {
+        next.push(value[step.key]);
+      }
+    }
+    values = next;
+  }
+  
+  return values;
+}
+
+/**
+ * Selects values from a JSON document with a JSON pointer (starting with "/") or a path expression
+ * @returns {{values: Array, multiple: boolean}} Matches, and whether the selection can match several values
+ */
+function selectJsonValues(document, select) {
+  if (!select) {
+    return { values: [document], multiple: false };
+  }
+  if (select.startsWith('/')) {
+    return { values: resolveJsonPointer(document, select), multiple: false };
+  }
+  
+  const steps = parseJsonPath(select);
+  return {
+    values: evaluateJsonPath(document, steps),
+    multiple: steps.some(step => step.type === 'wildcard' || step.type === 'descend'),
+  };
+}
+
+/**
+ * Accumulates summary statistics for the values of one column
+ */
+class ColumnStatistics {
+  constructor() {
+    this.count = 0;
+    this.empty = 0;
+    this.numeric = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+    this.values = new Map();
+    this.distinctOverflow = false;
+  }
+
+  add(value) {
+    const text = queryValueText(value);
+    if (text === '') {
+      this.empty++;
+      return;
+    }
+    
+    this.count++;
+    const number = parseNumericValue(value);
+    if (number !== null) {
+      this.numeric++;
+      this.sum += number;
+      this.min = this.min === null ? number : Math.min(this.min, number);
+      this.max = this.max === null ? number : Math.max(this.max, number);
+    }
+    
+    if (this.values.has(text)) {
+      this.values.set(text, this.values.get(text) + 1);
+    } else if (this.values.size < MAX_DISTINCT_VALUES) {
+      this.values.set(text, 1);
+    } else {
+      this.distinctOverflow = true;
+    }
+  }
+
+  /**
+   * Numeric columns report min, max, sum and mean; other columns their most frequent values
+   */
+  summarize() {
+    const summary = {
+      count: this.count,
+      empty: this.empty,
+      distinct: this.distinctOverflow ? `${MAX_DISTINCT_VALUES}+` : this.values.size,
+    };
+    
+    if (this.count > 0 && this.numeric === this.count) {
+      summary.min = this.min;
+      summary.max = this.max;
+      summary.sum = this.sum;
+      summary.mean = Number((this.sum / this.count).toPrecision(12));
+    } else {
+      summary.top = [...this.values]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([value, count]) => ({ value: truncateLine(value), count }));
+    }
+    return summary;
+  }
+}
+
+/**
+ * Filters, sorts, pages and summarises records for queryFile
+ * Records are only held in memory when they need sorting, and reading stops as
+ * soon as the page is full unless sorting or statistics need every record
+ * @param {AsyncIterable|Iterable} records - CSV rows as objects, or JSON values
+ * @param {object} query - Parsed filters, sort keys, offset, limit and statistics columns
+ */
+async function runRecordQuery(records, query) {
+  const { filters, sort, offset, limit } = query;
+  const statistics = query.stats ? new Map() : null;
+  const collected = [];
+  let scanned = 0;
+  let matched = 0;
+  let complete = true;
+  
+  for await (const record of records) {
+    scanned++;
+    if (!filters.every(filter => filter.test(getRecordValue(record, filter.column)))) {
+      continue;
+    }
+    matched++;
+    
+    if (statistics) {
+      const columns = query.statsColumns
+        || (record !== null && typeof record === 'object' ? Object.keys(record) : ['value']);
+      for (const column of columns) {
+        if (!statistics.has(column)) {
+          if (statistics.size >= MAX_STATS_COLUMNS) {
+            continue;
+          }
+          statistics.set(column, new ColumnStatistics());
+        }
+        statistics.get(column).add(getRecordValue(record, column));
+      }
+    }
+    
+    if (sort.length > 0 || (matched > offset && collected.length < limit)) {
+      collected.push(record);
+    } else if (!statistics && matched > offset + limit) {
+      complete = false;
+      break;
+    }
+  }
+  
+  if (sort.length > 0) {
+    collected.sort((a, b) => {
+      for (const { column, descending } of sort) {
+        const aValue = getRecordValue(a, column);
+        const bValue = getRecordValue(b, column);
+        let order = compareQueryValues(aValue, bValue);
+        // Empty values stay last in either direction
+        if (descending && queryValueText(aValue) !== '' && queryValueText(bValue) !== '') {
+          order = -order;
+        }
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return 0;
+    });
+  }
+  
+  const result = {
+    rows: sort.length > 0 ? collected.slice(offset, offset + limit) : collected,
+    scanned,
+    hasMore: !complete || matched > offset + limit,
+  };
+  if (complete) {
+    result.matched = matched;
+  }
+  if (statistics) {
+    result.stats = Object.fromEntries([...statistics].map(([column, stats]) => [column, stats.summarize()]));
+  }
+  return result;
+}
+
+/**
+ * Formats a value as a Markdown table cell
+ */
+function formatQueryCell(value) {
+  const text = queryValueText(value).replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+  return text.length > MAX_QUERY_CELL_LENGTH ? `${text.slice(0, MAX_QUERY_CELL_LENGTH)}…` : text;
+}
+
+/**
+ * Renders records as a Markdown table or CSV
+ */
+function renderQueryRows(columns, rows, format) {
+  if (format === 'csv') {
+    return [columns, ...rows.map(row => columns.map(column => queryValueText(getRecordValue(row, column))))]
+      .map(values => values.map(escapeCsvValue).join(','))
+      .join('\n');
+  }
+  
+  return [
+    `| ${columns.map(formatQueryCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => formatQueryCell(getRecordValue(row, column))).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Compares two file manifests
+ * @param {Map<string, Array<number>>} previous - Files by path as [size, lastModified]
+ * @param {Map<string, Array<number>>} current - Files by path as [size, lastModified]
+ * @returns {{added: Array, removed: Array, modified: Array}} Changed files, sorted by path
+ */
+function diffManifests(previous, current) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  
+  for (const [path, [size, lastModified]] of current) {
+    const before = previous.get(path);
+    if (!before) {
+      added.push({ path, size, lastModified });
+    } else if (before[0] !== size || before[1] !== lastModified) {
+      modified.push({ path, size, previousSize: before[0], lastModified });
+    }
+  }
+  for (const [path, [size]] of previous) {
+    if (!current.has(path)) {
+      removed.push({ path, size });
+    }
+  }
+  
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return { added: added.sort(byPath), removed: removed.sort(byPath), modified: modified.sort(byPath) };
+}
+
+/**
+ * Handles file system access with appropriate permissions and safety checks
+ */
+class FileAccessManager {
+  constructor(options = {}) {
+    this.baseDirectory = options.baseDirectory || 'documents'; // well-known folder the pickers open in
+    this.storageBackend = options.storageBackend || 'auto'; // backend requestDirectoryAccess opens by default
+    this.snapshotWrites = options.snapshotWrites || 'download'; // delivery of writes to a read-only snapshot
+    this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024; // 10MB default
+    this.allowedExtensions = options.allowedExtensions || null;
+    this.respectIgnoreFiles = options.respectIgnoreFiles ?? true;
+    this.ignorePatterns = options.ignorePatterns || []; // .gitignore-style patterns applied everywhere
+    this.historyMaxVersions = options.historyMaxVersions ?? 20;
+    this.historyMaxBytes = options.historyMaxBytes ?? 50 * 1024 * 1024; // 50MB default
+    this.auditMaxEntries = options.auditMaxEntries ?? 10000;
+    this.auditMaxAge = options.auditMaxAge ?? 90 * 24 * 60 * 60 * 1000; // 90 days default
+    this.confirmWrites = options.confirmWrites ?? false;
+    this.confirmWrite = options.confirmWrite || null; // async (preview) => boolean
+    this.watchInterval = options.watchInterval || DEFAULT_WATCH_INTERVAL;
+    this.onChanges = options.onChanges || null; // (notification) => void, called with batches of watched changes
+    this.directoryManager = new DirectoryPermissionManager();
+    this.lineCountCache = new Map();
+    this.watches = new Map();
+    
+    logger.debug('FileAccessManager initialized with options:', options);
+  }
+
+  /**
+   * Request permission to access a directory
+   * @param {string} mode - 'readwrite' (default) or 'read' for a read-only directory
+   * @param {object} options - Storage backend ('auto' for the storageBackend setting, 'picker', 'snapshot',
+   *   'opfs' or 'memory') and workspace name
+   * @returns {Promise<object>} Result of the permission request
+   */
+  async requestDirectoryAccess(mode = 'readwrite', options = {}) {
+    try {
+      const granted = await this.directoryManager.requestDirectoryPermission(mode, {
+        startIn: this.baseDirectory,
+        backend: !options.backend || options.backend === 'auto' ? this.storageBackend : options.backend,
+        workspace: options.workspace,
+      });
+      
+      if (granted) {
+        const dirName = this.directoryManager.getRootDirectoryName();
+        const reused = this.directoryManager.reusedRecord;
+        const backend = STORAGE_BACKENDS[this.directoryManager.backend];
+        // Snapshots are always read-only
+        mode = this.directoryManager.accessMode;
+        return {
+          success: true,
+          id: this.directoryManager.currentDirectoryId,
+          directory: dirName,
+          mode,
+          backend: backend.name,
+          reused: Boolean(reused),
+          message: `${backend.readOnly ? 'Imported a snapshot of folder'
+            : `${mode === 'read' ? 'Read-only access' : 'Access'} granted to ${backend.storesHandles ? 'directory' : backend.description}`}: ${dirName}` +
+            `${reused ? ` (already stored as "${reused.name}", reusing that entry)` : ''}`,
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Directory access was denied',
+        };
+      }
+    } catch (error) {
+      logger.error('Error requesting directory access:', error);
+      return {
+        error: true,
+        message: `Failed to request directory access: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Validates a path given while no directory is selected, before falling back to a picker
+   * @private
+   */
+  _resolvePath(relativePath, operation = 'read') {
+    validateFilePath(relativePath, this.directoryManager.hasPermission(), operation);
+    
+    logger.debug('Resolved path:', relativePath, 'picker opens in:', this.baseDirectory);
+    return relativePath;
+  }
+
+  /**
+   * Resolves a path that may address a mounted root as alias:relative/path
+   * @param {string} path - The path as given to a command
+   * @returns {{manager: FileAccessManager, path: string, alias: string|null}} The manager for
+   *   that root (this one for unprefixed paths) and the path relative to it
+   */
+  resolveRoot(path) {
+    const match = typeof path === 'string' ? ROOT_ALIAS_PATTERN.exec(path) : null;
+    if (!match) {
+      return { manager: this, path, alias: null };
+    }
+    
+    const manager = Object.create(this);
+    manager.directoryManager = this.directoryManager.getRootView(match[1]);
+    return { manager, path: match[2], alias: match[1] };
+  }
+
+  /**
+   * Reads the ignore rules defined directly in a directory
+   * @private
+   */
+  async _readIgnoreRules(dirHandle, basePath) {
+    const rules = [];
+    
+    for (const fileName of IGNORE_FILE_NAMES) {
+      try {
+        const fileHandle = await dirHandle.getFileHandle(fileName);
+        const file = await fileHandle.getFile();
+        rules.push(...parseIgnoreFile(await file.text(), basePath));
+      } catch (error) {
+        // No ignore file of this name in the directory
+      }
+    }
+    
+    return rules;
+  }
+
+  /**
+   * Collects the ignore rules that apply inside a directory, including those
+   * defined in its parents up to the root
+   * @private
+   * @param {string} directory - Directory relative to the root
+   * @param {FileSystemDirectoryHandle} dirHandle - Handle of that directory
+   * @returns {Promise<Array<object>>} Ignore rules, outermost first
+   */
+  async _loadIgnoreRules(directory, dirHandle) {
+    // The repository internals are always skipped, as git itself does,
+    // followed by the patterns configured in the ignorePatterns setting
+    const rules = parseIgnoreFile(['.git/', ...this.ignorePatterns].join('\n'));
+    
+    if (!this.directoryManager.hasPermission()) {
+      rules.push(...await this._readIgnoreRules(dirHandle, directory));
+      return rules;
+    }
+    
+    const segments = directory.split('/').filter(segment => segment.length > 0 && segment !== '.');
+    let currentDir = await this.directoryManager.getDirectoryHandle('');
+    let currentPath = '';
+    rules.push(...await this._readIgnoreRules(currentDir, currentPath));
+    
+    for (const segment of segments) {
+      currentDir = await currentDir.getDirectoryHandle(segment);
+      currentPath = joinPath(currentPath, segment);
+      rules.push(...await this._readIgnoreRules(currentDir, currentPath));
+    }
+    
+    return rules;
+  }
+
+  /**
+   * Builds the options shared by directory walks
+   * @private
+   * @param {string} directory - Directory being walked, relative to the root
+   * @param {FileSystemDirectoryHandle} dirHandle - Handle of that directory
+   * @param {object} options - Command options (include, exclude, maxDepth, respectIgnoreFiles)
+   * @returns {Promise<object>} Walk options, with a stats object counting ignored entries
+   */
+  async _createWalkOptions(directory, dirHandle, options = {}) {
+    if (options.maxDepth !== undefined && !(options.maxDepth >= 1)) {
+      throw new Error(`Invalid maxDepth ${options.maxDepth}, expected 1 or more`);
+    }
+    
+    const include = normalizeGlobList(options.include);
+    const respectIgnoreFiles = options.respectIgnoreFiles ?? this.respectIgnoreFiles;
+    
+    return {
+      maxDepth: options.maxDepth,
+      include: include.length > 0 ? include : null,
+      exclude: normalizeGlobList(options.exclude),
+      ignoreRules: respectIgnoreFiles ? await this._loadIgnoreRules(directory, dirHandle) : null,
+      stats: { ignored: 0 },
+    };
+  }
+
+  /**
+   * Walks a directory depth-first, yielding entries sorted by name
+   * Excluded and ignored directories are pruned, include patterns only filter files
+   * @private
+   * @param {FileSystemDirectoryHandle} dirHandle - Directory to walk
+   * @param {string} basePath - Relative path of the directory
+   * @param {object} options - Walk options (maxDepth, include, exclude, ignoreRules, stats)
+   * @param {number} depth - Current depth, 0 for direct children
+   * @param {Array<object>|null} ignoreRules - Ignore rules in effect for this directory
+   */
+  async *_walkDirectory(dirHandle, basePath, options = {}, depth = 0, ignoreRules = options.ignoreRules) {
+    const maxDepth = options.maxDepth === undefined ? Infinity : options.maxDepth;
+    if (depth >= maxDepth) {
+      return;
+    }
+
+    const children = [];
+    for await (const entry of dirHandle.values()) {
+      children.push(entry);
+    }
+    children.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of children) {
+      const path = joinPath(basePath, entry.name);
+
+      if (options.exclude && matchesGlob(path, options.exclude)) {
+        continue;
+      }
+
+      // Entries denied by the path policy are never listed
+      if (!pathPolicy.isAllowed(path, 'read', entry.kind)) {
+        continue;
+      }
+
+      if (ignoreRules && isIgnoredPath(path, entry.kind, ignoreRules)) {
+        if (options.stats) {
+          options.stats.ignored++;
+        }
+        continue;
+      }
+
+      if (entry.kind === 'directory') {
+        yield { name: entry.name, kind: entry.kind, path, depth, handle: entry };
+        
+        // Only read nested ignore files if the walk will descend into the directory
+        const childRules = ignoreRules && depth + 1 < maxDepth
+          ? ignoreRules.concat(await this._readIgnoreRules(entry, path))
+          : ignoreRules;
+        yield* this._walkDirectory(entry, path, options, depth + 1, childRules);
+      } else if (!options.include || matchesGlob(path, options.include)) {
+        yield { name: entry.name, kind: entry.kind, path, depth, handle: entry };
+      }
+    }
+  }
+
+  /**
+   * Lists files in a directory
+   * @param {string} directory - Directory relative to the root
+   * @param {object} options - Listing options
+   * @param {boolean} options.recursive - Descend into subdirectories
+   * @param {number} options.maxDepth - Maximum number of levels to list
+   * @param {string|string[]} options.include - Glob patterns files must match
+   * @param {string|string[]} options.exclude - Glob patterns to skip
+   * @param {boolean} options.respectIgnoreFiles - Skip entries matched by .gitignore/.ignore files
+   * @returns {Promise<object>} The listed entries, whether the listing was truncated and how many entries were ignored
+   */
+  async listFiles(directory = '', options = {}) {
+    try {
+      logger.debug('Listing files in directory:', directory, options);
+
+      let dirHandle;
+
+      // If we have directory permission, use it
+      if (this.directoryManager.hasPermission()) {
+        validateFilePath(directory, true, 'read', 'directory');
+        dirHandle = await this.directoryManager.getDirectoryHandle(directory);
+      } else {
+        // Fall back to the file picker
+        const dirPath = this._resolvePath(directory);
+
+        // Use the File System Access API to get directory handle
+        dirHandle = await window.showDirectoryPicker({
+          id: 'file-plugin-dir',
+          startIn: this.baseDirectory,
+        });
+      }
+
+      const recursive = options.recursive || options.maxDepth !== undefined;
+      const walkOptions = await this._createWalkOptions(directory, dirHandle, {
+        ...options,
+        maxDepth: recursive ? (options.maxDepth ?? Infinity) : 1,
+      });
+
+      const files = [];
+      let truncated = false;
+      for await (const entry of this._walkDirectory(dirHandle, directory, walkOptions)) {
+        if (files.length >= MAX_LIST_ENTRIES) {
+          truncated = true;
+          break;
+        }
+
+        const info = {
+          name: entry.name,
+          kind: entry.kind,
+          path: entry.path,
+          depth: entry.depth,
+        };
+
+        if (entry.kind === 'file') {
+          const file = await entry.handle.getFile();
+          info.size = file.size;
+          info.lastModified = file.lastModified;
+        }
+
+        files.push(info);
+      }
+
+      logger.debug('Found files:', files);
+      return { files, truncated, ignored: walkOptions.stats.ignored };
+    } catch (error) {
+      logger.error('Error listing files:', error);
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarises a directory tree: totals, sizes by extension and the largest, newest and deepest entries
+   * @param {string} directory - Directory relative to the root
+   * @param {object} options - Walk options
+   * @param {number} options.top - How many largest, recent and deepest entries to return, defaults to 10
+   * @param {number} options.maxDepth - Maximum number of levels to walk
+   * @param {string|string[]} options.include - Glob patterns files must match
+   * @param {string|string[]} options.exclude - Glob patterns to skip
+   * @param {boolean} options.respectIgnoreFiles - Skip entries matched by .gitignore/.ignore files
+   * @returns {Promise<object>} Totals and rankings, with sizes in bytes and human-readable form
+   */
+  async directoryStats(directory = '', options = {}) {
+    try {
+      logger.debug('Collecting directory statistics:', directory, options);
+      
+      validateFilePath(directory, true, 'read', 'directory');
+      const dirHandle = await this.directoryManager.getDirectoryHandle(directory);
+      const walkOptions = await this._createWalkOptions(directory, dirHandle, options);
+      const top = Math.max(1, Math.floor(options.top || DEFAULT_STATS_TOP));
+      
+      // Keeps the top entries of a ranking without holding every file
+      const rank = (list, entry, compare) => {
+        if (list.length < top || compare(entry, list[list.length - 1]) < 0) {
+          list.push(entry);
+          list.sort(compare);
+          list.length = Math.min(list.length, top);
+        }
+      };
+      
+      const extensions = new Map();
+      const largest = [];
+      const recent = [];
+      const deepest = [];
+      let totalFiles = 0;
+      let totalDirectories = 0;
+      let totalBytes = 0;
+      let maxDepth = 0;
+      let truncated = false;
+      
+      for await (const entry of this._walkDirectory(dirHandle, directory, walkOptions)) {
+        if (totalFiles + totalDirectories >= MAX_STATS_ENTRIES) {
+          truncated = true;
+          break;
+        }
+        
+        const depth = entry.depth + 1;
+        maxDepth = Math.max(maxDepth, depth);
+        rank(deepest, { path: entry.path, kind: entry.kind, depth }, (a, b) => b.depth - a.depth || a.path.localeCompare(b.path));
+        
+        if (entry.kind === 'directory') {
+          totalDirectories++;
+          continue;
+        }
+        
+        const file = await entry.handle.getFile();
+        totalFiles++;
+        totalBytes += file.size;
+        
+        // Dotfiles such as .gitignore have no extension
+        const extension = entry.name.lastIndexOf('.') > 0 ? getFileExtension(entry.name).toLowerCase() : '';
+        const counts = extensions.get(extension) || { files: 0, bytes: 0 };
+        counts.files++;
+        counts.bytes += file.size;
+        extensions.set(extension, counts);
+        
+        rank(largest, { path: entry.path, bytes: file.size }, (a, b) => b.bytes - a.bytes || a.path.localeCompare(b.path));
+        rank(recent, { path: entry.path, lastModified: file.lastModified }, (a, b) => b.lastModified - a.lastModified || a.path.localeCompare(b.path));
+      }
+      
+      const byExtension = [...extensions]
+        .map(([extension, counts]) => ({ extension: extension ? `.${extension}` : '(none)', ...counts, size: formatFileSize(counts.bytes) }))
+        .sort((a, b) => b.bytes - a.bytes || b.files - a.files);
+      
+      logger.debug(`Directory statistics: ${totalFiles} files, ${totalDirectories} directories`);
+      return {
+        totalFiles,
+        totalDirectories,
+        totalBytes,
+        totalSize: formatFileSize(totalBytes),
+        maxDepth,
+        byExtension,
+        largest: largest.map(entry => ({ ...entry, size: formatFileSize(entry.bytes) })),
+        recent: recent.map(entry => ({ ...entry, modified: new Date(entry.lastModified).toISOString() })),
+        deepest,
+        truncated,
+        ignored: walkOptions.stats.ignored,
+      };
+    } catch (error) {
+      logger.error('Error collecting directory statistics:', error);
+      throw new Error(`Failed to collect directory statistics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records the size and lastModified of every file under the root
+   * Ignored and policy-denied entries are left out, as in listings
+   * @private
+   * @returns {Promise<{files: Map<string, Array<number>>, truncated: boolean}>} Files by path as [size, lastModified]
+   */
+  async _scanManifest() {
+    const dirHandle = await this.directoryManager.getDirectoryHandle('');
+    const walkOptions = await this._createWalkOptions('', dirHandle);
+    const files = new Map();
+    let truncated = false;
+    
+    for await (const entry of this._walkDirectory(dirHandle, '', walkOptions)) {
+      if (entry.kind !== 'file') {
+        continue;
+      }
+      if (files.size >= MAX_STATS_ENTRIES) {
+        truncated = true;
+        break;
+      }
+      
+      const file = await entry.handle.getFile();
+      files.set(entry.path, [file.size, file.lastModified]);
+    }
+    
+    return { files, truncated };
+  }
+
+  /**
+   * Reports the files added, removed or modified since the last check or a named checkpoint
+   * Every call records a new last-check manifest. A named checkpoint is created the first
+   * time it is used and afterwards only moves forward when options.update is set.
+   * @param {object} options - Check options
+   * @param {string} options.checkpoint - Compare with this checkpoint instead of the last check
+   * @param {boolean} options.update - Move the named checkpoint to the current state
+   * @returns {Promise<object>} The changes and their counts, the baseline time and the stored checkpoints
+   */
+  async changesSince(options = {}) {
+    try {
+      logger.debug('Checking for changes:', options);
+      
+      const directoryId = this.directoryManager.currentDirectoryId;
+      if (!this.directoryManager.hasPermission() || !directoryId) {
+        throw new Error('No directory selected. Call requestDirectoryAccess or switchDirectory first.');
+      }
+      
+      const checkpoint = (options.checkpoint || '').trim();
+      const storageManager = this.directoryManager.storageManager;
+      const baseline = await storageManager.getManifest(directoryId, checkpoint || LAST_CHECK_CHECKPOINT);
+      const { files, truncated } = await this._scanManifest();
+      
+      const manifest = {
+        directoryId,
+        createdAt: new Date().toISOString(),
+        files: [...files].map(([path, [size, lastModified]]) => [path, size, lastModified]),
+      };
+      await storageManager.putManifest({ ...manifest, checkpoint: LAST_CHECK_CHECKPOINT });
+      if (checkpoint && (!baseline || options.update)) {
+        await storageManager.putManifest({ ...manifest, checkpoint });
+      }
+      
+      // Changes observed by a watch are now reported
+      this.watches.get(directoryId)?.pending.clear();
+      
+      const changes = baseline
+        ? diffManifests(new Map(baseline.files.map(([path, size, lastModified]) => [path, [size, lastModified]])), files)
+        : { added: [], removed: [], modified: [] };
+      
+      const result = {
+        checkpoint: checkpoint || null,
+        since: baseline ? baseline.createdAt : null,
+        created: !baseline,
+        fileCount: files.size,
+        truncated,
+        counts: {},
+        checkpoints: (await storageManager.getManifestCheckpoints(directoryId))
+          .filter(stored => stored.checkpoint !== LAST_CHECK_CHECKPOINT),
+        watching: this.watches.get(directoryId)?.mode || null,
+      };
+      for (const [kind, entries] of Object.entries(changes)) {
+        result.counts[kind] = entries.length;
+        result[kind] = entries.slice(0, MAX_REPORTED_CHANGES);
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error('Error checking for changes:', error);
+      throw new Error(`Failed to check for changes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a named checkpoint of the current directory
+   * @param {string} checkpoint - The checkpoint name
+   */
+  async deleteCheckpoint(checkpoint) {
+    try {
+      const directoryId = this.directoryManager.currentDirectoryId;
+      if (!directoryId) {
+        throw new Error('No directory selected. Call requestDirectoryAccess or switchDirectory first.');
+      }
+      
+      const storageManager = this.directoryManager.storageManager;
+      if (!checkpoint || !await storageManager.getManifest(directoryId, checkpoint)) {
+        throw new Error(`No checkpoint named "${checkpoint}"`);
+      }
+      await storageManager.deleteManifests(directoryId, checkpoint);
+      return { checkpoint };
+    } catch (error) {
+      logger.error('Error deleting checkpoint:', error);
+      throw new Error(`Failed to delete checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Starts or stops watching the root for changes
+   * Uses FileSystemObserver where the browser supports it and otherwise polls the
+   * file manifest; either way onChanges is called with batches of changed paths
+   * @param {boolean} enabled - Whether to watch, false stops an existing watch
+   * @param {number} interval - Polling interval in milliseconds
+   * @returns {Promise<object>} The directory and watch mode: 'observer', 'polling' or 'stopped'
+   */
+  async watchDirectory(enabled = true, interval = this.watchInterval) {
+    try {
+      logger.debug('Watching directory:', enabled, interval);
+      
+      const directoryId = this.directoryManager.currentDirectoryId;
+      if (!this.directoryManager.hasPermission() || !directoryId) {
+        throw new Error('No directory selected. Call requestDirectoryAccess or switchDirectory first.');
+      }
+      
+      const name = this.directoryManager.getRootDirectoryName();
+      const wasWatching = this._stopWatch(directoryId);
+      if (!enabled) {
+        return { directoryId, directory: name, mode: 'stopped', wasWatching };
+      }
+      
+      // Pin the root, so the watch outlives a switch to another directory
+      const scope = Object.create(this);
+      scope.directoryManager = this.directoryManager.getCurrentView();
+      const watch = { directoryId, directory: name, scope, mode: null, pending: new Map(), observer: null, timer: null, notifyTimer: null };
+      
+      if (typeof FileSystemObserver === 'function') {
+        try {
+          watch.observer = new FileSystemObserver(records => this._onObserved(watch, records)
+            .catch(error => logger.error('Error handling observed changes:', error)));
+          await watch.observer.observe(await scope.directoryManager.getDirectoryHandle(''), { recursive: true });
+          watch.mode = 'observer';
+        } catch (error) {
+          logger.warn('FileSystemObserver unavailable, polling instead:', error);
+          watch.observer = null;
+        }
+      }
+      
+      if (!watch.mode) {
+        watch.interval = Math.max(MIN_WATCH_INTERVAL, interval || DEFAULT_WATCH_INTERVAL);
+        let { files } = await scope._scanManifest();
+        let scanning = false;
+        
+        watch.timer = setInterval(async () => {
+          // Skip a tick while a slow scan is still running
+          if (scanning) {
+            return;
+          }
+          scanning = true;
+          try {
+            const current = (await scope._scanManifest()).files;
+            const changes = diffManifests(files, current);
+            files = current;
+            this._queueChanges(watch, [
+              ...changes.added.map(entry => ({ path: entry.path, type: 'added' })),
+              ...changes.removed.map(entry => ({ path: entry.path, type: 'removed' })),
+              ...changes.modified.map(entry => ({ path: entry.path, type: 'modified' })),
+            ]);
+          } catch (error) {
+            logger.error('Error polling for changes:', error);
+          } finally {
+            scanning = false;
+          }
+        }, watch.interval);
+        watch.mode = 'polling';
+      }
+      
+      this.watches.set(directoryId, watch);
+      logger.info(`Watching ${name} for changes (${watch.mode})`);
+      return { directoryId, directory: name, mode: watch.mode, interval: watch.interval, wasWatching };
+    } catch (error) {
+      logger.error('Error watching directory:', error);
+      throw new Error(`Failed to watch directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stops the watch of a directory, if any
+   * @private
+   * @returns {boolean} Whether the directory was being watched
+   */
+  _stopWatch(directoryId) {
+    const watch = this.watches.get(directoryId);
+    if (!watch) {
+      return false;
+    }
+    
+    watch.observer?.disconnect();
+    clearInterval(watch.timer);
+    clearTimeout(watch.notifyTimer);
+    this.watches.delete(directoryId);
+    return true;
+  }
+
+  /**
+   * Converts FileSystemObserver records into changed paths
+   * @private
+   */
+  async _onObserved(watch, records) {
+    const changes = [];
+    for (const record of records) {
+      const path = record.relativePathComponents.join('/');
+      const kind = record.changedHandle?.kind || 'file';
+      
+      if (record.type === 'moved' && record.relativePathMovedFrom) {
+        changes.push({ path: record.relativePathMovedFrom.join('/'), type: 'removed', kind });
+        changes.push({ path, type: 'added', kind });
+      } else {
+        const type = { appeared: 'added', disappeared: 'removed', modified: 'modified' }[record.type] || 'unknown';
+        changes.push({ path, type, kind });
+      }
+    }
+    
+    // Denied paths and repository internals are never reported, and ignored paths
+    // only when polling would not see them either
+    const reported = [];
+    const rulesByDirectory = new Map();
+    for (const change of changes) {
+      if (!change.path || /(^|\/)\.git(\/|$)/.test(change.path) || !pathPolicy.isAllowed(change.path, 'read', change.kind)) {
+        continue;
+      }
+      if (!await watch.scope._isIgnoredChange(change.path, change.kind, rulesByDirectory)) {
+        reported.push(change);
+      }
+    }
+    this._queueChanges(watch, reported);
+  }
+
+  /**
+   * Checks whether a changed path is skipped by ignore files or patterns, testing its
+   * parent directories as a walk does before descending into them
+   * @private
+   * @param {string} path - Path relative to the root
+   * @param {string} kind - 'file' or 'directory'
+   * @param {Map} rulesByDirectory - Ignore rules already loaded, by directory
+   * @returns {Promise<boolean>} Whether the path is ignored
+   */
+  async _isIgnoredChange(path, kind, rulesByDirectory) {
+    if (!this.respectIgnoreFiles) {
+      return false;
+    }
+    
+    const segments = path.split('/');
+    const directory = segments.slice(0, -1).join('/');
+    if (!rulesByDirectory.has(directory)) {
+      // The directory of a removed file may be gone too, the rules of the nearest existing one still apply
+      let existing = directory;
+      let rules = null;
+      while (rules === null) {
+        rules = existing
+          ? await this._loadIgnoreRules(existing, null).catch(() => null)
+          : await this._loadIgnoreRules('', null);
+        existing = existing.split('/').slice(0, -1).join('/');
+      }
+      rulesByDirectory.set(directory, rules);
+    }
+    const rules = rulesByDirectory.get(directory);
+    
+    for (let i = 1; i < segments.length; i++) {
+      if (isIgnoredPath(segments.slice(0, i).join('/'), 'directory', rules)) {
+        return true;
+      }
+    }
+    return isIgnoredPath(path, kind, rules);
+  }
+
+  /**
+   * Batches changed paths and passes them to onChanges once changes settle
+   * @private
+   */
+  _queueChanges(watch, changes) {
+    if (changes.length === 0) {
+      return;
+    }
+    
+    for (const { path, type } of changes) {
+      watch.pending.set(path, type);
+    }
+    
+    clearTimeout(watch.notifyTimer);
+    watch.notifyTimer = setTimeout(() => {
+      const batch = [...watch.pending].map(([path, type]) => ({ path, type }));
+      watch.pending.clear();
+      if (batch.length > 0 && this.onChanges) {
+        this.onChanges({ directoryId: watch.directoryId, directory: watch.directory, mode: watch.mode, changes: batch });
+      }
+    }, WATCH_NOTIFY_DELAY);
+  }
+
+  /**
+   * Searches text files under the granted directory for a literal or regex
+   * @param {string} query - Text or regular expression to search for
+   * @param {object} options - Search options
+   * @param {string} options.directory - Directory to search, relative to the root
+   * @param {boolean} options.regex - Treat the query as a regular expression
+   * @param {boolean} options.caseSensitive - Match case exactly
+   * @param {number} options.contextLines - Lines of context around each match
+   * @param {number} options.maxResults - Maximum number of matches to return
+   * @param {string|string[]} options.include - Glob patterns files must match
+   * @param {string|string[]} options.exclude - Glob patterns to skip
+   * @param {boolean} options.respectIgnoreFiles - Skip files matched by .gitignore/.ignore files
+   * @returns {Promise<object>} Matches and search statistics
+   */
+  async searchFiles(query, options = {}) {
+    try {
+      logger.debug('Searching files for:', query, options);
+
+      if (!query || typeof query !== 'string') {
+        throw new Error('No search query provided');
+      }
+
+      const directory = options.directory || '';
+      validateFilePath(directory, true, 'read', 'directory');
+
+      // RegExp throws a descriptive SyntaxError for invalid patterns
+      const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+
+      const contextLines = Math.max(0, options.contextLines ?? 2);
+      const maxResults = Math.max(1, options.maxResults || 100);
+
+      const dirHandle = await this.directoryManager.getDirectoryHandle(directory);
+
+      const matches = [];
+      let filesSearched = 0;
+      let filesSkipped = 0;
+      let truncated = false;
+
+      const walkOptions = await this._createWalkOptions(directory, dirHandle, options);
+
+      for await (const entry of this._walkDirectory(dirHandle, directory, walkOptions)) {
+        if (entry.kind !== 'file') {
+          continue;
+        }
+
+        const file = await entry.handle.getFile();
+        if (file.size > this.maxFileSize) {
+          filesSkipped++;
+          continue;
+        }
+
+        const { isText, encoding } = await sniffFile(file);
+        if (!isText) {
+          filesSkipped++;
+          continue;
+        }
+
+        filesSearched++;
+        const lines = new TextDecoder(encoding).decode(await file.arrayBuffer()).split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+          pattern.lastIndex = 0;
+          const match = pattern.exec(lines[i]);
+          if (!match) {
+            continue;
+          }
+
+          if (matches.length >= maxResults) {
+            truncated = true;
+            break;
+          }
+
+          matches.push({
+            path: entry.path,
+            line: i + 1,
+            column: match.index + 1,
+            text: truncateLine(lines[i]),
+            before: lines.slice(Math.max(0, i - contextLines), i).map(truncateLine),
+            after: lines.slice(i + 1, i + 1 + contextLines).map(truncateLine),
+          });
+        }
+
+        if (truncated) {
+          break;
+        }
+      }
+
+      logger.debug(`Search found ${matches.length} matches in ${filesSearched} files`);
+      return { matches, filesSearched, filesSkipped, truncated, ignored: walkOptions.stats.ignored };
+    } catch (error) {
+      logger.error('Error searching files:', error);
+      throw new Error(`Failed to search files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads a file and returns its contents
+   * Text files can be read in ranges, either by line or by byte, and files larger
+   * than maxFileSize are returned one page at a time with a continuation cursor
+   * @param {string} filePath - Path relative to the root directory
+   * @param {object} options - Read options
+   * @param {number} options.startLine - First line to return (1-based)
+   * @param {number} options.endLine - Last line to return (inclusive)
+   * @param {number} options.offset - Byte offset to start reading from
+   * @param {number} options.length - Number of bytes to read
+   * @param {string} options.cursor - Continuation cursor from a previous read
+   * @param {boolean} options.lineNumbers - Prefix each returned line with its number
+   * @param {string} options.format - 'text' to extract the text of .docx, .xlsx, .pptx and .odt files
+   * @param {boolean} options.structured - With format 'text', also return the paragraphs, sheets or slides
+   * @returns {Promise<object>} File contents and metadata
+   */
+  async readFile(filePath, options = {}) {
+    try {
+      logger.debug('Reading file:', filePath, options);
+      
+      let file;
+      
+      // If we have directory permission and a path, use it
+      if (this.directoryManager.hasPermission() && filePath) {
+        validateFilePath(filePath, true, 'read');
+        const fileHandle = await this.directoryManager.getFileHandle(filePath);
+        file = await fileHandle.getFile();
+      } else {
+        // Fall back to the file picker
+        const fullPath = this._resolvePath(filePath);
+        
+        // Use File System Access API to get file handle
+        const fileHandle = await window.showOpenFilePicker({
+          id: 'file-plugin-read',
+          startIn: this.baseDirectory,
+        }).then(handles => handles[0]);
+        
+        // Get file information
+        file = await fileHandle.getFile();
+      }
+      
+      // Check file extension if restrictions are set
+      if (this.allowedExtensions) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        if (!this.allowedExtensions.includes(ext)) {
+          logger.error('File type not allowed:', ext);
+          throw new Error(`File type .${ext} is not allowed`);
+        }
+      }
+      
+      if (options.format !== undefined && options.format !== 'text') {
+        throw new Error(`Unknown read format "${options.format}", use "text" to extract document text`);
+      }
+      
+      const { isText, encoding, mimeType } = await sniffFile(file);
+      const lineRange = options.startLine !== undefined || options.endLine !== undefined;
+      const byteRange = options.offset !== undefined || options.length !== undefined || Boolean(options.cursor);
+      
+      if (lineRange && byteRange) {
+        throw new Error('Use either startLine/endLine or offset/length/cursor, not both');
+      }
+      
+      if (lineRange && !isText) {
+        throw new Error('Line ranges are only supported for text files');
+      }
+      
+      // Office and OpenDocument files are read through their ZIP container rather than whole
+      const extractText = options.format === 'text' && !isText;
+      if (extractText && byteRange) {
+        throw new Error('Text extraction cannot be combined with a byte range');
+      }
+      
+      // Check file size, large text files are paged instead of rejected
+      if (!lineRange && !byteRange && file.size > this.maxFileSize && !isText) {
+        logger.error('File too large:', file.size);
+        throw new Error(`File size exceeds maximum allowed (${this.maxFileSize} bytes)`);
+      }
+      
+      const result = {
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        mimeType,
+        encoding,
+        lastModified: file.lastModified,
+        totalBytes: file.size,
+      };
+      
+      if (isText) {
+        result.totalLines = await this._countLines(`${this.directoryManager.currentDirectoryId}:${filePath || file.name}`, file, encoding);
+      }
+      
+      if (extractText) {
+        const extracted = await extractDocumentText(file, mimeType);
+        if (extracted.content.length > this.maxFileSize) {
+          throw new Error(`Extracted text exceeds maximum allowed size (${this.maxFileSize} characters)`);
+        }
+        
+        // The paragraphs, sheets or slides repeat the content, so they are only returned on request
+        const { content, ...structure } = extracted;
+        const [[unit, parts]] = Object.entries(structure);
+        Object.assign(result, { content, format: 'text', parts: { [unit]: parts.length } }, options.structured ? structure : {});
+        result.hash = await hashContent(await file.arrayBuffer());
+      } else if (lineRange) {
+        Object.assign(result, await this._readLineRange(file, options, encoding));
+      } else if (byteRange || file.size > this.maxFileSize) {
+        Object.assign(result, await this._readByteRange(file, options, { isText, encoding, mimeType }));
+      } else if (isText) {
+        result.content = new TextDecoder(encoding).decode(await file.arrayBuffer());
+        result.hash = await hashContent(await file.arrayBuffer());
+        if (options.lineNumbers) {
+          result.content = numberLines(result.content.split(/\r?\n/), 1);
+        }
+      } else {
+        // For binary files, return a data URL typed by the sniffed content
+        result.content = await readBlobAsDataURL(file.slice(0, file.size, mimeType));
+        result.hash = await hashContent(await file.arrayBuffer());
+      }
+      
+      logger.debug('File read successfully, size:', file.size);
+      return result;
+    } catch (error) {
+      logger.error('Error reading file:', error);
+      throw new Error(`Failed to read file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Counts the lines in a file, caching the result per file version
+   * @private
+   */
+  async _countLines(cacheKey, file, encoding = 'utf-8') {
+    const key = `${cacheKey}:${file.size}:${file.lastModified}`;
+    if (this.lineCountCache.has(key)) {
+      return this.lineCountCache.get(key);
+    }
+    
+    // In UTF-16 a 0x0a byte can be half of another character, so count decoded newlines
+    const decoder = encoding.startsWith('utf-16') ? new TextDecoder(encoding) : null;
+    let lines = 0;
+    let endsWithNewline = false;
+    for (let position = 0; position < file.size; position += READ_CHUNK_SIZE) {
+      const bytes = new Uint8Array(await file.slice(position, position + READ_CHUNK_SIZE).arrayBuffer());
+      if (decoder) {
+        const text = decoder.decode(bytes, { stream: position + READ_CHUNK_SIZE < file.size });
+        lines += text.split('\n').length - 1;
+        endsWithNewline = text.length > 0 ? text.endsWith('\n') : endsWithNewline;
+      } else {
+        lines += countNewlines(bytes);
+        endsWithNewline = bytes[bytes.length - 1] === 0x0a;
+      }
+    }
+    
+    // A final line without a trailing newline still counts
+    if (file.size > 0 && !endsWithNewline) {
+      lines++;
+    }
+    
+    this.lineCountCache.set(key, lines);
+    return lines;
+  }
+
+  /**
+   * Reads an inclusive range of lines from a text file, streaming it in chunks
+   * @private
+   */
+  async _readLineRange(file, options, encoding = 'utf-8') {
+    const startLine = Math.max(1, Math.floor(options.startLine || 1));
+    const endLine = options.endLine === undefined ? Infinity : Math.floor(options.endLine);
+    
+    if (endLine < startLine) {
+      throw new Error(`endLine (${endLine}) must not be before startLine (${startLine})`);
+    }
+    
+    const decoder = new TextDecoder(encoding);
+    const lines = [];
+    let lineNumber = 1;
+    let partial = '';
+    let position = 0;
+    let returnedLength = 0;
+    let stoppedEarly = false;
+    
+    const takeLine = (line) => {
+      if (lineNumber >= startLine) {
+        // Stop before the page grows past the size limit
+        if (returnedLength + line.length > this.maxFileSize && lines.length > 0) {
+          stoppedEarly = true;
+          return false;
+        }
+        lines.push(line.replace(/\r$/, ''));
+        returnedLength += line.length + 1;
+      }
+      lineNumber++;
+      return lineNumber <= endLine;
+    };
+    
+    let reading = true;
+    while (reading && position < file.size) {
+      const chunk = await file.slice(position, position + READ_CHUNK_SIZE).arrayBuffer();
+      position += chunk.byteLength;
+      
+      const parts = (partial + decoder.decode(chunk, { stream: position < file.size })).split('\n');
+      partial = parts.pop();
+      
+      for (const part of parts) {
+        if (!takeLine(part)) {
+          reading = false;
+          break;
+        }
+      }
+    }
+    
+    if (reading && partial !== '') {
+      takeLine(partial);
+    }
+    
+    if (lines.length === 0 && startLine > 1) {
+      throw new Error(`startLine ${startLine} is beyond the end of the file (${lineNumber - 1} lines)`);
+    }
+    
+    const lastLine = startLine + lines.length - 1;
+    const range = {
+      content: options.lineNumbers ? numberLines(lines, startLine) : lines.join('\n'),
+      startLine,
+      endLine: lastLine,
+    };
+    
+    if (stoppedEarly) {
+      range.hasMore = true;
+      range.nextStartLine = lastLine + 1;
+    }
+    
+    return range;
+  }
+
+  /**
+   * Reads a byte range from a file using Blob.slice
+   * Text pages end on a line boundary where possible and carry a continuation cursor
+   * @private
+   */
+  async _readByteRange(file, options, { isText, encoding = 'utf-8', mimeType }) {
+    let offset = 0;
+    let lineNumber = null;
+    
+    if (options.cursor) {
+      const cursor = parseReadCursor(options.cursor);
+      offset = cursor.offset;
+      lineNumber = cursor.line;
+    } else if (options.offset !== undefined) {
+      offset = Math.max(0, Math.floor(options.offset));
+    }
+    
+    if (offset > file.size) {
+      throw new Error(`Offset ${offset} is beyond the end of the file (${file.size} bytes)`);
+    }
+    
+    const utf16 = isText && encoding.startsWith('utf-16');
+    if (utf16 && offset % 2 !== 0) {
+      throw new Error('Offsets into UTF-16 files must be even');
+    }
+    
+    let length = Math.min(Math.max(1, Math.floor(options.length || DEFAULT_READ_PAGE_SIZE)), this.maxFileSize);
+    if (utf16) {
+      length = Math.max(2, length - (length % 2));
+    }
+    let bytes = new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+    let end = offset + bytes.length;
+    
+    if (!isText) {
+      return {
+        content: await readBlobAsDataURL(file.slice(offset, end, mimeType)),
+        offset,
+        length: bytes.length,
+        hasMore: end < file.size,
+        nextCursor: end < file.size ? `${end}:0` : null,
+      };
+    }
+    
+    // Avoid splitting lines (or multi-byte characters) across pages
+    if (end < file.size) {
+      const lastNewline = utf16 ? lastUtf16Newline(bytes, encoding) : bytes.lastIndexOf(0x0a);
+      let cut = lastNewline >= 0 ? lastNewline + (utf16 ? 2 : 1) : encoding === 'utf-8' ? utf8Boundary(bytes) : bytes.length;
+      if (cut === 0) {
+        cut = bytes.length;
+      }
+      bytes = bytes.subarray(0, cut);
+      end = offset + cut;
+    }
+    
+    const content = new TextDecoder(encoding).decode(bytes);
+    const range = {
+      offset,
+      length: bytes.length,
+      hasMore: end < file.size,
+      nextCursor: null,
+    };
+    
+    if (options.lineNumbers || options.cursor) {
+      if (lineNumber === null) {
+        lineNumber = 1;
+        for (let position = 0; position < offset; position += READ_CHUNK_SIZE) {
+          const chunk = await file.slice(position, Math.min(position + READ_CHUNK_SIZE, offset)).arrayBuffer();
+          lineNumber += utf16 ? new TextDecoder(encoding).decode(chunk).split('\n').length - 1 : countNewlines(new Uint8Array(chunk));
+        }
+      }
+      range.startLine = lineNumber;
+    }
+    
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    
+    range.content = options.lineNumbers ? numberLines(lines.map(line => line.replace(/\r$/, '')), lineNumber) : content;
+    
+    if (range.hasMore) {
+      // Line numbers are only known when counted or when reading from the start; 0 leaves them to the next page
+      const firstLine = lineNumber ?? (offset === 0 ? 1 : null);
+      const nextLine = firstLine === null ? 0 : firstLine + (utf16 ? content.split('\n').length - 1 : countNewlines(bytes));
+      range.nextCursor = `${end}:${nextLine}`;
+    }
+    
+    return range;
+  }
+
+  /**
+   * Queries a CSV, TSV, JSON or NDJSON file and returns only the matching rows
+   * Delimited and NDJSON files are streamed; JSON documents are parsed whole and
+   * narrowed with a JSON pointer or path expression before rows are filtered
+   * @param {string} filePath - Path relative to the root directory
+   * @param {object} options - Query options
+   * @param {Array<string>} options.columns - Columns or JSON properties to return
+   * @param {Array<string|object>} options.filters - Filters such as "age >= 30" or { column, op, value }
+   * @param {Array<string>|string} options.sort - Sort keys, "-column" or "column desc" for descending
+   * @param {number} options.limit - Maximum number of rows to return
+   * @param {number} options.offset - Number of matching rows to skip
+   * @param {boolean} options.stats - Summarise each column over all matching rows
+   * @param {boolean} options.header - Whether a delimited file has a header row, detected when undefined
+   * @param {string} options.delimiter - Field delimiter, detected when undefined
+   * @param {string} options.select - JSON pointer ("/items") or path expression ("$.items[*]")
+   * @param {string} options.format - 'table', 'csv' or 'json'
+   * @returns {Promise<object>} The matching rows, rendered as content or returned as rows, and metadata
+   */
+  async queryFile(filePath, options = {}) {
+    try {
+      logger.debug('Querying file:', filePath, options);
+      
+      validateFilePath(filePath, true, 'read');
+      const file = await (await this.directoryManager.getFileHandle(filePath)).getFile();
+      
+      const extension = getFileExtension(file.name).toLowerCase();
+      if (this.allowedExtensions && !this.allowedExtensions.includes(extension)) {
+        throw new Error(`File type .${extension} is not allowed`);
+      }
+      
+      const type = QUERY_FILE_TYPES[extension] || (options.delimiter ? 'csv' : null);
+      if (!type) {
+        throw new Error('Only .csv, .tsv, .json, .ndjson and .jsonl files can be queried');
+      }
+      
+      const { isText, encoding } = await sniffFile(file);
+      if (!isText) {
+        throw new Error(`"${filePath}" is not a text file`);
+      }
+      
+      const delimited = type === 'csv' || type === 'tsv';
+      const format = options.format || (delimited ? 'table' : 'json');
+      if (!QUERY_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}", use one of: ${QUERY_FORMATS.join(', ')}`);
+      }
+      if (delimited && options.select) {
+        throw new Error('select only applies to JSON and NDJSON files');
+      }
+      
+      const query = {
+        columns: options.columns?.length ? options.columns : null,
+        filters: (options.filters || []).map(parseQueryFilter),
+        sort: parseSortKeys(options.sort),
+        offset: Math.max(0, Math.floor(options.offset || 0)),
+        limit: Math.max(1, Math.floor(options.limit || DEFAULT_QUERY_LIMIT)),
+        stats: Boolean(options.stats),
+      };
+      
+      const result = { type, format };
+      let records;
+      
+      if (delimited) {
+        const source = await this._readDelimitedRecords(file, encoding, type, options);
+        Object.assign(result, { delimiter: source.delimiter, header: source.header });
+        records = source.records;
+        
+        // Resolve column references against the header, so unknown columns fail early
+        const resolve = column => resolveColumn(source.columns, column);
+        query.columns = query.columns ? query.columns.map(resolve) : source.columns;
+        query.statsColumns = query.columns;
+        query.filters.forEach((filter) => {
+          filter.column = resolve(filter.column);
+        });
+        query.sort.forEach((key) => {
+          key.column = resolve(key.column);
+        });
+      } else if (type === 'json') {
+        if (file.size > this.maxFileSize) {
+          throw new Error(`JSON documents larger than ${formatFileSize(this.maxFileSize)} cannot be queried, convert them to NDJSON`);
+        }
+        
+        let document;
+        try {
+          document = JSON.parse(new TextDecoder(encoding).decode(await file.arrayBuffer()));
+        } catch (error) {
+          throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        
+        const { values, multiple } = selectJsonValues(document, options.select);
+        if (!multiple && values.length === 0) {
+          throw new Error(`Nothing in the document matches "${options.select}"`);
+        }
+        
+        const selected = multiple ? values : values[0];
+        if (!Array.isArray(selected)) {
+          if (query.filters.length > 0 || query.sort.length > 0 || query.stats) {
+            throw new Error('Filters, sort and stats need the selection to be an array');
+          }
+          return Object.assign(result, this._formatJsonValue(selected));
+        }
+        records = selected;
+      } else {
+        records = this._readNdjsonRecords(file, encoding, options.select);
+      }
+      
+      if (query.columns) {
+        query.statsColumns = query.columns;
+      }
+      Object.assign(result, await runRecordQuery(records, query));
+      
+      // JSON records have no fixed columns, so tables show the keys of the returned rows
+      const columns = query.columns || [...new Set(result.rows.flatMap(row => (
+        row !== null && typeof row === 'object' && !Array.isArray(row) ? Object.keys(row) : ['value']
+      )))];
+      result.columns = columns;
+      
+      if (format === 'json') {
+        if (query.columns) {
+          result.rows = result.rows.map(row => Object.fromEntries(columns.map(column => [column, getRecordValue(row, column) ?? null])));
+        }
+      } else {
+        result.content = renderQueryRows(columns, result.rows, format);
+        result.returned = result.rows.length;
+        delete result.rows;
+      }
+      
+      logger.debug(`Query scanned ${result.scanned} records`);
+      return result;
+    } catch (error) {
+      logger.error('Error querying file:', error);
+      throw new Error(`Failed to query file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Streams the rows of a delimited file as records keyed by column name
+   * The first rows are read ahead to detect a header unless options.header is set
+   * @private
+   */
+  async _readDelimitedRecords(file, encoding, type, options) {
+    const sample = new TextDecoder(encoding).decode(await file.slice(0, SNIFF_SIZE).arrayBuffer());
+    const delimiter = options.delimiter
+      ? options.delimiter.replace(/^\\t$/, '\t')
+      : type === 'tsv' ? '\t' : detectDelimiter(sample);
+    
+    const rows = parseDelimitedRows(readTextChunks(file, encoding), delimiter);
+    const isBlank = row => row.length === 1 && row[0].trim() === '';
+    
+    const firstRows = [];
+    while (firstRows.length <= HEADER_SAMPLE_ROWS) {
+      const { value, done } = await rows.next();
+      if (done) {
+        break;
+      }
+      if (!isBlank(value)) {
+        firstRows.push(value);
+      }
+    }
+    
+    const header = options.header ?? (firstRows.length > 0 && looksLikeHeader(firstRows[0], firstRows.slice(1)));
+    const width = Math.max(0, ...firstRows.map(row => row.length));
+    const columns = header
+      ? uniqueColumnNames(firstRows[0])
+      : Array.from({ length: width }, (_, index) => `column${index + 1}`);
+    
+    const toRecord = (row) => {
+      const record = {};
+      row.forEach((value, index) => {
+        record[columns[index] || `column${index + 1}`] = value;
+      });
+      for (let index = row.length; index < columns.length; index++) {
+        record[columns[index]] = '';
+      }
+      return record;
+    };
+    
+    async function* records() {
+      for (const row of header ? firstRows.slice(1) : firstRows) {
+        yield toRecord(row);
+      }
+      for await (const row of rows) {
+        if (!isBlank(row)) {
+          yield toRecord(row);
+        }
+      }
+    }
+    
+    return { delimiter, header, columns, records: records() };
+  }
+
+  /**
+   * Streams the values of an NDJSON file, narrowed by a selection when given
+   * @private
+   */
+  async *_readNdjsonRecords(file, encoding, select) {
+    let lineNumber = 0;
+    for await (const line of readTextLines(readTextChunks(file, encoding))) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+      
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+      
+      if (select) {
+        yield* selectJsonValues(record, select).values;
+      } else {
+        yield record;
+      }
+    }
+  }
+
+  /**
+   * Returns a selected JSON value, or a truncated preview and its keys when it is too large
+   * @private
+   */
+  _formatJsonValue(value) {
+    const text = JSON.stringify(value);
+    if (text === undefined || text.length <= MAX_QUERY_VALUE_LENGTH) {
+      return { value };
+    }
+    
+    const preview = { content: `${text.slice(0, MAX_QUERY_VALUE_LENGTH)}…`, truncated: true };
+    if (Array.isArray(value)) {
+      preview.length = value.length;
+    } else if (typeof value === 'object') {
+      preview.keys = Object.keys(value).slice(0, 100);
+    }
+    return preview;
+  }
+
+  /**
+   * Writes content to a file
+   * @param {string} filePath - Path relative to the root directory
+   * @param {string|Blob|ArrayBuffer|ArrayBufferView} content - Content to write
+   * @param {object} options - Write options
+   * @param {string} options.mode - 'overwrite' (default), 'append' or 'createNew'
+   * @param {string} options.encoding - How string content is encoded: 'utf8' (default), 'base64' or 'dataurl'
+   * @param {number} options.expectedLastModified - Reject the write if the file's lastModified differs
+   * @param {string} options.expectedHash - Reject the write if the file's SHA-256 hash differs
+   * @param {boolean} options.recordHistory - Snapshot the previous content first, defaults to true
+   * @param {boolean} options.confirm - Ask the user when writes need confirmation, defaults to true;
+   *   false when the caller already confirmed the write as part of a larger change
+   * @returns {Promise<object>} The write mode, approval, bytes written and the file's new lastModified
+   */
+  async writeFile(filePath, content, options = {}) {
+    let historyId = null;
+    
+    try {
+      const mode = options.mode || 'overwrite';
+      logger.debug('Writing to file:', filePath, 'mode:', mode);
+      
+      if (!WRITE_MODES.includes(mode)) {
+        throw new Error(`Invalid write mode "${mode}", expected one of: ${WRITE_MODES.join(', ')}`);
+      }
+      
+      content = decodeWriteContent(content, options.encoding);
+      
+      let fileHandle;
+      let approval = 'auto-approved';
+      
+      // If we have directory permission and a path, use it
+      if (this.directoryManager.hasPermission() && filePath) {
+        const snapshot = this.directoryManager.isSnapshot();
+        if (!snapshot) {
+          this.directoryManager.assertWritable('writing files');
+        }
+        validateFilePath(filePath, true, 'write');
+        
+        const hasPrecondition = options.expectedLastModified !== undefined || Boolean(options.expectedHash);
+        
+        if (mode === 'createNew' || hasPrecondition) {
+          const exists = await this.directoryManager.fileExists(filePath);
+          
+          if (mode === 'createNew' && exists) {
+            throw new Error(`File "${filePath}" already exists`);
+          }
+          
+          if (hasPrecondition) {
+            if (!exists) {
+              throw new Error(`File "${filePath}" no longer exists, it may have been moved or deleted since it was read`);
+            }
+            const existingHandle = await this.directoryManager.getFileHandle(filePath);
+            await this._checkWritePrecondition(filePath, await existingHandle.getFile(), options);
+          }
+        }
+        
+        // A snapshot never changes, the content is handed to the user instead
+        if (snapshot) {
+          return await this._offerSnapshotWrite(filePath, content, mode);
+        }
+        
+        if (this.confirmWrites && options.confirm !== false) {
+          approval = await this._confirmWrite(filePath, content, mode);
+          if (approval === 'rejected') {
+            logger.info('Write rejected by the user:', filePath);
+            return { mode, approval, bytesWritten: 0 };
+          }
+        }
+        
+        if (options.recordHistory !== false) {
+          historyId = await this._snapshotFile(filePath, mode);
+        }
+        
+        fileHandle = await this.directoryManager.createFileHandle(filePath);
+      } else {
+        // Fall back to the file picker, which cannot check for an existing file or a precondition
+        if (mode === 'createNew' || options.expectedLastModified !== undefined || options.expectedHash) {
+          throw new Error('createNew, expectedLastModified and expectedHash need a directory selected with requestDirectoryAccess');
+        }
+        const fullPath = this._resolvePath(filePath, 'write');
+        
+        // Use File System Access API to get file handle for writing
+        fileHandle = await window.showSaveFilePicker({
+          id: 'file-plugin-write',
+          suggestedName: filePath.split('/').pop(),
+          startIn: this.baseDirectory,
+        });
+      }
+      
+      // Create a writable stream, keeping the existing data when appending
+      const append = mode === 'append';
+      const writable = await fileHandle.createWritable({ keepExistingData: append });
+      
+      if (append) {
+        const existing = await fileHandle.getFile();
+        await writable.seek(existing.size);
+      }
+      
+      // Write the content
+      await writeChunked(writable, content);
+      
+      // Close the file
+      await writable.close();
+      
+      const written = await fileHandle.getFile();
+      await this._recordWritten(historyId, written);
+      
+      logger.debug('File written successfully');
+      return {
+        mode,
+        approval,
+        bytesWritten: typeof content === 'string'
+          ? new TextEncoder().encode(content).length
+          : content.byteLength ?? content.size,
+        size: written.size,
+        lastModified: written.lastModified,
+      };
+    } catch (error) {
+      logger.error('Error writing file:', error);
+      
+      // The write never happened, so its snapshot would only confuse undo
+      if (historyId !== null) {
+        await this.directoryManager.storageManager.deleteHistoryEntries([historyId]).catch(() => {});
+      }
+      
+      throw new Error(`Failed to write file: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Delivers a write to a read-only snapshot as a download, or keeps it for downloadSnapshotChanges
+   * The snapshot itself stays as imported
+   * @private
+   * @returns {Promise<object>} The write mode, how the content was delivered and the changed files so far
+   */
+  async _offerSnapshotWrite(filePath, content, mode) {
+    const written = content instanceof Blob ? content : new Blob([content]);
+    
+    // Appends and later reads build on what was written to the snapshot before
+    const parts = [written];
+    if (mode === 'append' && await this.directoryManager.fileExists(filePath)) {
+      parts.unshift(await (await this.directoryManager.getFileHandle(filePath)).getFile());
+    }
+    const file = new File(parts, filePath.split('/').pop(), { type: written.type, lastModified: Date.now() });
+    
+    const changes = await this.directoryManager.stageSnapshotChange(filePath, file);
+    const delivery = this.snapshotWrites === 'zip' ? 'zip' : 'download';
+    if (delivery === 'download') {
+      downloadBlob(file, file.name);
+    }
+    
+    logger.debug('Snapshot write delivered as', delivery, filePath);
+    return {
+      mode,
+      approval: 'auto-approved',
+      bytesWritten: written.size,
+      size: file.size,
+      delivery,
+      changedFiles: changes.size,
+      lastModified: file.lastModified,
+    };
+  }
+
+  /**
+   * Downloads the files written to the current snapshot as one ZIP archive
+   * @param {object} options - clear to forget the changes once downloaded
+   * @returns {Promise<object>} The archive name, file count and size
+   */
+  async downloadSnapshotChanges(options = {}) {
+    try {
+      if (!this.directoryManager.hasPermission() || !this.directoryManager.isSnapshot()) {
+        throw new Error('The current directory is not a folder snapshot, its files are written in place');
+      }
+      
+      const changes = this.directoryManager.getSnapshotChanges();
+      if (changes.size === 0) {
+        throw new Error('No files have been written to this snapshot');
+      }
+      
+      const entries = [];
+      for (const [name, blob] of changes) {
+        entries.push({ name, data: new Uint8Array(await blob.arrayBuffer()), lastModified: Date.now() });
+      }
+      const archive = await createZipArchive(entries);
+      const fileName = `${this.directoryManager.getRootDirectoryName()}-changes.zip`;
+      downloadBlob(archive, fileName);
+      
+      if (options.clear) {
+        this.directoryManager.clearSnapshotChanges();
+      }
+      
+      logger.debug('Snapshot changes downloaded:', fileName);
+      return { fileName, files: entries.length, paths: [...changes.keys()], size: archive.size, cleared: Boolean(options.clear) };
+    } catch (error) {
+      logger.error('Error downloading snapshot changes:', error);
+      throw new Error(`Failed to download snapshot changes: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Describes a pending write as a line diff against the current content
+   * A delete has no content and is shown as the removal of every line
+   * @private
+   * @returns {Promise<object>} Path, mode, whether the file exists, the diff and changed line counts
+   */
+  async _previewWrite(filePath, content, mode) {
+    const exists = await this.directoryManager.fileExists(filePath);
+    const file = exists ? await (await this.directoryManager.getFileHandle(filePath)).getFile() : null;
+    const preview = { path: filePath, mode, exists, binary: false, diff: '', added: 0, removed: 0 };
+    
+    // Restored versions, edits of non-UTF-8 files and decoded binary writes arrive as bytes,
+    // which are diffed too when they are text
+    let text = content;
+    if (mode === 'delete') {
+      text = '';
+      content = '';
+    } else if (typeof content !== 'string') {
+      const bytes = content instanceof ArrayBuffer ? new Uint8Array(content)
+        : content instanceof Blob && content.size <= this.maxFileSize ? new Uint8Array(await content.arrayBuffer())
+          : content;
+      const sniffed = ArrayBuffer.isView(bytes) ? sniffContent(bytes) : { isText: false };
+      text = sniffed.isText ? new TextDecoder(sniffed.encoding).decode(bytes) : null;
+    }
+    
+    const currentType = file ? await sniffFile(file) : null;
+    if (text === null || (file && (!currentType.isText || file.size > this.maxFileSize))) {
+      const size = typeof content === 'string' ? new TextEncoder().encode(content).length : content.byteLength ?? content.size;
+      return { ...preview, binary: true, changed: true, currentSize: file ? file.size : 0, size };
+    }
+    
+    const current = file ? new TextDecoder(currentType.encoding).decode(await file.arrayBuffer()) : '';
+    const proposed = mode === 'append' ? current + text : text;
+    const diff = createUnifiedDiff(current, proposed, normalizeRelativePath(filePath));
+    
+    return { ...preview, ...diff, changed: diff.added + diff.removed > 0 || !exists || mode === 'delete' };
+  }
+
+  /**
+   * Describes a pending delete or replacement of a directory by the files it would remove
+   * @private
+   * @returns {Promise<object>} Path, mode, the number and total size of the files, and the first of their paths
+   */
+  async _previewDirectoryRemoval(dirPath, mode) {
+    const preview = { path: dirPath, mode, exists: true, binary: false, diff: '', added: 0, removed: 0, changed: true };
+    const listing = [];
+    let files = 0;
+    let size = 0;
+    
+    const walk = async (dirHandle, prefix) => {
+      for await (const child of dirHandle.values()) {
+        if (files >= MAX_STATS_ENTRIES) {
+          return;
+        }
+        const childPath = joinPath(prefix, child.name);
+        if (child.kind === 'directory') {
+          await walk(child, childPath);
+          continue;
+        }
+        files++;
+        size += (await child.getFile()).size;
+        if (listing.length < MAX_PREVIEW_LINES) {
+          listing.push(childPath);
+        }
+      }
+    };
+    await walk(await this.directoryManager.getDirectoryHandle(dirPath), normalizeRelativePath(dirPath));
+    
+    return { ...preview, files, size, listing, more: files - listing.length };
+  }
+
+  /**
+   * Describes a pending extraction by the files it would write
+   * @private
+   * @param {string} dirPath - The directory the archive is extracted into
+   * @param {Array<object>} files - The path, size and whether it exists of each file to write
+   * @returns {Promise<object>} Path, mode, the number and total size of the files, how many replace
+   *   existing files, and the first of their paths
+   */
+  async _previewExtraction(dirPath, files) {
+    const listing = files.slice(0, MAX_PREVIEW_LINES)
+      .map(file => file.exists ? `${file.path} (replaces the existing file)` : file.path);
+    
+    return {
+      path: dirPath,
+      mode: 'extract',
+      exists: await this.directoryManager.getEntryHandle(dirPath) !== null,
+      binary: false,
+      diff: '',
+      added: 0,
+      removed: 0,
+      changed: files.length > 0,
+      files: files.length,
+      size: files.reduce((sum, file) => sum + file.size, 0),
+      replaced: files.filter(file => file.exists).length,
+      listing,
+      more: files.length - listing.length,
+    };
+  }
+
+  /**
+   * Shows a pending write, delete or replacement to the user and waits for their decision
+   * @private
+   * @param {string} filePath - Path relative to the root directory
+   * @param {string|Blob|ArrayBuffer|Array|null} content - Content to write, null for a delete,
+   *   or the files of an extraction
+   * @param {string} mode - A write mode, 'delete', 'deleteDirectory' or 'replaceDirectory' for a directory,
+   *   or 'extract' for the files unpacked from an archive
+   * @param {object} details - Extra fields for the preview, such as the source of a copy or move
+   * @returns {Promise<string>} 'approved', 'rejected', or 'auto-approved' when nothing would change
+   */
+  async _confirmWrite(filePath, content, mode, details = {}) {
+    let preview;
+    if (mode === 'extract') {
+      preview = await this._previewExtraction(filePath, content);
+    } else if (mode === 'deleteDirectory' || mode === 'replaceDirectory') {
+      preview = await this._previewDirectoryRemoval(filePath, mode);
+    } else {
+      preview = await this._previewWrite(filePath, content, mode);
+    }
+    preview = { ...preview, ...details };
+    
+    if (!preview.changed) {
+      return 'auto-approved';
+    }
+    if (!this.confirmWrite) {
+      throw new Error('Write confirmation is enabled, but there is no way to ask the user');
+    }
+    
+    return await this.confirmWrite(preview) ? 'approved' : 'rejected';
+  }
+
+  /**
+   * Saves the current content of a file to the write history before it is modified
+   * An append only records the length to cut the file back to, and a file over the
+   * history size limit is recorded without content so undo knows it cannot restore it
+   * Snapshot failures are logged and do not block the write
+   * @private
+   * @param {string} filePath - Path relative to the root directory
+   * @param {string} mode - The write mode, or 'delete', 'copy' or 'move'
+   * @param {object} details - Extra fields for the entry, such as the source of a move
+   * @returns {Promise<number|null>} The ID of the stored version, or null if none was stored
+   */
+  async _snapshotFile(filePath, mode, details = {}) {
+    if (this.historyMaxVersions <= 0) {
+      return null;
+    }
+    
+    try {
+      const path = normalizeRelativePath(filePath);
+      const entry = {
+        directoryId: this.directoryManager.currentDirectoryId || '',
+        path,
+        timestamp: Date.now(),
+        mode,
+        existed: false,
+        size: 0,
+        storedSize: 0,
+        ...details,
+      };
+      let content = null;
+      
+      if (await this.directoryManager.fileExists(path)) {
+        const file = await (await this.directoryManager.getFileHandle(path)).getFile();
+        Object.assign(entry, { existed: true, size: file.size, lastModified: file.lastModified });
+        
+        if (mode === 'append') {
+          entry.truncateAt = file.size;
+        } else if (file.size > this.historyMaxBytes) {
+          logger.warn(`Not saving the content of ${path}, file exceeds the history size limit`);
+          entry.restorable = false;
+        } else {
+          content = await file.arrayBuffer();
+          entry.storedSize = file.size;
+        }
+      }
+      
+      const id = await this.directoryManager.storageManager.addHistoryEntry(entry, content);
+      await this._pruneHistory(entry.directoryId, path);
+      return id;
+    } catch (error) {
+      logger.warn('Could not save file history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Removes history versions beyond the configured count per file and total size
+   * @private
+   */
+  async _pruneHistory(directoryId, path) {
+    const storage = this.directoryManager.storageManager;
+    
+    const fileVersions = await storage.getHistoryEntries(directoryId, path);
+    const expired = fileVersions.slice(this.historyMaxVersions).map(entry => entry.id);
+    
+    let totalSize = 0;
+    for (const entry of await storage.getHistoryEntries()) {
+      if (expired.includes(entry.id)) {
+        continue;
+      }
+      totalSize += entry.storedSize ?? entry.size;
+      if (totalSize > this.historyMaxBytes) {
+        expired.push(entry.id);
+      }
+    }
+    
+    await storage.deleteHistoryEntries(expired);
+  }
+
+  /**
+   * Remembers what a recorded write left behind, so undo can tell whether the file changed since
+   * @private
+   * @param {number|null} historyId - The version saved before the write, from _snapshotFile
+   * @param {File} file - The file as written
+   */
+  async _recordWritten(historyId, file) {
+    if (historyId === null) {
+      return;
+    }
+    await this.directoryManager.storageManager.updateHistoryEntry(historyId, {
+      writtenLastModified: file.lastModified,
+      writtenSize: file.size,
+    });
+  }
+
+  /**
+   * Drops a saved version when the change it was saved for did not happen
+   * @private
+   */
+  async _discardSnapshot(historyId) {
+    if (historyId === null) {
+      return;
+    }
+    try {
+      await this.directoryManager.storageManager.deleteHistoryEntries([historyId]);
+    } catch (error) {
+      logger.warn('Could not remove unused file history:', error);
+    }
+  }
+
+  /**
+   * Lists the saved versions of a file, newest first
+   * @param {string} filePath - Path relative to the root directory
+   * @returns {Promise<Array>} Version metadata
+   */
+  async getFileHistory(filePath) {
+    try {
+      if (!this.directoryManager.hasPermission()) {
+        throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+      }
+      
+      validateFilePath(filePath, true, 'read');
+      const entries = await this.directoryManager.storageManager.getHistoryEntries(
+        this.directoryManager.currentDirectoryId || '', normalizeRelativePath(filePath));
+      
+      return entries.map(entry => ({
+        version: entry.id,
+        time: new Date(entry.timestamp).toISOString(),
+        existed: entry.existed,
+        size: entry.size,
+        mode: entry.mode,
+        restorable: entry.restorable !== false,
+      }));
+    } catch (error) {
+      logger.error('Error getting file history:', error);
+      throw new Error(`Failed to get file history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restores a file to a saved version
+   * The current content is saved to history first, so a restore can itself be undone
+   * @param {string} filePath - Path relative to the root directory
+   * @param {number} version - The version to restore, from getFileHistory
+   * @returns {Promise<object>} The restored version and write result
+   */
+  async restoreVersion(filePath, version) {
+    try {
+      const path = normalizeRelativePath(filePath);
+      const entry = await this.directoryManager.storageManager.getHistoryEntry(Number(version));
+      
+      if (!entry || entry.path !== path || entry.directoryId !== (this.directoryManager.currentDirectoryId || '')) {
+        throw new Error(`Version ${version} of "${path}" not found`);
+      }
+      if (!entry.existed) {
+        throw new Error(`Version ${version} records that "${path}" did not exist yet, use deleteFile to remove it`);
+      }
+      if (entry.restorable === false) {
+        throw new Error(`Version ${version} of "${path}" was larger than the history size limit and was not saved`);
+      }
+      
+      const content = entry.truncateAt === undefined
+        ? entry.content || new ArrayBuffer(0)
+        : await this._appendedFrom(entry);
+      const result = await this.writeFile(path, content);
+      return { version: entry.id, time: new Date(entry.timestamp).toISOString(), ...result };
+    } catch (error) {
+      logger.error('Error restoring version:', error);
+      throw new Error(`Failed to restore version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the content of a file before an append, by cutting off what was appended since
+   * This is only possible while every later write to the file was an append
+   * @private
+   * @param {object} entry - History entry of the append
+   * @returns {Promise<Blob>} The content before the append
+   */
+  async _appendedFrom(entry) {
+    const later = (await this.directoryManager.storageManager.getHistoryEntries(entry.directoryId, entry.path))
+      .filter(version => version.id >= entry.id);
+    const exists = await this.directoryManager.fileExists(entry.path);
+    const file = exists ? await (await this.directoryManager.getFileHandle(entry.path)).getFile() : null;
+    
+    if (!file || later.some(version => version.truncateAt === undefined) ||
+        file.lastModified !== later[0].writtenLastModified || file.size < entry.truncateAt) {
+      throw new Error(
+        `Version ${entry.id} of "${entry.path}" was saved as the length before an append, ` +
+        'and the file has been changed by more than appends since'
+      );
+    }
+    return file.slice(0, entry.truncateAt);
+  }
+
+  /**
+   * Reverts the most recent write made by the plugin in the current directory
+   * Refuses if the file was changed after that write, unless forced
+   * @param {boolean} force - Revert even if the file changed since the plugin wrote it
+   * @returns {Promise<object>} The reverted path and whether the file was restored, deleted or the restore rejected
+   */
+  async undoLastWrite(force = false) {
+    try {
+      if (!this.directoryManager.hasPermission()) {
+        throw new Error('No directory permission granted. Call requestDirectoryPermission first.');
+      }
+      
+      const storage = this.directoryManager.storageManager;
+      const [latest] = await storage.getHistoryEntries(this.directoryManager.currentDirectoryId || '');
+      if (!latest) {
+        throw new Error('There are no recorded writes to undo in this directory');
+      }
+      
+      if (latest.restorable === false) {
+        throw new Error(
+          `"${latest.path}" was larger than the history size limit, so its content before the last write was not saved and cannot be restored`
+        );
+      }
+      if (latest.mode === 'move' && !latest.source) {
+        throw new Error(
+          `"${latest.path}" was replaced by a file moved from another folder, use restoreVersion to get its previous content back`
+        );
+      }
+      
+      const exists = await this.directoryManager.fileExists(latest.path);
+      if (!force && latest.mode === 'delete' && exists) {
+        throw new Error(`"${latest.path}" has been created again since it was deleted, pass force=true to replace it anyway`);
+      }
+      if (!force && latest.writtenLastModified !== undefined) {
+        const current = exists ? await (await this.directoryManager.getFileHandle(latest.path)).getFile() : null;
+        if (!current || current.lastModified !== latest.writtenLastModified) {
+          throw new Error(
+            `"${latest.path}" has changed since the plugin last wrote it, pass force=true to revert it anyway`
+          );
+        }
+      }
+      
+      let action;
+      if (latest.existed) {
+        const entry = await storage.getHistoryEntry(latest.id);
+        const content = entry.truncateAt === undefined
+          ? entry.content || new ArrayBuffer(0)
+          : (await (await this.directoryManager.getFileHandle(latest.path)).getFile()).slice(0, entry.truncateAt);
+        
+        // The moved file goes back where it came from before the old content takes its place
+        if (latest.mode === 'move') {
+          await this.moveFile(latest.path, latest.source);
+        }
+        const { approval } = await this.writeFile(latest.path, content, { recordHistory: false });
+        if (approval === 'rejected') {
+          if (latest.mode === 'move') {
+            await this.moveFile(latest.source, latest.path);
+          }
+          return { path: latest.path, action: 'rejected', time: new Date(latest.timestamp).toISOString() };
+        }
+        action = entry.truncateAt === undefined ? 'restored' : 'truncated';
+        
+        // The file is back as the write before left it, so that write can be undone next
+        const restored = await (await this.directoryManager.getFileHandle(latest.path)).getFile();
+        const previous = (await storage.getHistoryEntries(this.directoryManager.currentDirectoryId || '', latest.path))
+          .find(candidate => candidate.id < latest.id);
+        if (previous && previous.writtenLastModified === latest.lastModified) {
+          await storage.updateHistoryEntry(previous.id, { writtenLastModified: restored.lastModified });
+        }
+      } else if (exists) {
+        if (!await this.deleteFile(latest.path, { recordHistory: false })) {
+          return { path: latest.path, action: 'rejected', time: new Date(latest.timestamp).toISOString() };
+        }
+        action = 'deleted';
+      } else {
+        action = 'already removed';
+      }
+      
+      await storage.deleteHistoryEntries([latest.id]);
+      
+      return {
+        path: latest.path,
+        action,
+        source: latest.mode === 'move' ? latest.source : undefined,
+        time: new Date(latest.timestamp).toISOString(),
+      };
+    } catch (error) {
+      logger.error('Error undoing last write:', error);
+      throw new Error(`Failed to undo last write: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rejects a write when the file changed since the caller last read it
+   * @private
+   */
+  async _checkWritePrecondition(filePath, file, options) {
+    if (options.expectedLastModified !== undefined && file.lastModified !== Number(options.expectedLastModified)) {
+      throw new Error(
+        `File "${filePath}" was modified since it was read (expected lastModified ${options.expectedLastModified}, ` +
+        `found ${file.lastModified}). Read the file again before writing.`
+      );
+    }
+    
+    if (options.expectedHash) {
+      const hash = await hashContent(await file.arrayBuffer());
+      if (hash !== String(options.expectedHash).toLowerCase()) {
+        throw new Error(
+          `File "${filePath}" was modified since it was read (content hash does not match). Read the file again before writing.`
+        );
+      }
+    }
+  }
+  
+  /**
+   * Edits an existing text file with search/replace pairs or a unified diff
+   * All changes are validated before anything is written, so a failed edit
+   * leaves the file untouched
+   * @param {string} filePath - Path relative to the root directory
+   * @param {object} changes - Either { edits: [{search, replace, replaceAll}] } or { diff }
+   * @returns {Promise<object>} Summary of the applied edit
+   */
+  async editFile(filePath, changes = {}) {
+    try {
+      logger.debug('Editing file:', filePath);
+      
+      if (!filePath) {
+        throw new Error('No file path provided');
+      }
+      
+      validateFilePath(filePath, true, 'read');
+      validateFilePath(filePath, true, 'write');
+      if (!this.directoryManager.isSnapshot()) {
+        this.directoryManager.assertWritable('editing files');
+      }
+      
+      const hasEdits = Array.isArray(changes.edits) && changes.edits.length > 0;
+      const hasDiff = typeof changes.diff === 'string' && changes.diff.trim().length > 0;
+      
+      if (hasEdits === hasDiff) {
+        throw new Error('Provide either search/replace edits or a unified diff');
+      }
+      
+      const fileHandle = await this.directoryManager.getFileHandle(filePath);
+      const file = await fileHandle.getFile();
+      
+      const { isText, encoding, bomLength } = await sniffFile(file);
+      if (!isText) {
+        throw new Error('Only text files can be edited');
+      }
+      
+      if (file.size > this.maxFileSize) {
+        throw new Error(`File size exceeds maximum allowed (${this.maxFileSize} bytes)`);
+      }
+      
+      // The encoding was picked from the start of the file, so a mismatch further on aborts
+      // the edit instead of writing replacement characters back
+      let original;
+      try {
+        original = new TextDecoder(encoding, { fatal: true }).decode(await file.arrayBuffer());
+      } catch (error) {
+        throw new Error(`"${filePath}" is not valid ${encoding} text throughout, it was not edited`);
+      }
+      if (original.includes('\0')) {
+        throw new Error(`"${filePath}" contains binary data after its first ${formatFileSize(SNIFF_SIZE)}, it was not edited`);
+      }
+      let updated;
+      let applied;
+      
+      if (hasEdits) {
+        updated = applySearchReplaceEdits(original, changes.edits);
+        applied = changes.edits.length;
+      } else {
+        const patched = applyUnifiedDiff(original, changes.diff);
+        updated = patched.content;
+        applied = patched.hunks;
+      }
+      
+      if (updated === original) {
+        logger.debug('Edit produced no changes');
+        return { changed: false, applied, size: file.size };
+      }
+      
+      // Keep the file's encoding and byte order mark
+      const output = encoding === 'utf-8' && bomLength === 0 ? updated : encodeText(updated, encoding, bomLength > 0);
+      
+      // Guard against the file changing between our read and write
+      const written = await this.writeFile(filePath, output, { expectedLastModified: file.lastModified });
+      const { approval, bytesWritten: size } = written;
+      
+      if (approval === 'rejected') {
+        return { changed: false, applied, size: file.size, approval };
+      }
+      
+      logger.debug('File edited successfully');
+      return { changed: true, applied, size, approval, delivery: written.delivery, changedFiles: written.changedFiles };
+    } catch (error) {
+      logger.error('Error editing file:', error);
+      throw new Error(`Failed to edit file: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Validates a path used by a file management operation
+   * @private
+   */
+  _validateEntryPath(path, label = 'path', operation = 'write', kind = 'file') {
+    if (!path || typeof path !== 'string') {
+      throw new Error(`No ${label} provided`);
+    }
+    
+    validateFilePath(path, true, operation, kind);
+    
+    if (path.split('/').filter(segment => segment.length > 0 && segment !== '.').length === 0) {
+      throw new Error(`The ${label} cannot be the root directory`);
+    }
+  }
+
+  /**
+   * Throws if the path policy denies an operation on any entry inside a directory
+   * Moving, replacing or deleting a directory acts on everything in it, so one denied entry refuses all of it
+   * @private
+   * @param {FileSystemDirectoryHandle} dirHandle - The directory
+   * @param {string} dirPath - Its path relative to the root
+   * @param {string[]} operations - The operations the entries must allow, 'read' and 'write'
+   * @param {string} action - What would be done to the directory, for the error message
+   */
+  async _assertContentsAllowed(dirHandle, dirPath, operations, action) {
+    for await (const child of dirHandle.values()) {
+      const childPath = joinPath(dirPath, child.name);
+      for (const operation of operations) {
+        const { allowed, reason } = pathPolicy.evaluate(childPath, operation, child.kind);
+        if (!allowed) {
+          throw new Error(`Cannot ${action} "${dirPath}", it contains "${childPath}", which is denied by ${reason}`);
+        }
+      }
+      if (child.kind === 'directory') {
+        await this._assertContentsAllowed(child, childPath, operations, action);
+      }
+    }
+  }
+
+  /**
+   * Deletes a file, saving its content to the write history first
+   * @param {string} filePath - Path relative to the root directory
+   * @param {object} options - Delete options
+   * @param {boolean} options.recordHistory - Snapshot the content first, defaults to true
+   * @returns {Promise<boolean>} Whether the file was deleted, false when the user rejected it
+   */
+  async deleteFile(filePath, options = {}) {
+    try {
+      logger.debug('Deleting file:', filePath);
+      this._validateEntryPath(filePath);
+      this.directoryManager.assertWritable('deleting files');
+      
+      const entry = await this.directoryManager.getEntryHandle(filePath);
+      if (!entry) {
+        throw new Error(`File "${filePath}" not found`);
+      }
+      if (entry.kind !== 'file') {
+        throw new Error(`"${filePath}" is a directory, use deleteDirectory instead`);
+      }
+      
+      if (this.confirmWrites && await this._confirmWrite(filePath, null, 'delete') === 'rejected') {
+        logger.info('Delete rejected by the user:', filePath);
+        return false;
+      }
+      
+      const historyId = options.recordHistory === false ? null : await this._snapshotFile(filePath, 'delete');
+      const { parent, name } = await this.directoryManager.getParentDirectoryHandle(filePath);
+      try {
+        await parent.removeEntry(name);
+      } catch (error) {
+        await this._discardSnapshot(historyId);
+        throw error;
+      }
+      
+      logger.debug('File deleted successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error deleting file:', error);
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a directory, including any missing parent directories
+   * @param {string} dirPath - Path relative to the root directory
+   * @returns {Promise<object>} Whether the directory was created or already existed
+   */
+  async createDirectory(dirPath) {
+    try {
+      logger.debug('Creating directory:', dirPath);
+      this._validateEntryPath(dirPath, 'path', 'write', 'directory');
+      this.directoryManager.assertWritable('creating directories');
+      
+      const entry = await this.directoryManager.getEntryHandle(dirPath);
+      if (entry && entry.kind !== 'directory') {
+        throw new Error(`A file already exists at "${dirPath}"`);
+      }
+      
+      await this.directoryManager.createDirectoryHandle(dirPath);
+      
+      logger.debug('Directory created successfully');
+      return { created: !entry };
+    } catch (error) {
+      logger.error('Error creating directory:', error);
+      throw new Error(`Failed to create directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a directory
+   * @param {string} dirPath - Path relative to the root directory
+   * @param {boolean} recursive - Whether to delete a non-empty directory with its contents
+   * @returns {Promise<boolean>} Whether the directory was deleted, false when the user rejected it
+   */
+  async deleteDirectory(dirPath, recursive = false) {
+    try {
+      logger.debug('Deleting directory:', dirPath, 'recursive:', recursive);
+      this._validateEntryPath(dirPath, 'path', 'write', 'directory');
+      this.directoryManager.assertWritable('deleting directories');
+      
+      const entry = await this.directoryManager.getEntryHandle(dirPath);
+      if (!entry) {
+        throw new Error(`Directory "${dirPath}" not found`);
+      }
+      if (entry.kind !== 'directory') {
+        throw new Error(`"${dirPath}" is a file, use deleteFile instead`);
+      }
+      
+      const empty = (await entry.values().next()).done;
+      if (!recursive && !empty) {
+        throw new Error(`Directory "${dirPath}" is not empty, pass recursive=true to delete it with its contents`);
+      }
+      if (!empty) {
+        await this._assertContentsAllowed(entry, normalizeRelativePath(dirPath), ['write'], 'delete');
+      }
+      if (!empty && this.confirmWrites && await this._confirmWrite(dirPath, null, 'deleteDirectory') === 'rejected') {
+        logger.info('Delete rejected by the user:', dirPath);
+        return false;
+      }
+      
+      const { parent, name } = await this.directoryManager.getParentDirectoryHandle(dirPath);
+      await parent.removeEntry(name, { recursive });
+      
+      logger.debug('Directory deleted successfully');
+      return true;
+    } catch (error) {
+      logger.error('Error deleting directory:', error);
+      throw new Error(`Failed to delete directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolves the source and destination of a copy or move
+   * A destination ending in '/' or naming an existing directory receives the
+   * source under its original name
+   * @private
+   */
+  async _resolveTransfer(source, destination, overwrite, sourceOperation) {
+    // Source and destination may be in different mounted roots
+    const from = this.resolveRoot(source);
+    const to = this.resolveRoot(destination);
+    const sourceRoot = from.manager.directoryManager;
+    const targetRoot = to.manager.directoryManager;
+    source = from.path;
+    destination = to.path;
+    
+    const operation = sourceOperation === 'write' ? 'moving files' : 'copying files';
+    targetRoot.assertWritable(operation);
+    if (sourceOperation === 'write') {
+      sourceRoot.assertWritable(operation);
+    }
+    
+    this._validateEntryPath(source, 'source path', 'read', 'directory');
+    
+    const sourceHandle = await sourceRoot.getEntryHandle(source);
+    if (!sourceHandle) {
+      throw new Error(`Source "${source}" not found`);
+    }
+    validateFilePath(source, true, 'read', sourceHandle.kind);
+    
+    // Moving also removes the source, so it needs write access there too
+    if (sourceOperation === 'write') {
+      validateFilePath(source, true, 'write', sourceHandle.kind);
+    }
+    
+    let targetPath = destination.replace(/\/+$/, '');
+    const destinationHandle = await targetRoot.getEntryHandle(targetPath);
+    if (destination.endsWith('/') || (destinationHandle && destinationHandle.kind === 'directory' && sourceHandle.kind === 'file')) {
+      targetPath = joinPath(targetPath, sourceHandle.name);
+    }
+    
+    const normalizedSource = source.split('/').filter(segment => segment.length > 0).join('/');
+    const normalizedTarget = targetPath.split('/').filter(segment => segment.length > 0).join('/');
+    this._validateEntryPath(normalizedTarget, 'destination path', 'write', sourceHandle.kind);
+    
+    // Copies skip denied entries, but a moved directory would carry them to a readable new path
+    if (sourceOperation === 'write' && sourceHandle.kind === 'directory') {
+      await this._assertContentsAllowed(sourceHandle, normalizedSource, ['read', 'write'], 'move');
+    }
+    
+    // Roots mounted under different aliases may be the same folder, or one inside the other
+    const targetOffset = await relativeRootPath(sourceRoot.rootDirectoryHandle, targetRoot.rootDirectoryHandle);
+    const sourceOffset = targetOffset === null
+      ? await relativeRootPath(targetRoot.rootDirectoryHandle, sourceRoot.rootDirectoryHandle)
+      : '';
+    if (targetOffset !== null || sourceOffset !== null) {
+      const fromPath = joinPath(sourceOffset || '', normalizedSource);
+      const toPath = joinPath(targetOffset || '', normalizedTarget);
+      if (fromPath === toPath) {
+        throw new Error('Source and destination are the same');
+      }
+      if (sourceHandle.kind === 'directory' && toPath.startsWith(`${fromPath}/`)) {
+        throw new Error('Cannot copy or move a directory into itself');
+      }
+    }
+    
+    const existing = await targetRoot.getEntryHandle(normalizedTarget);
+    if (existing) {
+      if (!overwrite) {
+        throw new Error(`Destination "${normalizedTarget}" already exists, pass overwrite=true to replace it`);
+      }
+      if (existing.kind !== sourceHandle.kind) {
+        throw new Error(`Cannot replace a ${existing.kind} with a ${sourceHandle.kind} at "${normalizedTarget}"`);
+      }
+      if (existing.kind === 'directory') {
+        await this._assertContentsAllowed(existing, normalizedTarget, ['write'], 'replace');
+      }
+    }
+    
+    const { parent, name } = await targetRoot.getParentDirectoryHandle(normalizedTarget, true);
+    return {
+      sourceHandle,
+      sourceRoot,
+      sourcePath: normalizedSource,
+      targetPath: withRootAlias(to.alias, normalizedTarget),
+      targetManager: to.manager,
+      targetEntryPath: normalizedTarget,
+      targetParent: parent,
+      targetName: name,
+      existing,
+    };
+  }
+
+  /**
+   * Saves a file a copy or move is about to replace to the write history of its root
+   * @private
+   * @param {object} transfer - A transfer returned by _resolveTransfer
+   * @param {string} mode - 'copy' or 'move'
+   * @returns {Promise<number|null>} The ID of the stored version, or null if none was stored
+   */
+  async _snapshotTransfer(transfer, mode) {
+    if (!transfer.existing || transfer.existing.kind !== 'file') {
+      return null;
+    }
+    
+    // Undoing a move puts the file back, which needs the source in the same root
+    const details = mode === 'move'
+      ? { source: transfer.sourceRoot === transfer.targetManager.directoryManager ? transfer.sourcePath : null }
+      : {};
+    return transfer.targetManager._snapshotFile(transfer.targetEntryPath, mode, details);
+  }
+
+  /**
+   * Asks the user before a copy or move replaces an existing file or directory,
+   * when writes at the destination need confirmation
+   * @private
+   * @param {object} transfer - A transfer returned by _resolveTransfer
+   * @param {string} source - The source as the caller named it
+   * @returns {Promise<string>} 'approved', 'rejected', or 'auto-approved'
+   */
+  async _confirmTransfer(transfer, source) {
+    const target = transfer.targetManager;
+    if (!transfer.existing || !target.confirmWrites) {
+      return 'auto-approved';
+    }
+    
+    const approval = transfer.existing.kind === 'directory'
+      ? await target._confirmWrite(transfer.targetEntryPath, null, 'replaceDirectory', { source })
+      : await target._confirmWrite(transfer.targetEntryPath, await transfer.sourceHandle.getFile(), 'overwrite', { source });
+    if (approval === 'rejected') {
+      logger.info('Replacing rejected by the user:', transfer.targetPath);
+    }
+    return approval;
+  }
+
+  /**
+   * Finishes the history entry of a transfer, or drops it when the transfer failed
+   * @private
+   */
+  async _recordTransfer(transfer, historyId, error = null) {
+    if (error) {
+      await transfer.targetManager._discardSnapshot(historyId);
+      return;
+    }
+    if (historyId !== null) {
+      const file = await (await transfer.targetManager.directoryManager.getFileHandle(transfer.targetEntryPath)).getFile();
+      await transfer.targetManager._recordWritten(historyId, file);
+    }
+  }
+
+  /**
+   * Places the source of a transfer at its destination, replacing an existing destination
+   * only once the source is in place under a temporary name, so a failed transfer leaves it intact
+   * @private
+   * @param {object} transfer - A transfer returned by _resolveTransfer
+   * @param {function} place - async (parent, name) => result, puts the source under that name
+   * @returns {Promise<*>} What place returned
+   */
+  async _replaceEntry(transfer, place) {
+    const { targetParent, targetName, existing } = transfer;
+    if (!existing) {
+      return place(targetParent, targetName);
+    }
+    
+    const tempName = `.${targetName}.${Date.now().toString(36)}.tmp`;
+    let result;
+    try {
+      result = await place(targetParent, tempName);
+    } catch (error) {
+      await targetParent.removeEntry(tempName, { recursive: true }).catch(() => {});
+      throw error;
+    }
+    
+    await targetParent.removeEntry(targetName, { recursive: true });
+    const placed = existing.kind === 'directory'
+      ? await targetParent.getDirectoryHandle(tempName)
+      : await targetParent.getFileHandle(tempName);
+    try {
+      await this._moveHandle(placed, targetParent, targetName);
+    } catch (error) {
+      throw new Error(`The destination was replaced, but its new content is still named "${tempName}": ${error.message}`);
+    }
+    return result;
+  }
+
+  /**
+   * Moves a handle with FileSystemHandle.move where the browser supports it, otherwise
+   * copies it and deletes the original
+   * @private
+   * @param {FileSystemHandle} handle - The entry to move
+   * @param {FileSystemDirectoryHandle} targetParent - Directory to move it into
+   * @param {string} targetName - Its new name
+   * @param {function} removeSource - async () => void, deletes the original after a copy
+   * @returns {Promise<string>} 'move' or 'copy'
+   */
+  async _moveHandle(handle, targetParent, targetName, removeSource = null) {
+    if (typeof handle.move === 'function') {
+      try {
+        await handle.move(targetParent, targetName);
+        return 'move';
+      } catch (error) {
+        logger.warn('FileSystemHandle.move failed, falling back to copy and delete:', error);
+      }
+    }
+    
+    await this._copyEntry(handle, targetParent, targetName);
+    if (removeSource) {
+      await removeSource();
+    } else {
+      await targetParent.removeEntry(handle.name, { recursive: handle.kind === 'directory' });
+    }
+    return 'copy';
+  }
+
+  /**
+   * Recursively copies a file or directory handle into a parent directory
+   * When a source path is given, entries the path policy does not allow reading are skipped
+   * @private
+   * @returns {Promise<number>} Number of files copied
+   */
+  async _copyEntry(handle, targetParent, targetName, sourcePath = null) {
+    if (handle.kind === 'file') {
+      const file = await handle.getFile();
+      const targetHandle = await targetParent.getFileHandle(targetName, { create: true });
+      const writable = await targetHandle.createWritable();
+      await writable.write(file);
+      await writable.close();
+      return 1;
+    }
+    
+    const targetDir = await targetParent.getDirectoryHandle(targetName, { create: true });
+    let copied = 0;
+    for await (const child of handle.values()) {
+      const childPath = sourcePath === null ? null : joinPath(sourcePath, child.name);
+      if (childPath !== null && !pathPolicy.isAllowed(childPath, 'read', child.kind)) {
+        logger.debug('Skipping copy of policy-denied entry:', childPath);
+        continue;
+      }
+      copied += await this._copyEntry(child, targetDir, child.name, childPath);
+    }
+    return copied;
+  }
+
+  /**
+   * Copies a file or directory
+   * @param {string} source - Source path relative to the root directory, or alias:path
+   * @param {string} destination - Destination path relative to the root directory, or alias:path
+   * @param {boolean} overwrite - Whether to replace an existing destination
+   * @returns {Promise<object>} The destination path, number of files copied and approval
+   */
+  async copyFile(source, destination, overwrite = false) {
+    try {
+      logger.debug('Copying:', source, '->', destination);
+      
+      const transfer = await this._resolveTransfer(source, destination, overwrite, 'read');
+      const approval = await this._confirmTransfer(transfer, source);
+      if (approval === 'rejected') {
+        return { destination: transfer.targetPath, files: 0, approval };
+      }
+      
+      const historyId = await this._snapshotTransfer(transfer, 'copy');
+      
+      // Copies skip denied entries so they cannot be exposed under a new path
+      let files;
+      try {
+        files = await this._replaceEntry(transfer, (parent, name) =>
+          this._copyEntry(transfer.sourceHandle, parent, name, transfer.sourcePath));
+      } catch (error) {
+        await this._recordTransfer(transfer, historyId, error);
+        throw error;
+      }
+      await this._recordTransfer(transfer, historyId);
+      
+      logger.debug('Copied successfully');
+      return { destination: transfer.targetPath, files, approval };
+    } catch (error) {
+      logger.error('Error copying:', error);
+      throw new Error(`Failed to copy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves or renames a file or directory
+   * Uses FileSystemHandle.move where the browser supports it, otherwise copies
+   * the entry and deletes the original
+   * @param {string} source - Source path relative to the root directory, or alias:path
+   * @param {string} destination - Destination path relative to the root directory, or alias:path
+   * @param {boolean} overwrite - Whether to replace an existing destination
+   * @returns {Promise<object>} The destination path, the method used and approval
+   */
+  async moveFile(source, destination, overwrite = false) {
+    try {
+      logger.debug('Moving:', source, '->', destination);
+      
+      const transfer = await this._resolveTransfer(source, destination, overwrite, 'write');
+      const removeSource = async () => {
+        const { parent, name } = await transfer.sourceRoot.getParentDirectoryHandle(transfer.sourcePath);
+        await parent.removeEntry(name, { recursive: transfer.sourceHandle.kind === 'directory' });
+      };
+      
+      const approval = await this._confirmTransfer(transfer, source);
+      if (approval === 'rejected') {
+        return { destination: transfer.targetPath, method: null, approval };
+      }
+      
+      const historyId = await this._snapshotTransfer(transfer, 'move');
+      
+      let method;
+      try {
+        method = await this._replaceEntry(transfer, (parent, name) =>
+          this._moveHandle(transfer.sourceHandle, parent, name, removeSource));
+      } catch (error) {
+        await this._recordTransfer(transfer, historyId, error);
+        throw error;
+      }
+      await this._recordTransfer(transfer, historyId);
+      
+      logger.debug('Moved successfully with', method);
+      return { destination: transfer.targetPath, method, approval };
+    } catch (error) {
+      logger.error('Error moving:', error);
+      throw new Error(`Failed to move: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bundles a directory, or the files in it matching glob patterns, into a ZIP archive
+   * The archive is written to a path under the root, or through a save picker when none is given
+   * @param {string} directory - Directory to bundle, relative to the root
+   * @param {object} options - Export options
+   * @param {string} options.destination - Archive path relative to the root
+   * @param {boolean} options.overwrite - Whether to replace an existing archive
+   * @param {string|string[]} options.include - Glob patterns files must match
+   * @param {string|string[]} options.exclude - Glob patterns to skip
+   * @param {boolean} options.respectIgnoreFiles - Skip entries matched by .gitignore/.ignore files
+   * @returns {Promise<object>} The destination, entry counts, uncompressed bytes and archive size
+   */
+  async exportZip(directory = '', options = {}) {
+    try {
+      logger.debug('Exporting ZIP archive:', directory, options);
+      
+      directory = normalizeRelativePath(directory);
+      validateFilePath(directory, true, 'read', 'directory');
+      const destination = options.destination ? normalizeRelativePath(options.destination) : null;
+      
+      const dirHandle = await this.directoryManager.getDirectoryHandle(directory);
+      const walkOptions = await this._createWalkOptions(directory, dirHandle, options);
+      const entries = [];
+      let files = 0;
+      let bytes = 0;
+      
+      for await (const entry of this._walkDirectory(dirHandle, directory, walkOptions)) {
+        // Never bundle a previous copy of the archive being written
+        if (entry.path === destination) {
+          continue;
+        }
+        if (entries.length >= MAX_ZIP_ENTRIES) {
+          throw new Error(`More than ${MAX_ZIP_ENTRIES} entries to export, narrow the selection with include or exclude patterns`);
+        }
+        
+        const name = directory ? entry.path.slice(directory.length + 1) : entry.path;
+        
+        // With include patterns only matching files are bundled, so folders would be empty noise
+        if (entry.kind === 'directory') {
+          if (!walkOptions.include) {
+            entries.push({ name: `${name}/`, data: null, lastModified: Date.now() });
+          }
+          continue;
+        }
+        
+        const file = await entry.handle.getFile();
+        bytes += file.size;
+        if (bytes > MAX_ZIP_TOTAL_SIZE) {
+          throw new Error(`The selection is larger than ${formatFileSize(MAX_ZIP_TOTAL_SIZE)}, narrow it with include or exclude patterns`);
+        }
+        entries.push({ name, data: new Uint8Array(await file.arrayBuffer()), lastModified: file.lastModified });
+        files++;
+      }
+      
+      if (files === 0) {
+        throw new Error('No files to export');
+      }
+      
+      const archive = await createZipArchive(entries);
+      const result = {
+        files,
+        directories: entries.length - files,
+        bytes,
+        size: archive.size,
+        ignored: walkOptions.stats.ignored,
+      };
+      
+      if (destination) {
+        const written = await this.writeFile(destination, archive, { mode: options.overwrite ? 'overwrite' : 'createNew' });
+        logger.debug('ZIP archive written:', destination, written.approval);
+        return { ...result, destination, approval: written.approval, bytesWritten: written.bytesWritten,
+          delivery: written.delivery, changedFiles: written.changedFiles };
+      }
+      
+      const baseName = directory ? directory.split('/').pop() : this.directoryManager.getRootDirectoryName();
+      
+      // Browsers without save dialogs get a download
+      if (typeof window.showSaveFilePicker !== 'function') {
+        downloadBlob(archive, `${baseName || 'archive'}.zip`);
+        return { ...result, destination: `${baseName || 'archive'}.zip`, approval: 'approved', bytesWritten: archive.size, delivery: 'download' };
+      }
+      
+      const fileHandle = await window.showSaveFilePicker({
+        id: 'file-plugin-zip',
+        suggestedName: `${baseName || 'archive'}.zip`,
+        startIn: 'downloads',
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+      });
+      const writable = await fileHandle.createWritable();
+      await writable.write(archive);
+      await writable.close();
+      
+      logger.debug('ZIP archive saved:', fileHandle.name);
+      return { ...result, destination: fileHandle.name, approval: 'approved', bytesWritten: archive.size };
+    } catch (error) {
+      logger.error('Error exporting ZIP archive:', error);
+      throw new Error(`Failed to export ZIP archive: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unpacks a ZIP archive into a directory under the root
+   * Every entry is validated like any other write path, so entries that are absolute,
+   * climb out of the target with '..' or are denied by the path policy reject the whole archive
+   * @param {string} archivePath - Archive path relative to the root
+   * @param {string} destination - Target directory relative to the root
+   * @param {object} options - Extraction options
+   * @param {boolean} options.overwrite - Whether to replace existing files
+   * @returns {Promise<object>} The destination, counts of files and directories created and bytes written
+   */
+  async extractZip(archivePath, destination, options = {}) {
+    try {
+      logger.debug('Extracting ZIP archive:', archivePath, '->', destination);
+      
+      this.directoryManager.assertWritable('extracting archives');
+      validateFilePath(archivePath, true, 'read');
+      destination = normalizeRelativePath(destination);
+      validateFilePath(destination, true, 'write', 'directory');
+      
+      const archive = await (await this.directoryManager.getFileHandle(archivePath)).getFile();
+      const entries = [...(await readZipDirectory(archive)).values()];
+      
+      if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`The archive has ${entries.length} entries, more than the limit of ${MAX_ZIP_ENTRIES}`);
+      }
+      const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+      if (totalSize > MAX_ZIP_TOTAL_SIZE) {
+        throw new Error(`The archive expands to ${formatFileSize(totalSize)}, more than the limit of ${formatFileSize(MAX_ZIP_TOTAL_SIZE)}`);
+      }
+      
+      // Check every entry before anything is written
+      const targets = [];
+      const conflicts = [];
+      for (const entry of entries) {
+        const name = entry.name.replace(/\\/g, '/');
+        const kind = name.endsWith('/') ? 'directory' : 'file';
+        const path = joinPath(destination, name.replace(/\/+$/, ''));
+        try {
+          if (/^(\/|[A-Za-z]:)/.test(name)) {
+            throw new Error('Absolute paths are not allowed');
+          }
+          validateFilePath(path, true, 'write', kind);
+        } catch (error) {
+          throw new Error(`Unsafe archive entry "${entry.name}": ${error.message}`);
+        }
+        
+        const exists = kind === 'file' && await this.directoryManager.fileExists(path);
+        if (exists && !options.overwrite) {
+          conflicts.push(path);
+        }
+        targets.push({ entry, path, kind, exists });
+      }
+      
+      if (conflicts.length > 0) {
+        const listed = conflicts.slice(0, 5).map(path => `"${path}"`).join(', ');
+        throw new Error(`${conflicts.length} file${conflicts.length === 1 ? '' : 's'} already exist (${listed}${conflicts.length > 5 ? ', …' : ''}), use overwrite=true to replace them`);
+      }
+      
+      // Decompress everything first, so a corrupt entry leaves no half-extracted directory behind
+      for (const target of targets) {
+        if (target.kind === 'file') {
+          target.content = await readZipEntry(archive, target.entry, MAX_ZIP_TOTAL_SIZE);
+        }
+      }
+      
+      // The whole archive is confirmed at once rather than file by file
+      const files = targets.filter(target => target.kind === 'file');
+      let approval = 'auto-approved';
+      if (this.confirmWrites) {
+        approval = await this._confirmWrite(destination, files.map(({ path, exists, content }) => ({
+          path, exists, size: content.byteLength,
+        })), 'extract', { source: archivePath });
+        if (approval === 'rejected') {
+          logger.info('Extraction rejected by the user:', archivePath);
+          return { destination, files: 0, directories: 0, bytesWritten: 0, approval };
+        }
+      }
+      
+      const result = { destination, files: 0, directories: 0, bytesWritten: 0, approval };
+      const created = { files: [], directories: [], checked: new Set(), startedAt: Date.now() };
+      const replaced = [];
+      try {
+        for (const { path, kind, exists, content } of targets) {
+          await this._noteCreatedDirectories(path, kind, created);
+          if (kind === 'directory') {
+            continue;
+          }
+          
+          // Each file goes through writeFile, so write history applies as usual
+          const written = await this.writeFile(path, content, { confirm: false });
+          (exists ? replaced : created.files).push(path);
+          result.files++;
+          result.bytesWritten += written.bytesWritten;
+        }
+      } catch (error) {
+        throw new Error(`${error.message}. ${await this._removeExtracted(created, replaced)}`);
+      }
+      result.directories = created.directories.length;
+      
+      logger.debug(`Extracted ${result.files} files from ZIP archive`);
+      return result;
+    } catch (error) {
+      logger.error('Error extracting ZIP archive:', error);
+      throw new Error(`Failed to extract ZIP archive: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Creates the directories missing on the way to an extracted entry, and the entry itself
+   * when it is a directory, and notes them so a failed extraction can remove them again
+   * @private
+   */
+  async _noteCreatedDirectories(path, kind, created) {
+    const parts = path.split('/');
+    const depth = kind === 'directory' ? parts.length : parts.length - 1;
+    for (let i = 1; i <= depth; i++) {
+      const dirPath = parts.slice(0, i).join('/');
+      if (created.checked.has(dirPath)) {
+        continue;
+      }
+      created.checked.add(dirPath);
+      if ((await this.createDirectory(dirPath)).created) {
+        created.directories.push(dirPath);
+      }
+    }
+  }
+
+  /**
+   * Removes the files and directories a failed extraction created, with their write history
+   * Files it replaced keep their new content, their previous versions stay in the write history
+   * @private
+   * @returns {Promise<string>} What was removed and what was left behind, for the error message
+   */
+  async _removeExtracted(created, replaced) {
+    const left = [];
+    for (const path of created.files) {
+      try {
+        const { parent, name } = await this.directoryManager.getParentDirectoryHandle(path);
+        await parent.removeEntry(name);
+      } catch (error) {
+        left.push(path);
+      }
+    }
+    
+    // Deepest first, and only while empty, so nothing the archive did not create is lost
+    const directories = [...created.directories].sort((a, b) => b.split('/').length - a.split('/').length);
+    for (const path of directories) {
+      try {
+        const { parent, name } = await this.directoryManager.getParentDirectoryHandle(path);
+        await parent.removeEntry(name);
+      } catch (error) {
+        left.push(`${path}/`);
+      }
+    }
+    
+    // The removed files have nothing left to undo
+    const removed = created.files.filter(path => !left.includes(path));
+    if (removed.length > 0) {
+      try {
+        const storage = this.directoryManager.storageManager;
+        const entries = await storage.getHistoryEntries(this.directoryManager.currentDirectoryId || '');
+        const ids = entries
+          .filter(entry => removed.includes(entry.path) && entry.timestamp >= created.startedAt)
+          .map(entry => entry.id);
+        await storage.deleteHistoryEntries(ids);
+      } catch (error) {
+        logger.warn('Could not remove the write history of a failed extraction:', error);
+      }
+    }
+    
+    const describe = paths => paths.slice(0, 5).map(path => `"${path}"`).join(', ') + (paths.length > 5 ? ', …' : '');
+    let message = `Removed the ${removed.length} new file${removed.length === 1 ? '' : 's'} already extracted`;
+    if (replaced.length > 0) {
+      message += `; ${replaced.length} existing file${replaced.length === 1 ? ' was' : 's were'} already replaced (${describe(replaced)}), ` +
+        'use undoLastWrite or restoreVersion to get their previous content back';
+    }
+    if (left.length > 0) {
+      message += `; could not remove ${describe(left)}`;
+    }
+    return `${message}.`;
+  }
+  
+  /**
+   * Check if we have permission to a directory
+   */
+  hasDirectoryPermission() {
+    return this.directoryManager.hasPermission();
+  }
+  
+  /**
+   * Get the name of the root directory
+   */
+  getRootDirectoryName() {
+    return this.directoryManager.getRootDirectoryName();
+  }
+
+  /**
+   * Get all stored directories
+   * @returns {Promise<Array>} Array of directory records
+   */
+  async getStoredDirectories() {
+    try {
+      return await this.directoryManager.getStoredDirectories();
+    } catch (error) {
+      logger.error('Error getting stored directories:', error);
+      throw new Error(`Failed to get stored directories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch to a different stored directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory to switch to
+   * @returns {Promise<object>} Result of the switch operation
+   */
+  async switchDirectory(directoryId) {
+    try {
+      const success = await this.directoryManager.switchDirectory(directoryId);
+      
+      if (success) {
+        const dirName = this.directoryManager.getRootDirectoryName();
+        const mode = this.directoryManager.accessMode;
+        return {
+          success: true,
+          directory: dirName,
+          mode,
+          message: `Switched to directory: ${dirName}${mode === 'read' ? ' (read-only)' : ''}`,
+        };
+      } else {
+        return {
+          success: false,
+          message: 'Failed to switch directory. Permission denied.',
+        };
+      }
+    } catch (error) {
+      logger.error('Error switching directory:', error);
+      throw new Error(`Failed to switch directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore the directory that was current before the page was reloaded
+   * @returns {Promise<{status: string, name: string|null}>} 'restored', 'needs-reauthorization' or 'none'
+   */
+  async restoreSession() {
+    try {
+      return await this.directoryManager.restoreSession();
+    } catch (error) {
+      logger.error('Error restoring session:', error);
+      throw new Error(`Failed to restore session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask again for permission to a restored directory, during a user gesture
+   * @returns {Promise<boolean>} Whether the directory is attached again
+   */
+  async regrantPermission() {
+    try {
+      return await this.directoryManager.regrantPermission();
+    } catch (error) {
+      logger.error('Error granting permission again:', error);
+      throw new Error(`Failed to grant permission again: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a stored directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory
+   * @param {string} name - The new name
+   * @returns {Promise<object>} The renamed directory's ID and name
+   */
+  async renameDirectory(directoryId, name) {
+    try {
+      const record = await this.directoryManager.renameDirectory(directoryId, name);
+      return { id: record.id, name: record.name };
+    } catch (error) {
+      logger.error('Error renaming directory:', error);
+      throw new Error(`Failed to rename directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the tags and notes of a stored directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory
+   * @param {object} info - tags and/or notes
+   * @returns {Promise<object>} The directory's ID, name, tags and notes
+   */
+  async setDirectoryInfo(directoryId, info) {
+    try {
+      const record = await this.directoryManager.setDirectoryInfo(directoryId, info);
+      return { id: record.id, name: record.name, tags: record.tags || [], notes: record.notes || '' };
+    } catch (error) {
+      logger.error('Error updating directory info:', error);
+      throw new Error(`Failed to update directory info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mount a stored directory so its files can be addressed as alias:relative/path
+   * @param {string} directoryId - The ID, unique name or alias of the directory to mount
+   * @param {string} alias - The alias to mount it under
+   * @returns {Promise<object>} The alias, directory name and access mode
+   */
+  async mountDirectory(directoryId, alias) {
+    try {
+      return await this.directoryManager.mountDirectory(directoryId, alias);
+    } catch (error) {
+      logger.error('Error mounting directory:', error);
+      throw new Error(`Failed to mount directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unmount an aliased directory
+   * @param {string} alias - The alias to unmount
+   * @returns {boolean} Whether a directory was mounted under the alias
+   */
+  unmountDirectory(alias) {
+    return this.directoryManager.unmountDirectory(alias);
+  }
+
+  /**
+   * Remove a stored directory
+   * @param {string} directoryId - The ID, unique name or alias of the directory to remove
+   * @returns {Promise<object>} Result of the removal operation
+   */
+  async removeDirectory(directoryId) {
+    try {
+      this._stopWatch(await this.directoryManager.resolveDirectoryId(directoryId));
+      const success = await this.directoryManager.removeDirectory(directoryId);
+      
+      return {
+        success,
+        message: success ? 'Directory removed successfully' : 'Failed to remove directory',
+      };
+    } catch (error) {
+      logger.error('Error removing directory:', error);
+      throw new Error(`Failed to remove directory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a file operation in the audit log, removing entries beyond the retention limits
+   * Failures are logged but never interrupt the operation being recorded
+   * @param {object} entry - Command, path, bytes, success and message of the operation
+   */
+  async recordActivity(entry) {
+    try {
+      const storage = this.directoryManager.storageManager;
+      const timestamp = Date.now();
+      
+      await storage.addAuditEntry({
+        timestamp,
+        directoryId: this.directoryManager.currentDirectoryId,
+        directory: this.directoryManager.getRootDirectoryName() || null,
+        ...entry,
+      });
+      await storage.pruneAuditEntries({
+        before: this.auditMaxAge > 0 ? timestamp - this.auditMaxAge : undefined,
+        maxEntries: this.auditMaxEntries > 0 ? this.auditMaxEntries : Infinity,
+      });
+    } catch (error) {
+      logger.warn('Could not record file activity:', error);
+    }
+  }
+
+  /**
+   * Get the settings changed at runtime, such as the debug level set by toggleFileDebug
+   * @returns {Promise<Array<object>>} Saved settings as { key, value, setting }
+   */
+  async getSavedSettings() {
+    try {
+      return await this.directoryManager.storageManager.getSettings();
+    } catch (error) {
+      logger.error('Error getting saved settings:', error);
+      throw new Error(`Failed to get saved settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a setting changed at runtime, so it survives a reload
+   * @param {string} key - Name of the setting
+   * @param {*} value - The new value
+   * @param {*} setting - The configured value it overrides, so a later change to
+   *   the plugin settings can take precedence again
+   */
+  async saveSetting(key, value, setting = null) {
+    try {
+      await this.directoryManager.storageManager.putSetting({ key, value, setting });
+    } catch (error) {
+      logger.error('Error saving setting:', error);
+      throw new Error(`Failed to save setting: ${error.message}`);
+    }
+  }
+
+  /**
+   * Forget a setting changed at runtime, so the configured value applies again
+   * @param {string} key - Name of the setting
+   */
+  async deleteSavedSetting(key) {
+    try {
+      await this.directoryManager.storageManager.deleteSetting(key);
+    } catch (error) {
+      logger.error('Error deleting saved setting:', error);
+      throw new Error(`Failed to delete saved setting: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query the audit log, newest entries first
+   * @param {object} filters - Query filters
+   * @param {string} filters.directoryId - Only entries for this stored directory
+   * @param {string} filters.path - Only entries for this path, paths below it, or paths matching it as a glob
+   * @param {string} filters.command - Only entries for this command
+   * @param {number} filters.since - Only entries at or after this time (ms since epoch)
+   * @param {number} filters.until - Only entries at or before this time (ms since epoch)
+   * @param {number} filters.limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Matching audit entries
+   */
+  async getActivity(filters = {}) {
+    try {
+      const path = filters.path ? filters.path.replace(/^\.?\/+/, '').replace(/\/+$/, '') : null;
+      const isGlob = path && /[*?[]/.test(path);
+      
+      const matchesPath = (entryPath) => {
+        if (!entryPath) {
+          return false;
+        }
+        return isGlob
+          ? matchesGlob(entryPath, [path])
+          : entryPath === path || entryPath.startsWith(`${path}/`);
+      };
+      
+      return await this.directoryManager.storageManager.queryAuditEntries({
+        since: filters.since,
+        until: filters.until,
+        limit: filters.limit,
+        match: (entry) =>
+          (!filters.directoryId || entry.directoryId === filters.directoryId) &&
+          (!filters.command || entry.command === filters.command) &&
+          (!path || matchesPath(entry.path) || matchesPath(entry.destination)),
+      });
+    } catch (error) {
+      logger.error('Error getting file activity:', error);
+      throw new Error(`Failed to get file activity: ${error.message}`);
+    }
+  }
+} 
+// Create instances of the classes
+const fileManager = new FileAccessManager();
+
+
+/**
+ * TypingMind File Access Plugin
+ * Provides limited local file access capabilities
+ */
+class FileAccessPlugin {
+  constructor() {
+    this.name = 'File Access Plugin';
+    this.version = '1.0.0';
+    this.description = 'Provides limited local file access capabilities';
+    this.fileManager = fileManager;
+    this.debugMode = false;
+    this.userSettings = {};
+    this.runtimeSettings = new Map(); // settings changed by commands, which override userSettings
+    this.savedSettingsRestored = Promise.resolve();
+    this.session = { status: 'none', name: null, reported: true, regrantQueued: false };
+    this.sessionRestored = Promise.resolve();
+    
+    // Bind methods
+    this.initialize = this.initialize.bind(this);
+    this.onCommand = this.onCommand.bind(this);
+    
+    // Reading the audit log is not recorded in it
+    this.showFileActivity = this.showFileActivity.bind(this);
+    this.exportFileActivity = this.exportFileActivity.bind(this);
+    
+    // Command handlers record each invocation in the audit log
+    this.readFile = this._audited('readFile', this.readFile);
+    this.writeFile = this._audited('writeFile', this.writeFile);
+    this.editFile = this._audited('editFile', this.editFile);
+    this.deleteFile = this._audited('deleteFile', this.deleteFile);
+    this.moveFile = this._audited('moveFile', this.moveFile);
+    this.copyFile = this._audited('copyFile', this.copyFile);
+    this.exportZip = this._audited('exportZip', this.exportZip);
+    this.extractZip = this._audited('extractZip', this.extractZip);
+    this.downloadChanges = this._audited('downloadChanges', this.downloadChanges);
+    this.createDirectory = this._audited('createDirectory', this.createDirectory);
+    this.deleteDirectory = this._audited('deleteDirectory', this.deleteDirectory);
+    this.listFiles = this._audited('listFiles', this.listFiles);
+    this.directoryStats = this._audited('directoryStats', this.directoryStats);
+    this.watchDirectory = this._audited('watchDirectory', this.watchDirectory);
+    this.changesSince = this._audited('changesSince', this.changesSince);
+    this.deleteCheckpoint = this._audited('deleteCheckpoint', this.deleteCheckpoint);
+    this.searchFiles = this._audited('searchFiles', this.searchFiles);
+    this.queryFile = this._audited('queryFile', this.queryFile);
+    this.toggleDebug = this._audited('toggleFileDebug', this.toggleDebug);
+    this.showFileSettings = this._audited('showFileSettings', this.showFileSettings);
+    this.requestDirectoryAccess = this._audited('requestDirectoryAccess', this.requestDirectoryAccess);
+    this.listDirectories = this._audited('listDirectories', this.listDirectories);
+    this.switchDirectory = this._audited('switchDirectory', this.switchDirectory);
+    this.removeDirectory = this._audited('removeDirectory', this.removeDirectory);
+    this.fileHistory = this._audited('fileHistory', this.fileHistory);
+    this.restoreVersion = this._audited('restoreVersion', this.restoreVersion);
+    this.undoLastWrite = this._audited('undoLastWrite', this.undoLastWrite);
+    this.mountDirectory = this._audited('mountDirectory', this.mountDirectory);
+    this.unmountDirectory = this._audited('unmountDirectory', this.unmountDirectory);
+    this.renameDirectory = this._audited('renameDirectory', this.renameDirectory);
+    this.setDirectoryInfo = this._audited('setDirectoryInfo', this.setDirectoryInfo);
+  }
+
+  /**
+   * Wraps a command handler so each invocation is recorded in the audit log
+   * @private
+   * @param {string} command - Command name to record
+   * @param {function} handler - The command handler
+   * @returns {function} The bound, audited handler
+   */
+  _audited(command, handler) {
+    const bound = handler.bind(this);
+    return async (args) => {
+      // Commands run against the restored directory, not a picker, right after a reload
+      await this.sessionRestored;
+      const result = await bound(args);
+      const activity = describeActivity(command, args, result);
+      await this.fileManager.recordActivity(activity);
+      return this._withSessionNotice(this._withSnapshotFlags(result, activity.path));
+    };
+  }
+
+  /**
+   * Flags results obtained from a folder snapshot, which shows the folder as it was when
+   * imported and is never written to
+   * The root the command's path resolves to decides, as a snapshot may be mounted next to a writable directory
+   * @private
+   * @param {object} result - The command result
+   * @param {string|null} path - The path the command was given, possibly prefixed with a root alias
+   */
+  _withSnapshotFlags(result, path = null) {
+    if (!result || typeof result !== 'object' || result.error) {
+      return result;
+    }
+    
+    let directoryManager;
+    try {
+      directoryManager = this.fileManager.resolveRoot(path).manager.directoryManager;
+    } catch (error) {
+      // The alias is no longer mounted, so there is no snapshot to flag
+      return result;
+    }
+    if (!directoryManager.hasPermission() || !directoryManager.isSnapshot()) {
+      return result;
+    }
+    return {
+      ...result,
+      static: true,
+      readOnly: true,
+      importedAt: directoryManager.rootDirectoryHandle.importedAt,
+    };
+  }
+
+  /**
+   * Describes where a write to a folder snapshot went, as the snapshot itself is not changed
+   * @private
+   */
+  _snapshotWriteNotice(path, result) {
+    const files = `${result.changedFiles} changed file${result.changedFiles === 1 ? '' : 's'}`;
+    return `"${path}" is part of a read-only snapshot, so it was not changed. ` + (result.delivery === 'download'
+      ? `The new content was offered as a download, and downloadChanges bundles the ${files} into a ZIP.`
+      : `The new content was kept, run downloadChanges to download the ${files} as a ZIP.`);
+  }
+
+  /**
+   * Tells the user how the previous session's directory was restored: once when it was
+   * re-attached, and with every command while its permission still needs to be granted again
+   * @private
+   */
+  _withSessionNotice(result) {
+    const { status, name, reported } = this.session;
+    if (reported || !result || typeof result !== 'object') {
+      return result;
+    }
+    
+    let notice;
+    if (status === 'restored') {
+      this.session.reported = true;
+      notice = `Session restored: working in "${name}".`;
+    } else if (this.fileManager.directoryManager.pendingRegrant) {
+      notice = `"${name}" needs re-authorisation after the reload: ${this.session.regrantQueued
+        ? 'click or press a key anywhere on the page to grant access again'
+        : `run switchDirectory name="${name}" or requestDirectoryAccess to grant access again`}.`;
+    } else {
+      // Another directory was picked in the meantime
+      this.session.reported = true;
+      return result;
+    }
+    
+    return {
+      ...result,
+      session: status,
+      message: result.message ? `${notice} ${result.message}` : notice,
+    };
+  }
+
+  /**
+   * Re-attaches the directory that was current before a reload, or queues a permission
+   * prompt for the next click or key press when its permission has lapsed
+   * @private
+   */
+  async _restoreSession() {
+    try {
+      const { status, name } = await this.fileManager.restoreSession();
+      this.session = { status, name, reported: status === 'none', regrantQueued: false };
+      if (status === 'needs-reauthorization') {
+        this._queueRegrant();
+      }
+    } catch (error) {
+      logger.warn('Could not restore the previous directory:', error);
+    }
+  }
+
+  /**
+   * Requests permission again on the next user gesture, as browsers only prompt during one
+   * The prompt is offered once; after that the user picks the directory again with a command
+   * @private
+   */
+  _queueRegrant() {
+    if (typeof document === 'undefined' || typeof document.addEventListener !== 'function') {
+      return;
+    }
+    
+    const events = ['pointerdown', 'keydown'];
+    const onGesture = () => {
+      for (const event of events) {
+        document.removeEventListener(event, onGesture, true);
+      }
+      this.session.regrantQueued = false;
+      
+      this.fileManager.regrantPermission().then((granted) => {
+        if (granted) {
+          this.session = { status: 'restored', name: this.session.name, reported: false, regrantQueued: false };
+        }
+      }).catch((error) => logger.warn('Could not grant permission again:', error));
+    };
+    
+    for (const event of events) {
+      document.addEventListener(event, onGesture, true);
+    }
+    this.session.regrantQueued = true;
+  }
+
+  /**
+   * Shows a pending write to the user and asks for approval
+   * Uses the host's confirm dialog when the API provides one, otherwise the browser's
+   * @private
+   * @param {object} preview - The write preview with its unified diff
+   * @returns {Promise<boolean>} Whether the user approved the write
+   */
+  async _confirmWrite(preview) {
+    const directory = preview.mode === 'deleteDirectory' || preview.mode === 'replaceDirectory';
+    let summary;
+    if (preview.mode === 'extract') {
+      summary = `Extract ${preview.files} file${preview.files === 1 ? '' : 's'} (${formatFileSize(preview.size)}) ` +
+        `from "${preview.source}" into "${preview.path}"` +
+        `${preview.replaced ? `, replacing ${preview.replaced} existing file${preview.replaced === 1 ? '' : 's'}` : ''}?`;
+    } else if (directory) {
+      summary = `${preview.mode === 'deleteDirectory' ? 'Delete' : 'Replace'} the directory "${preview.path}" ` +
+        `and the ${preview.files} file${preview.files === 1 ? '' : 's'} in it (${formatFileSize(preview.size)})` +
+        `${preview.source ? ` with "${preview.source}"` : ''}?`;
+    } else if (preview.mode === 'delete') {
+      summary = `Delete "${preview.path}" ` +
+        `(${preview.binary ? formatFileSize(preview.currentSize) : `${preview.removed} line${preview.removed === 1 ? '' : 's'}`})?`;
+    } else if (preview.source) {
+      summary = `Replace "${preview.path}" with "${preview.source}" ` +
+        `(${preview.binary ? `${formatFileSize(preview.size)} of binary content` : `+${preview.added} -${preview.removed} lines`})?`;
+    } else {
+      summary = preview.binary
+        ? `${preview.exists ? 'Overwrite' : 'Create'} "${preview.path}" with ${formatFileSize(preview.size)} of binary content?`
+        : `${preview.exists ? 'Change' : 'Create'} "${preview.path}" (+${preview.added} -${preview.removed} lines)?`;
+    }
+    
+    if (typeof this.api?.confirm === 'function') {
+      return Boolean(await this.api.confirm(summary, preview));
+    }
+    
+    // Directories and archives list their files instead of a diff
+    const detail = directory || preview.mode === 'extract'
+      ? [...preview.listing, ...(preview.more > 0 ? [`... ${preview.more} more files`] : [])].join('\n')
+      : preview.diff;
+    const lines = detail.split('\n');
+    const shown = lines.length > MAX_PREVIEW_LINES
+      ? [...lines.slice(0, MAX_PREVIEW_LINES), `... ${lines.length - MAX_PREVIEW_LINES} more lines`]
+      : lines;
+    return window.confirm(detail ? `${summary}\n\n${shown.join('\n')}` : summary);
+  }
+
+  /**
+   * Tells the user which files a directory watch saw change
+   * Uses the host's notify function when the API provides one, otherwise a browser notification
+   * @private
+   * @param {object} notification - The watched directory and its batch of changes
+   */
+  _notifyChanges(notification) {
+    const { changes } = notification;
+    const listed = changes.slice(0, 5).map(change => `${change.path} (${change.type})`).join(', ');
+    const message = `${changes.length} file${changes.length === 1 ? '' : 's'} changed in ${notification.directory}: ${listed}${changes.length > 5 ? ', …' : ''}`;
+    logger.info(message);
+    
+    if (typeof this.api?.notify === 'function') {
+      this.api.notify(message, notification);
+    } else if (typeof Notification === 'function' && Notification.permission === 'granted') {
+      new Notification(this.name, { body: message });
+    }
+  }
+
+  /**
+   * Reads a setting that must be one of a few choices, falling back to a default
+   * @private
+   */
+  _choiceSetting(name, choices, defaultValue) {
+    const value = String(this.userSettings[name] ?? '').trim().toLowerCase();
+    if (!value) {
+      return defaultValue;
+    }
+    if (!choices.includes(value)) {
+      logger.warn(`Ignoring invalid ${name} setting "${this.userSettings[name]}", expected one of: ${choices.join(', ')}`);
+      return defaultValue;
+    }
+    return value;
+  }
+
+  /**
+   * Applies a setting changed at runtime
+   * @private
+   * @returns {boolean} Whether the setting is one that can be changed at runtime
+   */
+  _applyRuntimeSetting(key, value) {
+    if (key === 'debugLevel' && LOG_LEVELS.includes(value)) {
+      logger.setLevel(value);
+      this.debugMode = logger.debugEnabled;
+      this.runtimeSettings.set(key, value);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Applies a setting changed by a command and saves it for the next session
+   * Going back to the configured value forgets the saved change
+   * @private
+   */
+  async _saveRuntimeSetting(key, value, configuredValue) {
+    this._applyRuntimeSetting(key, value);
+    
+    try {
+      if (value === configuredValue) {
+        this.runtimeSettings.delete(key);
+        await this.fileManager.deleteSavedSetting(key);
+      } else {
+        await this.fileManager.saveSetting(key, value, this.userSettings[key] ?? null);
+      }
+    } catch (error) {
+      logger.warn(`Could not save the ${key} setting, it will reset when the plugin reloads:`, error);
+    }
+  }
+
+  /**
+   * Re-applies settings saved by commands in earlier sessions
+   * A saved change is dropped once the plugin setting it overrode has been edited,
+   * so the newer plugin setting wins
+   * @private
+   */
+  async _restoreSavedSettings() {
+    try {
+      for (const record of await this.fileManager.getSavedSettings()) {
+        if (!RUNTIME_SETTINGS.includes(record.key)) {
+          continue;
+        }
+        if (record.setting !== (this.userSettings[record.key] ?? null)) {
+          await this.fileManager.deleteSavedSetting(record.key);
+        } else if (this._applyRuntimeSetting(record.key, record.value)) {
+          logger.debug('Restored saved setting:', record.key, record.value);
+        }
+      }
+    } catch (error) {
+      logger.warn('Could not restore saved settings:', error);
+    }
+  }
+
+  /**
+   * Initialize the plugin with TypingMind
+   * @param {object} api - The TypingMind plugin API
+   * @param {object} userSettings - Values of the settings declared in plugin.json
+   */
+  initialize(api, userSettings = api?.userSettings || {}) {
+    logger.info('Initializing File Access Plugin');
+    this.api = api;
+    this.userSettings = userSettings || {};
+    
+    // Log only messages at or above the configured level
+    logger.setLevel(this._choiceSetting('debugLevel', LOG_LEVELS, 'info'));
+    this.debugMode = logger.debugEnabled;
+    
+    // Files larger than this are read in pages, and only allowed extensions can be read
+    const maxFileSizeMB = parseNumberArg(this.userSettings.maxFileSizeMB, 10);
+    this.fileManager.maxFileSize = (maxFileSizeMB > 0 ? maxFileSizeMB : 10) * 1024 * 1024;
+    const extensions = parsePatternSetting(this.userSettings.allowedExtensions)
+      .map(extension => extension.replace(/^\*?\./, '').toLowerCase());
+    this.fileManager.allowedExtensions = extensions.length > 0 ? extensions : null;
+    
+    // Where the file and directory pickers open
+    this.fileManager.baseDirectory = this._choiceSetting('baseDirectory', PICKER_START_DIRECTORIES, 'documents');
+    
+    // Which storage requestDirectoryAccess opens: a picked folder, the private file system or memory
+    this.fileManager.storageBackend = this._choiceSetting('storageBackend', STORAGE_BACKEND_CHOICES, 'auto');
+    this.fileManager.snapshotWrites = this._choiceSetting('snapshotWrites', SNAPSHOT_WRITE_MODES, 'download');
+    
+    // Apply the allow/deny path policy
+    pathPolicy.configure({
+      allow: this.userSettings.pathAllow,
+      deny: this.userSettings.pathDeny,
+      rules: this.userSettings.pathRules,
+      useDefaultDenies: this.userSettings.useDefaultPathDenies,
+    });
+    
+    // Honour .gitignore and .ignore files unless disabled
+    this.fileManager.respectIgnoreFiles = parseBooleanArg(this.userSettings.respectIgnoreFiles, true);
+    this.fileManager.ignorePatterns = parsePatternSetting(this.userSettings.ignorePatterns);
+    
+    // Retention limits for the write history
+    this.fileManager.historyMaxVersions = parseNumberArg(this.userSettings.historyMaxVersions, 20);
+    this.fileManager.historyMaxBytes = parseNumberArg(this.userSettings.historyMaxSizeMB, 50) * 1024 * 1024;
+    
+    // Retention limits for the audit log
+    this.fileManager.auditMaxEntries = parseNumberArg(this.userSettings.auditMaxEntries, 10000);
+    this.fileManager.auditMaxAge = parseNumberArg(this.userSettings.auditMaxAgeDays, 90) * 24 * 60 * 60 * 1000;
+    
+    // Ask the user before writing, unless a stored directory overrides this
+    this.fileManager.confirmWrites = parseBooleanArg(this.userSettings.confirmWrites, false);
+    this.fileManager.confirmWrite = (preview) => this._confirmWrite(preview);
+    
+    // Report changes seen by watchDirectory
+    this.fileManager.onChanges = (notification) => this._notifyChanges(notification);
+    
+    // Settings changed by commands, such as toggleFileDebug, outlive a reload
+    this.savedSettingsRestored = this._restoreSavedSettings();
+    
+    // Pick up where the previous session left off
+    this.sessionRestored = this._restoreSession();
+    
+    // Register commands
+    this.api.registerCommand('readFile', this.readFile, 'Read a file from your local system');
+    this.api.registerCommand('writeFile', this.writeFile, 'Write content to a local file');
+    this.api.registerCommand('editFile', this.editFile, 'Apply search/replace edits or a unified diff to a file');
+    this.api.registerCommand('deleteFile', this.deleteFile, 'Delete a file');
+    this.api.registerCommand('moveFile', this.moveFile, 'Move or rename a file or directory');
+    this.api.registerCommand('copyFile', this.copyFile, 'Copy a file or directory');
+    this.api.registerCommand('exportZip', this.exportZip, 'Bundle a directory or matching files into a ZIP archive');
+    this.api.registerCommand('extractZip', this.extractZip, 'Unpack a ZIP archive into a directory');
+    this.api.registerCommand('downloadChanges', this.downloadChanges, 'Download the files written to a folder snapshot as a ZIP');
+    this.api.registerCommand('createDirectory', this.createDirectory, 'Create a directory');
+    this.api.registerCommand('deleteDirectory', this.deleteDirectory, 'Delete a directory');
+    this.api.registerCommand('listFiles', this.listFiles, 'List files in a directory');
+    this.api.registerCommand('directoryStats', this.directoryStats, 'Summarise the size and contents of a directory');
+    this.api.registerCommand('watchDirectory', this.watchDirectory, 'Watch a directory and get notified when files change');
+    this.api.registerCommand('changesSince', this.changesSince, 'List files added, removed or modified since the last check or a checkpoint');
+    this.api.registerCommand('deleteCheckpoint', this.deleteCheckpoint, 'Delete a change-tracking checkpoint');
+    this.api.registerCommand('searchFiles', this.searchFiles, 'Search file contents for text or a regular expression');
+    this.api.registerCommand('queryFile', this.queryFile, 'Filter, sort and summarise the rows of a CSV, TSV, JSON or NDJSON file');
+    this.api.registerCommand('toggleFileDebug', this.toggleDebug, 'Toggle debug mode for file plugin');
+    this.api.registerCommand('showFileSettings', this.showFileSettings, 'Show the effective settings of the file plugin');
+    this.api.registerCommand('requestDirectoryAccess', this.requestDirectoryAccess, 'Request access to a directory');
+    this.api.registerCommand('listDirectories', this.listDirectories, 'List all stored directories');
+    this.api.registerCommand('switchDirectory', this.switchDirectory, 'Switch to a different stored directory');
+    this.api.registerCommand('removeDirectory', this.removeDirectory, 'Remove a stored directory');
+    this.api.registerCommand('showFileActivity', this.showFileActivity, 'Show the audit log of file operations');
+    this.api.registerCommand('exportFileActivity', this.exportFileActivity, 'Export the audit log of file operations as JSON or CSV');
+    this.api.registerCommand('fileHistory', this.fileHistory, 'List the saved previous versions of a file');
+    this.api.registerCommand('restoreVersion', this.restoreVersion, 'Restore a file to a saved previous version');
+    this.api.registerCommand('undoLastWrite', this.undoLastWrite, 'Undo the most recent write made by the plugin');
+    this.api.registerCommand('mountDirectory', this.mountDirectory, 'Mount a stored directory under an alias for alias:path addressing');
+    this.api.registerCommand('unmountDirectory', this.unmountDirectory, 'Unmount an aliased directory');
+    this.api.registerCommand('renameDirectory', this.renameDirectory, 'Rename a stored directory');
+    this.api.registerCommand('setDirectoryInfo', this.setDirectoryInfo, 'Set the tags and notes of a stored directory');
+    
+    logger.info('File Access Plugin initialized successfully');
+    return true;
+  }
+
+  /**
+   * Handle commands from TypingMind
+   */
+  onCommand(command, args) {
+    logger.debug('Command received:', command, args);
+    
+    switch (command) {
+      case 'readFile':
+        return this.readFile(args);
+      case 'writeFile':
+        return this.writeFile(args);
+      case 'editFile':
+        return this.editFile(args);
+      case 'deleteFile':
+        return this.deleteFile(args);
+      case 'moveFile':
+        return this.moveFile(args);
+      case 'copyFile':
+        return this.copyFile(args);
+      case 'exportZip':
+        return this.exportZip(args);
+      case 'extractZip':
+        return this.extractZip(args);
+      case 'downloadChanges':
+        return this.downloadChanges(args);
+      case 'createDirectory':
+        return this.createDirectory(args);
+      case 'deleteDirectory':
+        return this.deleteDirectory(args);
+      case 'listFiles':
+        return this.listFiles(args);
+      case 'directoryStats':
+        return this.directoryStats(args);
+      case 'watchDirectory':
+        return this.watchDirectory(args);
+      case 'changesSince':
+        return this.changesSince(args);
+      case 'deleteCheckpoint':
+        return this.deleteCheckpoint(args);
+      case 'searchFiles':
+        return this.searchFiles(args);
+      case 'queryFile':
+        return this.queryFile(args);
+      case 'toggleFileDebug':
+        return this.toggleDebug();
+      case 'showFileSettings':
+        return this.showFileSettings();
+      case 'requestDirectoryAccess':
+        return this.requestDirectoryAccess(args);
+      case 'listDirectories':
+        return this.listDirectories(args);
+      case 'switchDirectory':
+        return this.switchDirectory(args);
+      case 'removeDirectory':
+        return this.removeDirectory(args);
+      case 'showFileActivity':
+        return this.showFileActivity(args);
+      case 'exportFileActivity':
+        return this.exportFileActivity(args);
+      case 'fileHistory':
+        return this.fileHistory(args);
+      case 'restoreVersion':
+        return this.restoreVersion(args);
+      case 'undoLastWrite':
+        return this.undoLastWrite(args);
+      case 'mountDirectory':
+        return this.mountDirectory(args);
+      case 'unmountDirectory':
+        return this.unmountDirectory(args);
+      case 'renameDirectory':
+        return this.renameDirectory(args);
+      case 'setDirectoryInfo':
+        return this.setDirectoryInfo(args);
+      default:
+        logger.error('Unknown command:', command);
+        return { error: `Unknown command: ${command}` };
+    }
+  }
+
+  /**
+   * Request access to a directory
+   */
+  async requestDirectoryAccess(args) {
+    try {
+      logger.debug('Request directory access command with args:', args);
+      
+      const backend = args?.backend ? String(args.backend).trim().toLowerCase() : undefined;
+      if (backend && !STORAGE_BACKEND_CHOICES.includes(backend)) {
+        return {
+          error: true,
+          message: `Invalid backend "${args.backend}", expected one of: ${STORAGE_BACKEND_CHOICES.join(', ')}`,
+        };
+      }
+      
+      const mode = args?.mode === undefined ? 'readwrite' : String(args.mode).trim().toLowerCase();
+      if (!ACCESS_MODES.includes(mode)) {
+        return {
+          error: true,
+          message: `Invalid mode "${args.mode}", expected one of: ${ACCESS_MODES.join(', ')}`,
+        };
+      }
+      
+      const result = await this.fileManager.requestDirectoryAccess(mode, {
+        backend,
+        workspace: args?.workspace ? String(args.workspace).trim() : undefined,
+      });
+      
+      if (result.success) {
+        return {
+          success: true,
+          id: result.id,
+          directory: result.directory,
+          mode: result.mode,
+          backend: result.backend,
+          reused: result.reused,
+          message: result.backend === 'memory'
+            ? `${result.message}. Its files are kept in memory and are lost when the page is reloaded.`
+            : result.backend === 'snapshot'
+              ? `${result.message}. This browser cannot write to folders, so this is a static, read-only copy: ` +
+                'later changes to the folder are not seen, writeFile and editFile offer their result as downloads ' +
+                'and other changes are refused. Import the folder again to refresh it.'
+              : result.message,
+        };
+      } else {
+        return {
+          error: true,
+          message: result.message,
+        };
+      }
+    } catch (error) {
+      logger.error('Error in requestDirectoryAccess command:', error);
+      return {
+        error: true,
+        message: `Failed to request directory access: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Read a file and return its contents
+   */
+  async readFile(args) {
+    try {
+      logger.debug('Read file command with args:', args);
+      
+      // If no path provided, show file picker
+      const path = args?.path || '';
+      const root = this.fileManager.resolveRoot(path);
+      const result = await root.manager.readFile(root.path, {
+        startLine: parseNumberArg(args?.startLine),
+        endLine: parseNumberArg(args?.endLine),
+        offset: parseNumberArg(args?.offset),
+        length: parseNumberArg(args?.length),
+        cursor: args?.cursor,
+        lineNumbers: parseBooleanArg(args?.lineNumbers),
+        format: args?.format,
+        structured: parseBooleanArg(args?.structured),
+      });
+      
+      const response = {
+        type: 'file',
+        content: result.content,
+        name: result.name,
+        size: result.size,
+        mimeType: result.mimeType,
+        encoding: result.encoding,
+        lastModified: result.lastModified,
+        totalBytes: result.totalBytes,
+      };
+      
+      if (result.totalLines !== undefined) {
+        response.totalLines = result.totalLines;
+      }
+      
+      for (const key of ['hash', 'format', 'parts', 'paragraphs', 'sheets', 'slides', 'startLine', 'endLine', 'offset', 'length', 'hasMore', 'nextCursor', 'nextStartLine']) {
+        if (result[key] !== undefined && result[key] !== null) {
+          response[key] = result[key];
+        }
+      }
+      
+      const label = path ? `"${path}"` : `"${result.name}"`;
+      if (result.format === 'text') {
+        const [[unit, count]] = Object.entries(result.parts);
+        response.message = `Extracted text from ${label}: ${count} ${count === 1 ? unit.slice(0, -1) : unit}.`;
+      } else if (result.startLine !== undefined && result.endLine !== undefined) {
+        response.message = `Read lines ${result.startLine}-${result.endLine} of ${result.totalLines} from ${label}.`;
+      } else if (result.offset !== undefined) {
+        response.message = `Read bytes ${result.offset}-${result.offset + result.length} of ${result.totalBytes} from ${label}.`;
+      } else {
+        response.message = `File ${label} read successfully.`;
+      }
+      
+      if (result.hasMore) {
+        response.message += result.nextCursor
+          ? ' More content is available, pass nextCursor as cursor to continue.'
+          : ` More content is available, continue from startLine ${result.nextStartLine}.`;
+      }
+      
+      return response;
+    } catch (error) {
+      logger.error('Error in readFile command:', error);
+      return {
+        error: true,
+        message: `Failed to read file: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Write content to a file
+   */
+  async writeFile(args) {
+    try {
+      logger.debug('Write file command with args:', args);
+      
+      if (!args || !args.content) {
+        return {
+          error: true,
+          message: 'No content provided for writing',
+        };
+      }
+      
+      const path = args.path || '';
+      const root = this.fileManager.resolveRoot(path);
+      const result = await root.manager.writeFile(root.path, args.content, {
+        mode: args.mode,
+        encoding: args.encoding,
+        expectedLastModified: parseNumberArg(args.expectedLastModified),
+        expectedHash: args.expectedHash,
+      });
+      
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          approval: result.approval,
+          message: `The user rejected the write to "${path}", the file was not changed.`,
+        };
+      }
+      
+      if (result.delivery) {
+        return {
+          success: true,
+          approval: result.approval,
+          mode: result.mode,
+          bytesWritten: result.bytesWritten,
+          size: result.size,
+          delivery: result.delivery,
+          changedFiles: result.changedFiles,
+          message: this._snapshotWriteNotice(path, result),
+        };
+      }
+      
+      return {
+        success: true,
+        approval: result.approval,
+        mode: result.mode,
+        bytesWritten: result.bytesWritten,
+        size: result.size,
+        lastModified: result.lastModified,
+        message: `File ${path ? `"${path}" ` : ''}${result.mode === 'append' ? 'appended to' : 'written'} successfully` +
+          `${typeof args.content === 'string' && !args.encoding ? '' : ` (${formatFileSize(result.bytesWritten)})`}` +
+          `${result.approval === 'approved' ? ' after user approval' : ''}.`,
+      };
+    } catch (error) {
+      logger.error('Error in writeFile command:', error);
+      return {
+        error: true,
+        message: `Failed to write file: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Apply search/replace edits or a unified diff to a file
+   */
+  async editFile(args) {
+    try {
+      logger.debug('Edit file command with args:', args);
+      
+      if (!args || !args.path) {
+        return {
+          error: true,
+          message: 'No file path provided',
+        };
+      }
+      
+      let edits = args.edits;
+      if (typeof edits === 'string') {
+        try {
+          edits = JSON.parse(edits);
+        } catch (error) {
+          return {
+            error: true,
+            message: `Invalid edits, expected a JSON array: ${error.message}`,
+          };
+        }
+      }
+      
+      if (!edits && typeof args.search === 'string') {
+        edits = [{
+          search: args.search,
+          replace: args.replace ?? '',
+          replaceAll: parseBooleanArg(args.replaceAll),
+        }];
+      }
+      
+      if (edits && !Array.isArray(edits)) {
+        edits = [edits];
+      }
+      
+      const root = this.fileManager.resolveRoot(args.path);
+      const result = await root.manager.editFile(root.path, { edits, diff: args.diff });
+      const unit = args.diff ? 'hunk' : 'edit';
+      
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          changed: false,
+          approval: result.approval,
+          message: `The user rejected the edit to "${args.path}", the file was not changed.`,
+        };
+      }
+      
+      return {
+        success: true,
+        changed: result.changed,
+        approval: result.approval,
+        applied: result.applied,
+        size: result.size,
+        ...(result.delivery ? { delivery: result.delivery, changedFiles: result.changedFiles } : {}),
+        message: !result.changed
+          ? `No changes made to "${args.path}", the edits left the content unchanged.`
+          : result.delivery
+            ? `Applied ${result.applied} ${unit}${result.applied === 1 ? '' : 's'}. ${this._snapshotWriteNotice(args.path, result)}`
+            : `Applied ${result.applied} ${unit}${result.applied === 1 ? '' : 's'} to "${args.path}".`,
+      };
+    } catch (error) {
+      logger.error('Error in editFile command:', error);
+      return {
+        error: true,
+        message: `Failed to edit file: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Delete a file
+   */
+  async deleteFile(args) {
+    try {
+      logger.debug('Delete file command with args:', args);
+      
+      if (!args || !args.path) {
+        return {
+          error: true,
+          message: 'No file path provided',
+        };
+      }
+      
+      const root = this.fileManager.resolveRoot(args.path);
+      if (!await root.manager.deleteFile(root.path)) {
+        return {
+          success: false,
+          approval: 'rejected',
+          message: `The user rejected deleting "${args.path}", the file was not deleted.`,
+        };
+      }
+      
+      return {
+        success: true,
+        message: `File "${args.path}" deleted.`,
+      };
+    } catch (error) {
+      logger.error('Error in deleteFile command:', error);
+      return {
+        error: true,
+        message: `Failed to delete file: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Move or rename a file or directory
+   */
+  async moveFile(args) {
+    try {
+      logger.debug('Move file command with args:', args);
+      
+      const source = args?.source || args?.path;
+      if (!source || !args.destination) {
+        return {
+          error: true,
+          message: 'Both source and destination paths are required',
+        };
+      }
+      
+      const result = await this.fileManager.moveFile(source, args.destination, parseBooleanArg(args.overwrite));
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          approval: result.approval,
+          message: `The user rejected replacing "${result.destination}", nothing was moved.`,
+        };
+      }
+      
+      return {
+        success: true,
+        destination: result.destination,
+        message: `Moved "${source}" to "${result.destination}".`,
+      };
+    } catch (error) {
+      logger.error('Error in moveFile command:', error);
+      return {
+        error: true,
+        message: `Failed to move: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Copy a file or directory
+   */
+  async copyFile(args) {
+    try {
+      logger.debug('Copy file command with args:', args);
+      
+      const source = args?.source || args?.path;
+      if (!source || !args.destination) {
+        return {
+          error: true,
+          message: 'Both source and destination paths are required',
+        };
+      }
+      
+      const result = await this.fileManager.copyFile(source, args.destination, parseBooleanArg(args.overwrite));
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          approval: result.approval,
+          message: `The user rejected replacing "${result.destination}", nothing was copied.`,
+        };
+      }
+      
+      return {
+        success: true,
+        destination: result.destination,
+        files: result.files,
+        message: `Copied "${source}" to "${result.destination}" (${result.files} file${result.files === 1 ? '' : 's'}).`,
+      };
+    } catch (error) {
+      logger.error('Error in copyFile command:', error);
+      return {
+        error: true,
+        message: `Failed to copy: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Bundle a directory or a glob selection into a ZIP archive
+   */
+  async exportZip(args) {
+    try {
+      logger.debug('Export ZIP command with args:', args);
+      
+      const directory = args?.directory || args?.path || '';
+      const root = this.fileManager.resolveRoot(directory);
+      let destination = null;
+      if (args?.destination) {
+        const target = this.fileManager.resolveRoot(args.destination);
+        if (target.manager !== root.manager) {
+          return {
+            error: true,
+            message: 'The archive must be written to the same directory root it bundles',
+          };
+        }
+        destination = target.path;
+      }
+      
+      const result = await root.manager.exportZip(root.path, {
+        destination,
+        overwrite: parseBooleanArg(args?.overwrite),
+        include: args?.include,
+        exclude: args?.exclude,
+        respectIgnoreFiles: args?.gitignore === undefined ? undefined : parseBooleanArg(args.gitignore),
+      });
+      
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          approval: result.approval,
+          message: `Writing "${args.destination}" was rejected, no archive was written.`,
+        };
+      }
+      
+      const target = destination ? withRootAlias(root.alias, result.destination) : result.destination;
+      return {
+        success: true,
+        ...result,
+        destination: target,
+        message: `Exported ${result.files} file${result.files === 1 ? '' : 's'} (${formatFileSize(result.bytes)}) ` +
+          `to ${!destination && result.delivery === 'download' ? 'the download ' : ''}"${target}", ${formatFileSize(result.size)} compressed` +
+          `${result.ignored ? `, skipped ${result.ignored} ignored entries` : ''}.` +
+          `${destination && result.delivery ? ` ${this._snapshotWriteNotice(target, result)}` : ''}`,
+      };
+    } catch (error) {
+      logger.error('Error in exportZip command:', error);
+      return {
+        error: true,
+        message: `Failed to export ZIP archive: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Unpack a ZIP archive into a directory
+   */
+  async extractZip(args) {
+    try {
+      logger.debug('Extract ZIP command with args:', args);
+      
+      const path = args?.path || args?.source;
+      if (!path) {
+        return {
+          error: true,
+          message: 'No archive path provided',
+        };
+      }
+      
+      // By default the archive is unpacked next to itself, into a folder named after it
+      const root = this.fileManager.resolveRoot(path);
+      const target = this.fileManager.resolveRoot(args.destination || withRootAlias(root.alias, root.path.replace(/\.zip$/i, '')));
+      if (target.manager !== root.manager) {
+        return {
+          error: true,
+          message: 'The archive must be extracted into the same directory root it is in',
+        };
+      }
+      if (target.path === root.path) {
+        return {
+          error: true,
+          message: 'Give a destination directory to extract the archive into',
+        };
+      }
+      
+      const result = await root.manager.extractZip(root.path, target.path, {
+        overwrite: parseBooleanArg(args.overwrite),
+      });
+      const destination = withRootAlias(root.alias, result.destination);
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          approval: result.approval,
+          message: `The user rejected extracting "${path}" into "${destination}", nothing was extracted.`,
+        };
+      }
+      
+      return {
+        success: true,
+        ...result,
+        destination,
+        message: `Extracted ${result.files} file${result.files === 1 ? '' : 's'} (${formatFileSize(result.bytesWritten)}) ` +
+          `from "${path}" into "${destination}".`,
+      };
+    } catch (error) {
+      logger.error('Error in extractZip command:', error);
+      return {
+        error: true,
+        message: `Failed to extract ZIP archive: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Download the files written to a folder snapshot as one ZIP archive
+   */
+  async downloadChanges(args) {
+    try {
+      logger.debug('Download changes command with args:', args);
+      
+      const result = await this.fileManager.downloadSnapshotChanges({ clear: parseBooleanArg(args?.clear, false) });
+      
+      return {
+        success: true,
+        ...result,
+        message: `Offered ${result.files} changed file${result.files === 1 ? '' : 's'} as the download "${result.fileName}" ` +
+          `(${formatFileSize(result.size)})${result.cleared ? ', and forgot them' : ''}.`,
+      };
+    } catch (error) {
+      logger.error('Error in downloadChanges command:', error);
+      return {
+        error: true,
+        message: `Failed to download changes: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Create a directory
+   */
+  async createDirectory(args) {
+    try {
+      logger.debug('Create directory command with args:', args);
+      
+      const path = args?.path || args?.directory;
+      if (!path) {
+        return {
+          error: true,
+          message: 'No directory path provided',
+        };
+      }
+      
+      const root = this.fileManager.resolveRoot(path);
+      const result = await root.manager.createDirectory(root.path);
+      
+      return {
+        success: true,
+        created: result.created,
+        message: result.created ? `Directory "${path}" created.` : `Directory "${path}" already exists.`,
+      };
+    } catch (error) {
+      logger.error('Error in createDirectory command:', error);
+      return {
+        error: true,
+        message: `Failed to create directory: ${error.message}`,
+      };
+    }
   }
 
   /**
-   * Request permission to access a directory
-   * @returns {Promise<object>} Result of the permission request
+   * Delete a directory
    */
-  async requestDirectoryAccess() {
+  async deleteDirectory(args) {
     try {
-      const granted = await this.directoryManager.requestDirectoryPermission();
+      logger.debug('Delete directory command with args:', args);
       
-      if (granted) {
-        const dirName = this.directoryManager.getRootDirectoryName();
+      const path = args?.path || args?.directory;
+      if (!path) {
         return {
-          success: true,
-          directory: dirName,
-          message: `Access granted to directory: ${dirName}`,
+          error: true,
+          message: 'No directory path provided',
         };
-      } else {
+      }
+      
+      const root = this.fileManager.resolveRoot(path);
+      if (!await root.manager.deleteDirectory(root.path, parseBooleanArg(args.recursive))) {
         return {
           success: false,
-          message: 'Directory access was denied',
+          approval: 'rejected',
+          message: `The user rejected deleting "${path}", the directory was not deleted.`,
         };
       }
+      
+      return {
+        success: true,
+        message: `Directory "${path}" deleted.`,
+      };
     } catch (error) {
-      logger.error('Error requesting directory access:', error);
+      logger.error('Error in deleteDirectory command:', error);
       return {
         error: true,
-        message: `Failed to request directory access: ${error.message}`,
+        message: `Failed to delete directory: ${error.message}`,
       };
     }
   }
 
   /**
-   * Resolves a relative path against the base directory
-   * @private
+   * List files in a directory
    */
-  _resolvePath(relativePath) {
-    // Validate the path before resolving
-    validateFilePath(relativePath, this.directoryManager.hasPermission());
-    
-    // Combine base directory with relative path
-    const fullPath = this.baseDirectory 
-      ? `${this.baseDirectory}/${relativePath}`.replace(/\/+/g, '/')
-      : relativePath;
+  async listFiles(args) {
+    try {
+      logger.debug('List files command with args:', args);
       
-    logger.debug('Resolved path:', fullPath);
-    return fullPath;
+      const directory = args?.directory || '';
+      const format = args?.format === 'tree' ? 'tree' : 'list';
+      const root = this.fileManager.resolveRoot(directory);
+      const { files, truncated, ignored } = await root.manager.listFiles(root.path, {
+        recursive: parseBooleanArg(args?.recursive),
+        maxDepth: parseNumberArg(args?.maxDepth),
+        include: args?.include,
+        exclude: args?.exclude,
+        respectIgnoreFiles: args?.gitignore === undefined ? undefined : parseBooleanArg(args.gitignore),
+      });
+
+      // Paths inside a mounted root keep its alias, so they can be passed straight back
+      if (root.alias) {
+        files.forEach(file => { file.path = withRootAlias(root.alias, file.path); });
+      }
+
+      // Add information about directory access
+      const hasDirectoryAccess = root.manager.hasDirectoryPermission();
+      const rootDirectory = hasDirectoryAccess ? root.manager.getRootDirectoryName() : null;
+      const location = directory || (hasDirectoryAccess ? rootDirectory : 'selected directory');
+
+      const result = {
+        type: 'fileList',
+        directory,
+        hasDirectoryAccess,
+        rootDirectory,
+        truncated,
+        ignored,
+        message: `Listed ${files.length} entries in ${location}${truncated ? ` (truncated at ${MAX_LIST_ENTRIES} entries)` : ''}` +
+          `${ignored ? `, skipped ${ignored} ignored entries` : ''}.`,
+      };
+
+      if (format === 'tree') {
+        result.tree = formatFileTree(files);
+      } else {
+        result.files = files;
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Error in listFiles command:', error);
+      return {
+        error: true,
+        message: `Failed to list files: ${error.message}`,
+      };
+    }
   }
 
   /**
-   * Lists files in a directory
+   * Summarise the size and contents of a directory
    */
-  async listFiles(directory = '') {
+  async directoryStats(args) {
     try {
-      logger.debug('Listing files in directory:', directory);
+      logger.debug('Directory stats command with args:', args);
       
-      // If we have directory permission, use it
-      if (this.directoryManager.hasPermission()) {
-        const dirHandle = await this.directoryManager.getDirectoryHandle(directory);
-        
-        const files = [];
-        for await (const entry of dirHandle.values()) {
-          files.push({
-            name: entry.name,
-            kind: entry.kind,
-            path: directory ? `${directory}/${entry.name}`.replace(/\/+/g, '/') : entry.name,
-          });
-        }
-        
-        logger.debug('Found files:', files);
-        return files;
-      } else {
-        // Fall back to the file picker
-        const dirPath = this._resolvePath(directory);
-        
-        // Use the File System Access API to get directory handle
-        const dirHandle = await window.showDirectoryPicker({
-          id: 'file-plugin-dir',
-          startIn: 'documents',
-        });
-        
-        const files = [];
-        for await (const entry of dirHandle.values()) {
-          files.push({
-            name: entry.name,
-            kind: entry.kind,
-            path: `${directory}/${entry.name}`.replace(/\/+/g, '/'),
-          });
+      const directory = args?.directory || '';
+      const root = this.fileManager.resolveRoot(directory);
+      const stats = await root.manager.directoryStats(root.path, {
+        top: parseNumberArg(args?.top),
+        maxDepth: parseNumberArg(args?.maxDepth),
+        include: args?.include,
+        exclude: args?.exclude,
+        respectIgnoreFiles: args?.gitignore === undefined ? undefined : parseBooleanArg(args.gitignore),
+      });
+      
+      if (root.alias) {
+        for (const entry of [...stats.largest, ...stats.recent, ...stats.deepest]) {
+          entry.path = withRootAlias(root.alias, entry.path);
         }
-        
-        logger.debug('Found files:', files);
-        return files;
       }
+      
+      const location = directory || root.manager.getRootDirectoryName();
+      const largestTypes = stats.byExtension.slice(0, 3).map(entry => `${entry.extension} ${entry.size}`).join(', ');
+      return {
+        type: 'directoryStats',
+        directory,
+        ...stats,
+        message: `${location} holds ${stats.totalFiles} files in ${stats.totalDirectories} directories, ${stats.totalSize} in total` +
+          `${largestTypes ? ` (largest by type: ${largestTypes})` : ''}` +
+          `${stats.truncated ? `, stopped after ${MAX_STATS_ENTRIES} entries` : ''}` +
+          `${stats.ignored ? `, skipped ${stats.ignored} ignored entries` : ''}.`,
+      };
     } catch (error) {
-      logger.error('Error listing files:', error);
-      throw new Error(`Failed to list files: ${error.message}`);
+      logger.error('Error in directoryStats command:', error);
+      return {
+        error: true,
+        message: `Failed to collect directory statistics: ${error.message}`,
+      };
     }
   }
 
   /**
-   * Reads a file and returns its contents
+   * Start or stop watching a directory for changes
    */
-  async readFile(filePath) {
+  async watchDirectory(args) {
     try {
-      logger.debug('Reading file:', filePath);
+      logger.debug('Watch directory command with args:', args);
       
-      let file;
+      const enabled = parseBooleanArg(args?.enabled, true);
+      const interval = parseNumberArg(args?.interval);
+      const root = this.fileManager.resolveRoot(args?.directory || '');
+      if (normalizeRelativePath(root.path)) {
+        return {
+          error: true,
+          message: `watchDirectory watches a whole directory, and "${args.directory}" is a folder inside one. Leave directory empty for the current directory, or pass a mounted directory as "alias:"`,
+        };
+      }
+      const result = await root.manager.watchDirectory(enabled, interval === undefined ? undefined : interval * 1000);
       
-      // If we have directory permission and a path, use it
-      if (this.directoryManager.hasPermission() && filePath) {
-        const fileHandle = await this.directoryManager.getFileHandle(filePath);
-        file = await fileHandle.getFile();
+      // Browser notifications need permission, asked for while the user is interacting
+      if (enabled && typeof this.api?.notify !== 'function' && typeof Notification === 'function' && Notification.permission === 'default') {
+        Notification.requestPermission().catch(error => logger.warn('Notification permission request failed:', error));
+      }
+      
+      let message;
+      if (result.mode === 'stopped') {
+        message = result.wasWatching ? `Stopped watching ${result.directory}.` : `${result.directory} was not being watched.`;
+      } else if (result.mode === 'observer') {
+        message = `Watching ${result.directory}, you will be notified as files change. Use changesSince to list the changes.`;
       } else {
-        // Fall back to the file picker
-        const fullPath = this._resolvePath(filePath);
-        
-        // Use File System Access API to get file handle
-        const fileHandle = await window.showOpenFilePicker({
-          id: 'file-plugin-read',
-          startIn: 'documents',
-        }).then(handles => handles[0]);
-        
-        // Get file information
-        file = await fileHandle.getFile();
+        message = `Watching ${result.directory} by checking for changes every ${result.interval / 1000} seconds, as this browser has no FileSystemObserver. Use changesSince to list the changes.`;
       }
       
-      // Check file size
-      if (file.size > this.maxFileSize) {
-        logger.error('File too large:', file.size);
-        throw new Error(`File size exceeds maximum allowed (${this.maxFileSize} bytes)`);
+      return {
+        success: true,
+        ...result,
+        message,
+      };
+    } catch (error) {
+      logger.error('Error in watchDirectory command:', error);
+      return {
+        error: true,
+        message: `Failed to watch directory: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * List the files changed since the last check or a named checkpoint
+   */
+  async changesSince(args) {
+    try {
+      logger.debug('Changes since command with args:', args);
+      
+      const root = this.fileManager.resolveRoot(args?.directory || '');
+      if (normalizeRelativePath(root.path)) {
+        return {
+          error: true,
+          message: `changesSince checks a whole directory, and "${args.directory}" is a folder inside one. Leave directory empty for the current directory, or pass a mounted directory as "alias:"`,
+        };
       }
+      const result = await root.manager.changesSince({
+        checkpoint: args?.checkpoint,
+        update: parseBooleanArg(args?.update),
+      });
       
-      // Check file extension if restrictions are set
-      if (this.allowedExtensions) {
-        const ext = file.name.split('.').pop().toLowerCase();
-        if (!this.allowedExtensions.includes(ext)) {
-          logger.error('File type not allowed:', ext);
-          throw new Error(`File type .${ext} is not allowed`);
+      if (root.alias) {
+        for (const entry of [...result.added, ...result.removed, ...result.modified]) {
+          entry.path = withRootAlias(root.alias, entry.path);
         }
       }
       
-      // Read file content based on type
-      let content;
-      if (isTextFile(file.name)) {
-        content = await file.text();
+      const location = root.manager.getRootDirectoryName();
+      let message;
+      if (result.created) {
+        message = result.checkpoint
+          ? `Created checkpoint "${result.checkpoint}" of ${result.fileCount} files in ${location}. Pass checkpoint="${result.checkpoint}" later to see what changed since now.`
+          : `Recorded ${result.fileCount} files in ${location}. The next changesSince call will report what changed.`;
       } else {
-        // For binary files, return a data URL
-        content = await new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = () => resolve(reader.result);
-          reader.readAsDataURL(file);
-        });
+        const { added, removed, modified } = result.counts;
+        const since = result.checkpoint ? `checkpoint "${result.checkpoint}" (${result.since})` : `the last check (${result.since})`;
+        message = added + removed + modified === 0
+          ? `No changes in ${location} since ${since}.`
+          : `${added} added, ${removed} removed and ${modified} modified files in ${location} since ${since}.`;
+        if (Math.max(added, removed, modified) > MAX_REPORTED_CHANGES) {
+          message += ` Only the first ${MAX_REPORTED_CHANGES} of each are listed.`;
+        }
+      }
+      if (result.truncated) {
+        message += ` Only the first ${MAX_STATS_ENTRIES} files are tracked.`;
       }
       
-      logger.debug('File read successfully, size:', file.size);
       return {
-        content,
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified,
+        type: 'changes',
+        ...result,
+        message,
       };
     } catch (error) {
-      logger.error('Error reading file:', error);
-      throw new Error(`Failed to read file: ${error.message}`);
+      logger.error('Error in changesSince command:', error);
+      return {
+        error: true,
+        message: `Failed to check for changes: ${error.message}`,
+      };
     }
   }
 
   /**
-   * Writes content to a file
+   * Delete a named change-tracking checkpoint
    */
-  async writeFile(filePath, content) {
+  async deleteCheckpoint(args) {
     try {
-      logger.debug('Writing to file:', filePath);
+      if (!args || !args.checkpoint) {
+        return {
+          error: true,
+          message: 'No checkpoint name provided',
+        };
+      }
       
-      let fileHandle;
+      const root = this.fileManager.resolveRoot(args.directory || '');
+      await root.manager.deleteCheckpoint(args.checkpoint);
+      return {
+        success: true,
+        checkpoint: args.checkpoint,
+        message: `Checkpoint "${args.checkpoint}" deleted.`,
+      };
+    } catch (error) {
+      logger.error('Error in deleteCheckpoint command:', error);
+      return {
+        error: true,
+        message: `Failed to delete checkpoint: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Search file contents under the selected directory
+   */
+  async searchFiles(args) {
+    try {
+      logger.debug('Search files command with args:', args);
+
+      if (!args || !args.query) {
+        return {
+          error: true,
+          message: 'No search query provided',
+        };
+      }
+
+      const root = this.fileManager.resolveRoot(args.directory || '');
+      const result = await root.manager.searchFiles(args.query, {
+        directory: root.path,
+        regex: parseBooleanArg(args.regex),
+        caseSensitive: parseBooleanArg(args.caseSensitive),
+        contextLines: parseNumberArg(args.contextLines),
+        maxResults: parseNumberArg(args.maxResults),
+        include: args.include,
+        exclude: args.exclude,
+        respectIgnoreFiles: args.gitignore === undefined ? undefined : parseBooleanArg(args.gitignore),
+      });
+
+      return {
+        type: 'searchResults',
+        query: args.query,
+        matches: root.alias
+          ? result.matches.map(match => ({ ...match, path: withRootAlias(root.alias, match.path) }))
+          : result.matches,
+        filesSearched: result.filesSearched,
+        filesSkipped: result.filesSkipped,
+        truncated: result.truncated,
+        ignored: result.ignored,
+        message: `Found ${result.matches.length} matches in ${result.filesSearched} files${result.truncated ? ' (results truncated)' : ''}` +
+          `${result.ignored ? `, skipped ${result.ignored} ignored entries` : ''}.`,
+      };
+    } catch (error) {
+      logger.error('Error in searchFiles command:', error);
+      return {
+        error: true,
+        message: `Failed to search files: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Query rows of a CSV, TSV, JSON or NDJSON file
+   */
+  async queryFile(args) {
+    try {
+      logger.debug('Query file command with args:', args);
       
-      // If we have directory permission and a path, use it
-      if (this.directoryManager.hasPermission() && filePath) {
-        fileHandle = await this.directoryManager.createFileHandle(filePath);
-      } else {
-        // Fall back to the file picker
-        const fullPath = this._resolvePath(filePath);
-        
-        // Use File System Access API to get file handle for writing
-        fileHandle = await window.showSaveFilePicker({
-          id: 'file-plugin-write',
-          suggestedName: filePath.split('/').pop(),
-          startIn: 'documents',
-        });
+      if (!args || !args.path) {
+        return {
+          error: true,
+          message: 'No file path provided',
+        };
       }
       
-      // Create a writable stream
-      const writable = await fileHandle.createWritable();
+      // Filters arrive as a JSON array, or as "&&"-separated strings such as "age >= 30 && city = Paris"
+      let filters = args.filters || [];
+      if (typeof filters === 'string') {
+        if (filters.trim().startsWith('[')) {
+          try {
+            filters = JSON.parse(filters);
+          } catch (error) {
+            return {
+              error: true,
+              message: `Invalid filters, expected a JSON array: ${error.message}`,
+            };
+          }
+        } else {
+          filters = filters.split('&&').filter(filter => filter.trim());
+        }
+      }
+      if (!Array.isArray(filters)) {
+        filters = [filters];
+      }
       
-      // Write the content
-      await writable.write(content);
+      const root = this.fileManager.resolveRoot(args.path);
+      const result = await root.manager.queryFile(root.path, {
+        columns: parsePatternSetting(args.columns),
+        filters,
+        sort: args.sort,
+        limit: parseNumberArg(args.limit),
+        offset: parseNumberArg(args.offset),
+        stats: parseBooleanArg(args.stats),
+        header: args.header === undefined ? undefined : parseBooleanArg(args.header),
+        delimiter: args.delimiter,
+        select: args.select,
+        format: args.format,
+      });
       
-      // Close the file
-      await writable.close();
+      let message;
+      if ('value' in result || result.truncated) {
+        message = `Selected ${args.select ? `"${args.select}"` : 'the document'} from "${args.path}"` +
+          `${result.truncated ? ', truncated because it is too large. Narrow it with select' : ''}.`;
+      } else {
+        const returned = result.returned ?? result.rows.length;
+        message = `Returned ${returned} of ${result.matched ?? 'at least ' + (returned + 1)} matching rows` +
+          ` (${result.scanned} scanned) from "${args.path}".`;
+        if (result.hasMore) {
+          message += ` More rows match, pass offset=${(parseNumberArg(args.offset) || 0) + returned} to continue.`;
+        }
+      }
       
-      logger.debug('File written successfully');
-      return true;
+      return {
+        type: 'queryResult',
+        path: args.path,
+        ...result,
+        message,
+      };
     } catch (error) {
-      logger.error('Error writing file:', error);
-      throw new Error(`Failed to write file: ${error.message}`);
+      logger.error('Error in queryFile command:', error);
+      return {
+        error: true,
+        message: `Failed to query file: ${error.message}`,
+      };
     }
   }
-  
+
   /**
-   * Check if we have permission to a directory
+   * Toggle debug mode
+   * The change is saved, and turning debug mode off returns to the configured debugLevel
    */
-  hasDirectoryPermission() {
-    return this.directoryManager.hasPermission();
+  async toggleDebug() {
+    await this.savedSettingsRestored;
+    
+    const configured = this._choiceSetting('debugLevel', LOG_LEVELS, 'info');
+    const level = this.debugMode ? (configured === 'debug' ? 'info' : configured) : 'debug';
+    await this._saveRuntimeSetting('debugLevel', level, configured);
+    
+    logger.info(`Debug mode ${this.debugMode ? 'enabled' : 'disabled'}`);
+    return {
+      success: true,
+      debugLevel: logger.level,
+      message: `Debug mode ${this.debugMode ? 'enabled' : `disabled, logging at level "${logger.level}"`}.`,
+    };
   }
-  
+
   /**
-   * Get the name of the root directory
+   * Show the effective settings and where each comes from
    */
-  getRootDirectoryName() {
-    return this.directoryManager.getRootDirectoryName();
+  async showFileSettings() {
+    try {
+      await this.savedSettingsRestored;
+      
+      const source = (name) => {
+        if (this.runtimeSettings.has(name)) {
+          return 'runtime';
+        }
+        const value = this.userSettings[name];
+        return value === undefined || value === null || value === '' ? 'default' : 'setting';
+      };
+      
+      const settings = [
+        { name: 'maxFileSizeMB', value: this.fileManager.maxFileSize / (1024 * 1024) },
+        { name: 'allowedExtensions', value: this.fileManager.allowedExtensions },
+        { name: 'baseDirectory', value: this.fileManager.baseDirectory },
+        { name: 'storageBackend', value: this.fileManager.storageBackend },
+        { name: 'snapshotWrites', value: this.fileManager.snapshotWrites },
+        { name: 'debugLevel', value: logger.level },
+        { name: 'confirmWrites', value: this.fileManager.confirmWrites },
+        { name: 'respectIgnoreFiles', value: this.fileManager.respectIgnoreFiles },
+        { name: 'ignorePatterns', value: this.fileManager.ignorePatterns },
+        { name: 'pathAllow', value: pathPolicy.allow },
+        { name: 'pathDeny', value: pathPolicy.deny },
+        { name: 'pathRules', value: pathPolicy.rules },
+        { name: 'useDefaultPathDenies', value: pathPolicy.useDefaultDenies },
+        { name: 'historyMaxVersions', value: this.fileManager.historyMaxVersions },
+        { name: 'historyMaxSizeMB', value: this.fileManager.historyMaxBytes / (1024 * 1024) },
+        { name: 'auditMaxEntries', value: this.fileManager.auditMaxEntries },
+        { name: 'auditMaxAgeDays', value: this.fileManager.auditMaxAge / (24 * 60 * 60 * 1000) },
+      ].map(setting => ({ ...setting, source: source(setting.name) }));
+      
+      const formatValue = (value) => {
+        if (value === null || (Array.isArray(value) && value.length === 0)) {
+          return '(none)';
+        }
+        if (Array.isArray(value)) {
+          return value.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join(', ');
+        }
+        return String(value);
+      };
+      const lines = settings.map(setting => `- ${setting.name}: ${formatValue(setting.value)} (${setting.source})`);
+      
+      return {
+        type: 'fileSettings',
+        settings,
+        message: `Effective file plugin settings:\n${lines.join('\n')}`,
+      };
+    } catch (error) {
+      logger.error('Error in showFileSettings command:', error);
+      return {
+        error: true,
+        message: `Failed to show settings: ${error.message}`,
+      };
+    }
   }
 
-  /**
-   * Get all stored directories
-   * @returns {Promise<Array>} Array of directory records
+  /**
+   * List all stored directories
    */
-  async getStoredDirectories() {
+  async listDirectories(args) {
     try {
-      return await this.directoryManager.getStoredDirectories();
+      logger.debug('List directories command with args:', args);
+      
+      // Most recently used first, optionally only those with a tag
+      const tag = args?.tag ? String(args.tag).toLowerCase() : null;
+      const directories = (await this.fileManager.getStoredDirectories())
+        .filter(directory => !tag || directory.tags.some(candidate => candidate.toLowerCase() === tag))
+        .sort((a, b) => String(b.lastUsed).localeCompare(String(a.lastUsed)));
+      
+      const mounted = directories.filter(directory => directory.mounted);
+      
+      return {
+        type: 'directoryList',
+        directories,
+        message: `Listed ${directories.length} stored directories${tag ? ` tagged "${args.tag}"` : ''}` +
+          `${mounted.length ? `, mounted as ${mounted.map(directory => `${directory.alias}:`).join(', ')}` : ''}.`,
+      };
     } catch (error) {
-      logger.error('Error getting stored directories:', error);
-      throw new Error(`Failed to get stored directories: ${error.message}`);
+      logger.error('Error in listDirectories command:', error);
+      return {
+        error: true,
+        message: `Failed to list directories: ${error.message}`,
+      };
     }
   }
 
   /**
    * Switch to a different stored directory
-   * @param {string} directoryId - The ID of the directory to switch to
-   * @returns {Promise<object>} Result of the switch operation
    */
-  async switchDirectory(directoryId) {
+  async switchDirectory(args) {
     try {
-      const success = await this.directoryManager.switchDirectory(directoryId);
+      logger.debug('Switch directory command with args:', args);
       
-      if (success) {
-        const dirName = this.directoryManager.getRootDirectoryName();
-        return {
-          success: true,
-          directory: dirName,
-          message: `Switched to directory: ${dirName}`,
-        };
-      } else {
+      const directory = args?.id || args?.name;
+      if (!directory) {
         return {
-          success: false,
-          message: 'Failed to switch directory. Permission denied.',
+          error: true,
+          message: 'No directory ID or name provided',
         };
       }
+      
+      const result = await this.fileManager.switchDirectory(directory);
+      
+      return {
+        success: result.success,
+        message: result.message,
+        directory: result.directory,
+        mode: result.mode,
+      };
     } catch (error) {
-      logger.error('Error switching directory:', error);
-      throw new Error(`Failed to switch directory: ${error.message}`);
+      logger.error('Error in switchDirectory command:', error);
+      return {
+        error: true,
+        message: `Failed to switch directory: ${error.message}`,
+      };
     }
   }
 
   /**
    * Remove a stored directory
-   * @param {string} directoryId - The ID of the directory to remove
-   * @returns {Promise<object>} Result of the removal operation
    */
-  async removeDirectory(directoryId) {
+  async removeDirectory(args) {
     try {
-      const success = await this.directoryManager.removeDirectory(directoryId);
+      logger.debug('Remove directory command with args:', args);
+      
+      const directory = args?.id || args?.name;
+      if (!directory) {
+        return {
+          error: true,
+          message: 'No directory ID or name provided',
+        };
+      }
+      
+      const result = await this.fileManager.removeDirectory(directory);
       
       return {
-        success,
-        message: success ? 'Directory removed successfully' : 'Failed to remove directory',
+        success: result.success,
+        message: result.message,
       };
     } catch (error) {
-      logger.error('Error removing directory:', error);
-      throw new Error(`Failed to remove directory: ${error.message}`);
+      logger.error('Error in removeDirectory command:', error);
+      return {
+        error: true,
+        message: `Failed to remove directory: ${error.message}`,
+      };
     }
   }
-} 
-// Create instances of the classes
-const directoryManager = new DirectoryPermissionManager();
-const fileManager = new FileAccessManager();
-
-
-/**
- * TypingMind File Access Plugin
- * Provides limited local file access capabilities
- */
-class FileAccessPlugin {
-  constructor() {
-    this.name = 'File Access Plugin';
-    this.version = '1.0.0';
-    this.description = 'Provides limited local file access capabilities';
-    this.fileManager = fileManager;
-    this.debugMode = false;
-    
-    // Bind methods
-    this.initialize = this.initialize.bind(this);
-    this.onCommand = this.onCommand.bind(this);
-    this.readFile = this.readFile.bind(this);
-    this.writeFile = this.writeFile.bind(this);
-    this.listFiles = this.listFiles.bind(this);
-    this.toggleDebug = this.toggleDebug.bind(this);
-    this.requestDirectoryAccess = this.requestDirectoryAccess.bind(this);
-    this.listDirectories = this.listDirectories.bind(this);
-    this.switchDirectory = this.switchDirectory.bind(this);
-    this.removeDirectory = this.removeDirectory.bind(this);
-  }
 
   /**
-   * Initialize the plugin with TypingMind
+   * Builds audit log filters from command arguments
+   * @private
    */
-  initialize(api) {
-    logger.info('Initializing File Access Plugin');
-    this.api = api;
-    
-    // Register commands
-    this.api.registerCommand('readFile', this.readFile, 'Read a file from your local system');
-    this.api.registerCommand('writeFile', this.writeFile, 'Write content to a local file');
-    this.api.registerCommand('listFiles', this.listFiles, 'List files in a directory');
-    this.api.registerCommand('toggleFileDebug', this.toggleDebug, 'Toggle debug mode for file plugin');
-    this.api.registerCommand('requestDirectoryAccess', this.requestDirectoryAccess, 'Request access to a directory');
-    this.api.registerCommand('listDirectories', this.listDirectories, 'List all stored directories');
-    this.api.registerCommand('switchDirectory', this.switchDirectory, 'Switch to a different stored directory');
-    this.api.registerCommand('removeDirectory', this.removeDirectory, 'Remove a stored directory');
-    
-    logger.info('File Access Plugin initialized successfully');
-    return true;
+  _activityFilters(args) {
+    return {
+      directoryId: args?.id,
+      path: args?.path,
+      command: args?.operation,
+      since: parseTimeArg(args?.since),
+      until: parseTimeArg(args?.until),
+    };
   }
 
   /**
-   * Handle commands from TypingMind
+   * Show recorded file activity
    */
-  onCommand(command, args) {
-    logger.debug('Command received:', command, args);
-    
-    switch (command) {
-      case 'readFile':
-        return this.readFile(args);
-      case 'writeFile':
-        return this.writeFile(args);
-      case 'listFiles':
-        return this.listFiles(args);
-      case 'toggleFileDebug':
-        return this.toggleDebug();
-      case 'requestDirectoryAccess':
-        return this.requestDirectoryAccess();
-      case 'listDirectories':
-        return this.listDirectories();
-      case 'switchDirectory':
-        return this.switchDirectory(args);
-      case 'removeDirectory':
-        return this.removeDirectory(args);
-      default:
-        logger.error('Unknown command:', command);
-        return { error: `Unknown command: ${command}` };
+  async showFileActivity(args) {
+    try {
+      logger.debug('Show file activity command with args:', args);
+      
+      const limit = parseNumberArg(args?.limit, 50);
+      const entries = await this.fileManager.getActivity({ ...this._activityFilters(args), limit });
+      
+      return {
+        type: 'fileActivity',
+        entries: entries.map(formatActivityEntry),
+        message: `Showing ${entries.length} most recent file operations.`,
+      };
+    } catch (error) {
+      logger.error('Error in showFileActivity command:', error);
+      return {
+        error: true,
+        message: `Failed to show file activity: ${error.message}`,
+      };
     }
   }
 
   /**
-   * Request access to a directory
+   * Export recorded file activity as JSON or CSV
+   * The export is returned in the response, and also written to a file when a destination is given
    */
-  async requestDirectoryAccess() {
+  async exportFileActivity(args) {
     try {
-      logger.debug('Request directory access command');
+      logger.debug('Export file activity command with args:', args);
       
-      const result = await this.fileManager.requestDirectoryAccess();
+      const format = args?.format === 'csv' ? 'csv' : 'json';
+      const limit = parseNumberArg(args?.limit, DEFAULT_ACTIVITY_EXPORT_LIMIT);
+      const entries = (await this.fileManager.getActivity({ ...this._activityFilters(args), limit }))
+        .map(formatActivityEntry);
+      const more = entries.length === limit
+        ? ` Only the newest ${limit} are included, pass a larger limit or a since/until range for older ones.`
+        : '';
       
-      if (result.success) {
-        return {
-          success: true,
-          directory: result.directory,
-          message: result.message,
-        };
-      } else {
-        return {
-          error: true,
-          message: result.message,
-        };
+      const content = format === 'csv'
+        ? activityToCsv(entries)
+        : JSON.stringify(entries, null, 2);
+      
+      const response = {
+        type: 'fileActivityExport',
+        format,
+        count: entries.length,
+        content,
+        message: `Exported ${entries.length} file operations as ${format.toUpperCase()}.${more}`,
+      };
+      
+      if (args?.destination) {
+        const root = this.fileManager.resolveRoot(args.destination);
+        const { approval } = await root.manager.writeFile(root.path, content);
+        if (approval === 'rejected') {
+          response.message += ` The user rejected writing it to "${args.destination}".`;
+          return response;
+        }
+        response.destination = args.destination;
+        response.message = `Exported ${entries.length} file operations as ${format.toUpperCase()} to "${args.destination}".${more}`;
       }
+      
+      return response;
     } catch (error) {
-      logger.error('Error in requestDirectoryAccess command:', error);
+      logger.error('Error in exportFileActivity command:', error);
       return {
         error: true,
-        message: `Failed to request directory access: ${error.message}`,
+        message: `Failed to export file activity: ${error.message}`,
       };
     }
   }
 
   /**
-   * Read a file and return its contents
+   * List the saved versions of a file
    */
-  async readFile(args) {
+  async fileHistory(args) {
     try {
-      logger.debug('Read file command with args:', args);
+      logger.debug('File history command with args:', args);
       
       if (!args || !args.path) {
-        // If no path provided, show file picker
-        const result = await this.fileManager.readFile('');
-        
-        // Format the response for the chat
-        return {
-          type: 'file',
-          content: result.content,
-          name: result.name,
-          size: result.size,
-          message: `File "${result.name}" read successfully.`,
-        };
-      } else {
-        // Use provided path
-        const result = await this.fileManager.readFile(args.path);
-        
         return {
-          type: 'file',
-          content: result.content,
-          name: result.name,
-          size: result.size,
-          message: `File "${args.path}" read successfully.`,
+          error: true,
+          message: 'No file path provided',
         };
       }
+      
+      const root = this.fileManager.resolveRoot(args.path);
+      const versions = await root.manager.getFileHistory(root.path);
+      
+      return {
+        type: 'fileHistory',
+        path: args.path,
+        versions,
+        message: versions.length
+          ? `Found ${versions.length} saved versions of "${args.path}".`
+          : `No saved versions of "${args.path}".`,
+      };
     } catch (error) {
-      logger.error('Error in readFile command:', error);
+      logger.error('Error in fileHistory command:', error);
       return {
         error: true,
-        message: `Failed to read file: ${error.message}`,
+        message: `Failed to get file history: ${error.message}`,
       };
     }
   }
 
   /**
-   * Write content to a file
+   * Restore a file to a saved version
    */
-  async writeFile(args) {
+  async restoreVersion(args) {
     try {
-      logger.debug('Write file command with args:', args);
+      logger.debug('Restore version command with args:', args);
       
-      if (!args || !args.content) {
+      const version = parseNumberArg(args?.version);
+      if (!args || !args.path || version === undefined) {
         return {
           error: true,
-          message: 'No content provided for writing',
+          message: 'Both path and version are required',
         };
       }
       
-      const path = args.path || '';
-      const result = await this.fileManager.writeFile(path, args.content);
+      const root = this.fileManager.resolveRoot(args.path);
+      const result = await root.manager.restoreVersion(root.path, version);
+      
+      if (result.approval === 'rejected') {
+        return {
+          success: false,
+          approval: result.approval,
+          message: `The user rejected restoring "${args.path}" to version ${result.version}, the file was not changed.`,
+        };
+      }
       
       return {
         success: true,
-        message: `File ${path ? `"${path}" ` : ''}written successfully.`,
+        approval: result.approval,
+        version: result.version,
+        size: result.size,
+        lastModified: result.lastModified,
+        message: `Restored "${args.path}" to version ${result.version} from ${result.time}.`,
       };
     } catch (error) {
-      logger.error('Error in writeFile command:', error);
+      logger.error('Error in restoreVersion command:', error);
       return {
         error: true,
-        message: `Failed to write file: ${error.message}`,
+        message: `Failed to restore version: ${error.message}`,
       };
     }
   }
 
   /**
-   * List files in a directory
+   * Undo the most recent write made by the plugin
    */
-  async listFiles(args) {
+  async undoLastWrite(args) {
     try {
-      logger.debug('List files command with args:', args);
+      logger.debug('Undo last write command with args:', args);
       
-      const directory = args?.directory || '';
-      const files = await this.fileManager.listFiles(directory);
+      const result = await this.fileManager.undoLastWrite(parseBooleanArg(args?.force, false));
       
-      // Add information about directory access
-      const hasDirectoryAccess = this.fileManager.hasDirectoryPermission();
-      const rootDirectory = hasDirectoryAccess ? this.fileManager.getRootDirectoryName() : null;
+      const messages = {
+        restored: result.source
+          ? `Moved "${result.path}" back to "${result.source}" and restored the previous content of "${result.path}".`
+          : `Restored the previous content of "${result.path}".`,
+        truncated: `Removed the content appended to "${result.path}".`,
+        deleted: `Deleted "${result.path}", which did not exist before the write.`,
+        'already removed': `"${result.path}" did not exist before the write and has already been removed.`,
+        rejected: `The user rejected reverting "${result.path}", the file was not changed.`,
+      };
       
       return {
-        type: 'fileList',
-        files,
-        directory,
-        hasDirectoryAccess,
-        rootDirectory,
-        message: `Listed ${files.length} files in ${directory || (hasDirectoryAccess ? rootDirectory : 'selected directory')}.`,
+        success: result.action !== 'rejected',
+        path: result.path,
+        action: result.action,
+        message: messages[result.action],
       };
     } catch (error) {
-      logger.error('Error in listFiles command:', error);
+      logger.error('Error in undoLastWrite command:', error);
       return {
         error: true,
-        message: `Failed to list files: ${error.message}`,
+        message: `Failed to undo last write: ${error.message}`,
       };
     }
   }
 
   /**
-   * Toggle debug mode
+   * Mount a stored directory under an alias
    */
-  toggleDebug() {
-    this.debugMode = !this.debugMode;
-    logger.setDebugEnabled(this.debugMode);
-    
-    logger.info(`Debug mode ${this.debugMode ? 'enabled' : 'disabled'}`);
-    return {
-      success: true,
-      message: `Debug mode ${this.debugMode ? 'enabled' : 'disabled'}.`,
-    };
+  async mountDirectory(args) {
+    try {
+      logger.debug('Mount directory command with args:', args);
+      
+      const directory = args?.id || args?.name;
+      if (!directory) {
+        return {
+          error: true,
+          message: 'No directory ID or name provided',
+        };
+      }
+      
+      const result = await this.fileManager.mountDirectory(directory, (args.alias || '').replace(/:$/, ''));
+      
+      return {
+        success: true,
+        alias: result.alias,
+        directory: result.name,
+        mode: result.mode,
+        message: `Mounted ${result.name}${result.mode === 'read' ? ' (read-only)' : ''} as "${result.alias}:", address its files as ${result.alias}:relative/path.`,
+      };
+    } catch (error) {
+      logger.error('Error in mountDirectory command:', error);
+      return {
+        error: true,
+        message: `Failed to mount directory: ${error.message}`,
+      };
+    }
   }
 
   /**
-   * List all stored directories
+   * Unmount an aliased directory
    */
-  async listDirectories() {
+  async unmountDirectory(args) {
     try {
-      logger.debug('List directories command');
+      logger.debug('Unmount directory command with args:', args);
+      
+      const alias = (args?.alias || '').replace(/:$/, '');
+      if (!alias) {
+        return {
+          error: true,
+          message: 'No alias provided',
+        };
+      }
       
-      const directories = await this.fileManager.getStoredDirectories();
+      const unmounted = this.fileManager.unmountDirectory(alias);
       
       return {
-        type: 'directoryList',
-        directories,
-        message: `Listed ${directories.length} stored directories.`,
+        success: unmounted,
+        message: unmounted ? `Unmounted "${alias}:".` : `No directory is mounted as "${alias}:".`,
       };
     } catch (error) {
-      logger.error('Error in listDirectories command:', error);
+      logger.error('Error in unmountDirectory command:', error);
       return {
         error: true,
-        message: `Failed to list directories: ${error.message}`,
+        message: `Failed to unmount directory: ${error.message}`,
       };
     }
   }
 
   /**
-   * Switch to a different stored directory
+   * Rename a stored directory
    */
-  async switchDirectory(args) {
+  async renameDirectory(args) {
     try {
-      logger.debug('Switch directory command with args:', args);
+      logger.debug('Rename directory command with args:', args);
       
-      if (!args || !args.id) {
+      if (!args || !args.id || !args.newName) {
         return {
           error: true,
-          message: 'No directory ID provided',
+          message: 'Both id (the directory ID or current name) and newName are required',
         };
       }
       
-      const result = await this.fileManager.switchDirectory(args.id);
+      const result = await this.fileManager.renameDirectory(args.id, args.newName);
       
       return {
-        success: result.success,
-        message: result.message,
-        directory: result.directory,
+        success: true,
+        id: result.id,
+        name: result.name,
+        message: `Directory renamed to "${result.name}".`,
       };
     } catch (error) {
-      logger.error('Error in switchDirectory command:', error);
+      logger.error('Error in renameDirectory command:', error);
       return {
         error: true,
-        message: `Failed to switch directory: ${error.message}`,
+        message: `Failed to rename directory: ${error.message}`,
       };
     }
   }
 
   /**
-   * Remove a stored directory
+   * Set the tags and notes of a stored directory
    */
-  async removeDirectory(args) {
+  async setDirectoryInfo(args) {
     try {
-      logger.debug('Remove directory command with args:', args);
+      logger.debug('Set directory info command with args:', args);
       
-      if (!args || !args.id) {
+      const directory = args?.id || args?.name;
+      if (!directory) {
+        return {
+          error: true,
+          message: 'No directory ID or name provided',
+        };
+      }
+      if (args.tags === undefined && args.notes === undefined) {
         return {
           error: true,
-          message: 'No directory ID provided',
+          message: 'Provide tags, notes, or both',
         };
       }
       
-      const result = await this.fileManager.removeDirectory(args.id);
+      const tags = args.tags === undefined ? undefined : parsePatternSetting(args.tags);
+      const result = await this.fileManager.setDirectoryInfo(directory, { tags, notes: args.notes });
       
       return {
-        success: result.success,
-        message: result.message,
+        success: true,
+        id: result.id,
+        name: result.name,
+        tags: result.tags,
+        notes: result.notes,
+        message: `Updated "${result.name}"${result.tags.length ? `, tagged ${result.tags.join(', ')}` : ''}.`,
       };
     } catch (error) {
-      logger.error('Error in removeDirectory command:', error);
+      logger.error('Error in setDirectoryInfo command:', error);
       return {
         error: true,
-        message: `Failed to remove directory: ${error.message}`,
+        message: `Failed to update directory info: ${error.message}`,
       };
     }
   }
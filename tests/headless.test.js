@@ -0,0 +1,45 @@
+// Smoke tests running the plugin in Node without a browser: the memory backend holds
+// the files and, with no IndexedDB, directory records, history and the audit log
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPlugin } = require('./helpers');
+
+test('opens an in-memory workspace and writes, edits and reads in it', async () => {
+  const { run } = createPlugin({ storageBackend: 'memory' });
+  
+  const access = await run('requestDirectoryAccess', { workspace: 'smoke' });
+  assert.strictEqual(access.success, true, access.message);
+  assert.strictEqual(access.backend, 'memory');
+  
+  assert.strictEqual((await run('writeFile', { path: 'notes/a.txt', content: 'one\ntwo\n' })).success, true);
+  const edit = await run('editFile', { path: 'notes/a.txt', edits: [{ search: 'two', replace: 'three' }] });
+  assert.strictEqual(edit.applied, 1, edit.message);
+  assert.strictEqual((await run('readFile', { path: 'notes/a.txt' })).content, 'one\nthree\n');
+  
+  const listing = await run('listFiles', { recursive: true });
+  assert.deepStrictEqual(listing.files.map(file => file.path), ['notes', 'notes/a.txt']);
+  assert.strictEqual((await run('listDirectories')).directories.length, 1);
+});
+
+test('shows and exports the activity log without recording those reads', async () => {
+  const { run } = createPlugin({ storageBackend: 'memory' });
+  await run('requestDirectoryAccess');
+  await run('writeFile', { path: 'a.txt', content: 'a' });
+  
+  const activity = await run('showFileActivity');
+  assert.strictEqual(activity.error, undefined, activity.message);
+  assert.deepStrictEqual(activity.entries.map(entry => entry.command), ['writeFile', 'requestDirectoryAccess']);
+  
+  const exported = await run('exportFileActivity', { format: 'csv' });
+  assert.strictEqual(exported.error, undefined, exported.message);
+  assert.strictEqual((await run('showFileActivity')).entries.length, 2);
+});
+
+test('backend="auto" opens the backend of the storageBackend setting', async () => {
+  const { run } = createPlugin({ storageBackend: 'opfs' });
+  
+  // Node has no origin private file system, so the configured backend is refused
+  const result = await run('requestDirectoryAccess', { backend: 'auto' });
+  assert.strictEqual(result.error, true);
+  assert.match(result.message, /opfs/);
+});
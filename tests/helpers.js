@@ -0,0 +1,39 @@
+// Loads the plugin in Node, without a browser, and runs its commands the way the host does
+const fs = require('node:fs');
+const path = require('node:path');
+
+const code = fs.readFileSync(path.join(__dirname, '..', 'implementation.js'), 'utf8');
+
+/**
+ * Creates and initializes a plugin with its own copy of the module state
+ * @param {object} settings - The userSettings to initialize it with
+ * @returns {{run: function, configure: function}} run(name, args) calls the callback the plugin
+ *   registered for a command, detached like the host calls it; configure(settings) initializes
+ *   the plugin again with changed settings
+ */
+function createPlugin(settings = {}) {
+  const FileAccessPlugin = new Function(code)();
+  const plugin = new FileAccessPlugin();
+  const commands = new Map();
+  const api = {
+    registerCommand(name, callback) {
+      commands.set(name, callback);
+    },
+  };
+  plugin.initialize(api, settings);
+  
+  return {
+    run(name, args = {}) {
+      const callback = commands.get(name);
+      if (!callback) {
+        throw new Error(`The plugin registered no "${name}" command`);
+      }
+      return callback(args);
+    },
+    configure(changed) {
+      plugin.initialize(api, changed);
+    },
+  };
+}
+
+module.exports = { createPlugin };
@@ -0,0 +1,58 @@
+// Write history: every change can be listed, undone step by step and restored
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPlugin } = require('./helpers');
+
+async function openWorkspace() {
+  const plugin = createPlugin({ storageBackend: 'memory' });
+  await plugin.run('requestDirectoryAccess');
+  return plugin.run;
+}
+
+test('undoes edits one after the other', async () => {
+  const run = await openWorkspace();
+  await run('writeFile', { path: 'a.txt', content: 'one\n' });
+  await run('editFile', { path: 'a.txt', edits: [{ search: 'one', replace: 'two' }] });
+  await run('editFile', { path: 'a.txt', edits: [{ search: 'two', replace: 'three' }] });
+  assert.strictEqual((await run('fileHistory', { path: 'a.txt' })).versions.length, 3);
+  
+  let undo = await run('undoLastWrite');
+  assert.strictEqual(undo.action, 'restored', undo.message);
+  assert.strictEqual((await run('readFile', { path: 'a.txt' })).content, 'two\n');
+  
+  undo = await run('undoLastWrite');
+  assert.strictEqual(undo.action, 'restored', undo.message);
+  assert.strictEqual((await run('readFile', { path: 'a.txt' })).content, 'one\n');
+  
+  // Undoing the write that created the file deletes it
+  undo = await run('undoLastWrite');
+  assert.strictEqual(undo.action, 'deleted', undo.message);
+  assert.strictEqual((await run('readFile', { path: 'a.txt' })).error, true);
+});
+
+test('restores a saved version, and the restore can be undone', async () => {
+  const run = await openWorkspace();
+  await run('writeFile', { path: 'a.txt', content: 'one\n' });
+  await run('writeFile', { path: 'a.txt', content: 'two\n' });
+  
+  // Newest first: the content the second write replaced, then the missing file before the first
+  const { versions } = await run('fileHistory', { path: 'a.txt' });
+  assert.deepStrictEqual(versions.map(version => version.existed), [true, false]);
+  
+  const restored = await run('restoreVersion', { path: 'a.txt', version: versions[0].version });
+  assert.strictEqual(restored.success, true, restored.message);
+  assert.strictEqual((await run('readFile', { path: 'a.txt' })).content, 'one\n');
+  
+  await run('undoLastWrite');
+  assert.strictEqual((await run('readFile', { path: 'a.txt' })).content, 'two\n');
+});
+
+test('brings back a deleted file', async () => {
+  const run = await openWorkspace();
+  await run('writeFile', { path: 'a.txt', content: 'keep\n' });
+  await run('deleteFile', { path: 'a.txt' });
+  
+  const undo = await run('undoLastWrite');
+  assert.strictEqual(undo.success, true, undo.message);
+  assert.strictEqual((await run('readFile', { path: 'a.txt' })).content, 'keep\n');
+});
@@ -0,0 +1,41 @@
+// The path policy holds for whole directories, not only the paths commands are given
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPlugin } = require('./helpers');
+
+test('refuses to move a directory holding an entry that cannot be read', async () => {
+  const { run } = createPlugin({
+    storageBackend: 'memory',
+    pathRules: JSON.stringify([{ pattern: 'a/private', action: 'deny', operations: ['read'] }]),
+  });
+  await run('requestDirectoryAccess');
+  await run('writeFile', { path: 'a/private/secret.txt', content: 'secret' });
+  await run('writeFile', { path: 'a/public.txt', content: 'public' });
+  
+  const moved = await run('moveFile', { source: 'a', destination: 'b' });
+  assert.strictEqual(moved.error, true);
+  assert.match(moved.message, /a\/private/);
+  assert.strictEqual((await run('readFile', { path: 'b/private/secret.txt' })).error, true);
+  
+  // A copy leaves the denied entry behind instead
+  assert.strictEqual((await run('copyFile', { source: 'a', destination: 'c' })).success, true);
+  const copied = await run('listFiles', { directory: 'c', recursive: true });
+  assert.deepStrictEqual(copied.files.map(file => file.path), ['c/public.txt']);
+});
+
+test('refuses to delete a directory holding an entry that cannot be written', async () => {
+  const plugin = createPlugin({ storageBackend: 'memory' });
+  await plugin.run('requestDirectoryAccess');
+  await plugin.run('writeFile', { path: 'logs/keep/audit.log', content: 'kept' });
+  await plugin.run('writeFile', { path: 'logs/today.log', content: 'today' });
+  
+  plugin.configure({
+    storageBackend: 'memory',
+    pathRules: JSON.stringify([{ pattern: 'logs/keep', action: 'deny', operations: ['write'] }]),
+  });
+  const deleted = await plugin.run('deleteDirectory', { path: 'logs', recursive: true });
+  assert.strictEqual(deleted.error, true);
+  assert.match(deleted.message, /logs\/keep/);
+  assert.strictEqual((await plugin.run('readFile', { path: 'logs/keep/audit.log' })).content, 'kept');
+  assert.strictEqual((await plugin.run('readFile', { path: 'logs/today.log' })).content, 'today');
+});
@@ -0,0 +1,110 @@
+// Folder snapshots, with a stand-in for the folder upload dialog
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPlugin } = require('./helpers');
+
+// The files the next folder selection returns, each with the path a browser gives it
+let selectedFiles = [];
+
+global.document = {
+  body: { appendChild() {} },
+  createElement(tag) {
+    const listeners = {};
+    return {
+      style: {},
+      webkitdirectory: false,
+      addEventListener(type, listener) {
+        listeners[type] = listener;
+      },
+      remove() {},
+      click() {
+        if (tag === 'input') {
+          this.files = selectedFiles;
+          setTimeout(() => listeners.change(), 0);
+        }
+      },
+    };
+  },
+};
+
+function selectFolder(files) {
+  selectedFiles = Object.entries(files).map(([relativePath, text]) => Object.assign(
+    new File([text], relativePath.split('/').pop(), { lastModified: 1000 }),
+    { webkitRelativePath: relativePath }
+  ));
+}
+
+// Writes are collected for downloadChanges, so no download is started
+function createSnapshotPlugin() {
+  return createPlugin({ snapshotWrites: 'zip' }).run;
+}
+
+test('edits of a snapshot build on each other', async () => {
+  const run = createSnapshotPlugin();
+  selectFolder({ 'site/app.js': 'const a = 1;\nconst b = 2;\n' });
+  assert.strictEqual((await run('requestDirectoryAccess', { backend: 'snapshot' })).success, true);
+  
+  await run('editFile', { path: 'app.js', edits: [{ search: 'a = 1', replace: 'a = 10' }] });
+  const second = await run('editFile', { path: 'app.js', edits: [{ search: 'b = 2', replace: 'b = 20' }] });
+  assert.strictEqual(second.success, true, second.message);
+  
+  const read = await run('readFile', { path: 'app.js' });
+  assert.strictEqual(read.content, 'const a = 10;\nconst b = 20;\n');
+  assert.strictEqual(read.readOnly, true);
+  
+  await run('writeFile', { path: 'app.js', content: '// end\n', mode: 'append' });
+  assert.strictEqual((await run('readFile', { path: 'app.js' })).content, 'const a = 10;\nconst b = 20;\n// end\n');
+  
+  // The imported file itself is unchanged
+  assert.strictEqual(await selectedFiles[0].text(), 'const a = 1;\nconst b = 2;\n');
+});
+
+test('listing and search see the files written to a snapshot', async () => {
+  const run = createSnapshotPlugin();
+  selectFolder({ 'site/app.js': 'original\n' });
+  await run('requestDirectoryAccess', { backend: 'snapshot' });
+  await run('writeFile', { path: 'app.js', content: 'changed\n' });
+  await run('writeFile', { path: 'lib/new.js', content: 'needle\n' });
+  
+  const listing = await run('listFiles', { recursive: true });
+  assert.deepStrictEqual(listing.files.map(file => file.path).sort(), ['app.js', 'lib', 'lib/new.js']);
+  
+  const needle = await run('searchFiles', { query: 'needle' });
+  assert.deepStrictEqual(needle.matches.map(match => match.path), ['lib/new.js']);
+  const changed = await run('searchFiles', { query: 'changed' });
+  assert.deepStrictEqual(changed.matches.map(match => match.path), ['app.js']);
+  assert.strictEqual((await run('searchFiles', { query: 'original' })).matches.length, 0);
+});
+
+test('importing a folder again shows it as it is now', async () => {
+  const run = createSnapshotPlugin();
+  selectFolder({ 'site/app.js': 'first import\n' });
+  const first = await run('requestDirectoryAccess', { backend: 'snapshot' });
+  await run('writeFile', { path: 'app.js', content: 'changed\n' });
+  await run('writeFile', { path: 'extra.js', content: 'extra\n' });
+  
+  selectFolder({ 'site/app.js': 'fresh import\n' });
+  const second = await run('requestDirectoryAccess', { backend: 'snapshot' });
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual((await run('readFile', { path: 'app.js' })).content, 'fresh import\n');
+  assert.deepStrictEqual((await run('listFiles')).files.map(file => file.path), ['app.js']);
+  assert.strictEqual((await run('downloadChanges')).error, true);
+});
+
+test('only results from a snapshot root are flagged read-only', async () => {
+  const run = createSnapshotPlugin();
+  selectFolder({ 'site/index.html': '<h1>hi</h1>\n' });
+  const snapshot = await run('requestDirectoryAccess', { backend: 'snapshot' });
+  assert.strictEqual((await run('requestDirectoryAccess', { backend: 'memory' })).success, true);
+  const mounted = await run('mountDirectory', { id: snapshot.id, alias: 'snap' });
+  assert.strictEqual(mounted.success, true, mounted.message);
+  
+  await run('writeFile', { path: 'notes.txt', content: 'notes' });
+  const own = await run('readFile', { path: 'notes.txt' });
+  assert.strictEqual(own.readOnly, undefined);
+  
+  const imported = await run('readFile', { path: 'snap:index.html' });
+  assert.strictEqual(imported.content, '<h1>hi</h1>\n');
+  assert.strictEqual(imported.static, true);
+  assert.strictEqual(imported.readOnly, true);
+});